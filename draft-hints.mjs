@@ -0,0 +1,25 @@
+/**
+ * Drafts the curated hints array for a puzzle from a solver run and prints
+ * it as a "hints" field ready to paste into the puzzle's JSON file.
+ *
+ * Usage:
+ *   node --loader ./test-loader.mjs draft-hints.mjs <puzzle-id>
+ */
+import { puzzles } from './src/data/puzzles/index.js';
+import { draftHints } from './src/engine/hintAuthor.js';
+import { puzzleFieldToJson } from './src/data/puzzles/loader.js';
+
+const puzzleId = process.argv[2];
+const puzzle = puzzles[puzzleId];
+if (!puzzle) {
+  console.error(`Unknown puzzle "${puzzleId}". Choose one of: ${Object.keys(puzzles).join(', ')}`);
+  process.exit(1);
+}
+
+const start = Date.now();
+const hints = draftHints(puzzle);
+console.error(`Drafted ${hints.length}/${puzzle.suspects.length} hints in ${Date.now() - start}ms`);
+if (hints.length < puzzle.suspects.length) {
+  console.error('⚠️  The solver gets stuck, so some suspects have no hint');
+}
+process.stdout.write(`${puzzleFieldToJson('hints', hints)}\n`);
@@ -0,0 +1,57 @@
+/**
+ * Generates a new puzzle on the board layout of an existing one and prints
+ * it as a JSON puzzle file.
+ *
+ * Usage:
+ *   node --loader ./test-loader.mjs generate-puzzle.mjs <layout-puzzle-id> [--seed N] [--depth N] [--tier TIER] [--attempts N] [--id ID] [--name NAME]
+ */
+import { puzzles } from './src/data/puzzles/index.js';
+import { generatePuzzle } from './src/engine/generator.js';
+import { puzzleToJson } from './src/data/puzzles/loader.js';
+import { ratePuzzle, DIFFICULTY_TIERS } from './src/engine/difficulty.js';
+
+const args = process.argv.slice(2);
+const option = (flag) => {
+  const i = args.indexOf(flag);
+  return i >= 0 ? args[i + 1] : undefined;
+};
+
+const layoutId = args.find((a, i) => !a.startsWith('--') && !args[i - 1]?.startsWith('--'));
+const source = puzzles[layoutId];
+if (!source) {
+  console.error(`Unknown puzzle "${layoutId}". Choose one of: ${Object.keys(puzzles).join(', ')}`);
+  process.exit(1);
+}
+
+const tier = option('--tier');
+const tiers = DIFFICULTY_TIERS.map((t) => t.tier);
+if (tier && !tiers.includes(tier)) {
+  console.error(`Unknown tier "${tier}". Choose one of: ${tiers.join(', ')}`);
+  process.exit(1);
+}
+
+const seed = option('--seed') ? Number(option('--seed')) : Date.now();
+
+const start = Date.now();
+let puzzle;
+try {
+  puzzle = generatePuzzle({
+    boardLayout: source.boardLayout,
+    rooms: source.rooms,
+    cellSize: source.cellSize,
+    seed,
+    hypothesisDepth: option('--depth') ? Number(option('--depth')) : undefined,
+    tier,
+    maxAttempts: option('--attempts') ? Number(option('--attempts')) : undefined,
+    id: option('--id') || `${layoutId}-generated`,
+    name: option('--name') || `${source.name} (Generated)`,
+  });
+} catch (err) {
+  console.error(`${err.message} (seed ${seed}); try --attempts, --depth or another --seed`);
+  process.exit(1);
+}
+const rating = ratePuzzle(puzzle);
+
+console.error(`Generated with seed ${seed} in ${Date.now() - start}ms`);
+console.error(`Rated ${rating.tier} (${rating.score}), ${rating.stepCount} solver steps`);
+process.stdout.write(puzzleToJson(puzzle));
@@ -0,0 +1,46 @@
+/**
+ * Statically checks puzzle definitions: references, layout, solution,
+ * story and hints. Exits with status 1 if any puzzle has errors (or
+ * warnings, with --strict).
+ *
+ * Usage:
+ *   node --loader ./test-loader.mjs lint-puzzles.mjs                 # all built-in puzzles
+ *   node --loader ./test-loader.mjs lint-puzzles.mjs <puzzle-id|file.json>... [--strict] [--quiet]
+ *
+ * --quiet hides info-level issues.
+ */
+import { readFileSync } from 'node:fs';
+import { puzzles } from './src/data/puzzles/index.js';
+import { lintPuzzle, summarizeLint, formatLintIssue } from './src/engine/puzzleLint.js';
+
+const ICONS = { error: '❌', warning: '⚠️ ', info: 'ℹ️ ' };
+
+const args = process.argv.slice(2);
+const strict = args.includes('--strict');
+const quiet = args.includes('--quiet');
+const targets = args.filter((a) => !a.startsWith('--'));
+
+function loadTarget(target) {
+  if (target.endsWith('.json')) return JSON.parse(readFileSync(target, 'utf8'));
+  if (!puzzles[target]) {
+    console.error(`Unknown puzzle "${target}". Choose one of: ${Object.keys(puzzles).join(', ')}`);
+    process.exit(1);
+  }
+  return puzzles[target];
+}
+
+let failed = false;
+for (const target of targets.length ? targets : Object.keys(puzzles)) {
+  const issues = lintPuzzle(loadTarget(target));
+  const counts = summarizeLint(issues);
+  const ok = counts.error === 0 && (!strict || counts.warning === 0);
+  if (!ok) failed = true;
+
+  console.log(`${ok ? '✅' : '❌'} ${target}: ${counts.error} error(s), ${counts.warning} warning(s), ${counts.info} info`);
+  for (const issue of issues) {
+    if (quiet && issue.severity === 'info') continue;
+    console.log(`   ${ICONS[issue.severity]} ${formatLintIssue(issue)}`);
+  }
+}
+
+process.exit(failed ? 1 : 0);
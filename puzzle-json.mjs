@@ -0,0 +1,48 @@
+/**
+ * Exports built-in puzzles as standalone JSON puzzle files, and validates
+ * JSON puzzle files against puzzle.schema.json and their own references.
+ *
+ * Usage:
+ *   node --loader ./test-loader.mjs puzzle-json.mjs export <puzzle-id> > my-puzzle.json
+ *   node --loader ./test-loader.mjs puzzle-json.mjs validate <file.json>...
+ *   node --loader ./test-loader.mjs puzzle-json.mjs check-builtins
+ */
+import { readFileSync, readdirSync } from 'node:fs';
+import { loadPuzzleJson, formatLoadError, puzzleToJson } from './src/data/puzzles/loader.js';
+
+const [command, ...args] = process.argv.slice(2);
+
+function report(label, text) {
+  const { puzzle, errors, warnings } = loadPuzzleJson(text);
+  if (puzzle) {
+    console.log(`✅ ${label}: ${puzzle.name} (${puzzle.gridSize}x${puzzle.gridSize}, ${puzzle.suspects.length} suspects)`);
+    for (const warning of warnings) console.log(`   ⚠️  ${formatLoadError(warning)}`);
+    return true;
+  }
+  console.log(`❌ ${label}: ${errors.length} error(s)`);
+  for (const error of errors) console.log(`   ${formatLoadError(error)}`);
+  return false;
+}
+
+if (command === 'export') {
+  // Loaded on demand, so check-builtins can report a broken built-in
+  // that would stop the registry loading
+  const { puzzles } = await import('./src/data/puzzles/index.js');
+  const puzzle = puzzles[args[0]];
+  if (!puzzle) {
+    console.error(`Unknown puzzle "${args[0]}". Choose one of: ${Object.keys(puzzles).join(', ')}`);
+    process.exit(1);
+  }
+  process.stdout.write(puzzleToJson(puzzle));
+} else if (command === 'validate' && args.length > 0) {
+  const results = args.map((file) => report(file, readFileSync(file, 'utf8')));
+  process.exit(results.every(Boolean) ? 0 : 1);
+} else if (command === 'check-builtins') {
+  const dir = './src/data/puzzles';
+  const files = readdirSync(dir).filter((file) => file.endsWith('.json'));
+  const results = files.map((file) => report(file, readFileSync(`${dir}/${file}`, 'utf8')));
+  process.exit(results.every(Boolean) ? 0 : 1);
+} else {
+  console.error('Usage: puzzle-json.mjs export <puzzle-id> | validate <file.json>... | check-builtins');
+  process.exit(1);
+}
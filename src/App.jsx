@@ -1,15 +1,57 @@
 /* global __BUILD_TIME__ */
-import { useState, useCallback, useEffect, useRef } from 'react';
+import {
+  useState,
+  useCallback,
+  useEffect,
+  useRef,
+  useMemo,
+} from 'react';
 import GameBoard from './components/GameBoard';
 import SuspectCard from './components/SuspectCard';
 import GridEditor from './components/GridEditor';
+import SolverReplayPanel from './components/SolverReplayPanel';
+import KeyboardHelp from './components/KeyboardHelp';
+import StatsScreen from './components/StatsScreen';
+import RunTimer from './components/RunTimer';
 import {
   getPuzzle,
   defaultPuzzleId,
   puzzleList,
+  registerPuzzle,
 } from './data/puzzles';
-import { useGameState, useHints, useValidation } from './hooks';
-import { solveFromState } from './engine/hintEngine';
+import {
+  loadPuzzleJson,
+  formatLoadError,
+} from './data/puzzles/loader';
+import {
+  decodePuzzleCode,
+  buildPuzzleCodeUrl,
+  parsePuzzleCodeHash,
+  readPuzzleCode,
+} from './data/puzzles/puzzleCode';
+import {
+  useGameState,
+  useHints,
+  useValidation,
+  useSavedGame,
+  useSolverReplay,
+  useKeyboardPlay,
+  useStats,
+  usePuzzleRatings,
+} from './hooks';
+import {
+  loadLastPuzzleId,
+  loadPreference,
+  savePreference,
+} from './utils/saveGame';
+import {
+  buildShareUrl,
+  decodeBoard,
+  parseShareHash,
+} from './utils/shareLink';
+import { formatHintCounts, formatRunSummary } from './utils/stats';
+import { MESSAGES, HINT_LEVELS, parseCellKey } from './constants';
+import { solveFromState, getDebugState } from './engine/hintEngine';
 import { puzzles } from './data/puzzles';
 
 // DEV: Run solver test on all puzzles at startup
@@ -28,35 +70,121 @@ if (import.meta.env.DEV) {
   console.groupEnd();
 }
 
+/**
+ * Formats a solver-derived difficulty rating for display, flagging a
+ * mismatch with the puzzle's declared difficulty.
+ */
+function formatRating(rating) {
+  if (!rating) return 'rating…';
+  if (!rating.solved) return 'Unrated (solver gets stuck)';
+  const flag = rating.mismatch ? ' ⚠️' : '';
+  return `${rating.tier} ${rating.score}${flag}`;
+}
+
+/**
+ * Summarises hint ladder usage for the completion message, e.g.
+ * "Hints used: 2 nudges, 1 technique."
+ */
+function formatHintUsage(counts) {
+  const used = formatHintCounts(counts);
+  if (!used) return 'You solved it without hints!';
+  return `Hints used: ${used}.`;
+}
+
+/**
+ * Sums up this run for the completion message, e.g. "⏱️ 4:05 · 14
+ * placements · 2 undos · 0 wrong checks. Hints used: 1 nudge."
+ *
+ * @param {import('./hooks/useStats').RunResult} run - From finishRun
+ * @returns {string}
+ */
+function formatRunResult(run) {
+  const best = run.newBest ? ' 🏆 New personal best time!' : '';
+  return `${formatRunSummary(run)}. ${formatHintUsage(run.hints)}${best}`;
+}
+
+/**
+ * Lists highlighted cells in R#C# notation for screen readers, since the
+ * highlight colors alone say nothing, e.g. "Hint cells: R2C3, R2C5."
+ *
+ * @param {string} label - What the highlighted cells are
+ * @param {Object.<string, boolean>} cells - Highlighted cell keys
+ * @returns {string}
+ */
+function describeHighlightedCells(label, cells) {
+  const names = Object.keys(cells).map((cellKey) => {
+    const { row, col } = parseCellKey(cellKey);
+    return `R${row + 1}C${col + 1}`;
+  });
+  return names.length > 0 ? `${label}: ${names.join(', ')}.` : '';
+}
+
+/**
+ * Removes the hash from the address bar without adding a history entry
+ * or firing hashchange.
+ */
+function clearUrlHash() {
+  window.history.replaceState(
+    null,
+    '',
+    window.location.pathname + window.location.search,
+  );
+}
+
 /**
  * Main application component for Murdoku game.
  * Uses custom hooks for game state, hints, and validation.
  */
 function App() {
-  const [currentPuzzleId, setCurrentPuzzleId] =
-    useState(defaultPuzzleId);
+  const [currentPuzzleId, setCurrentPuzzleId] = useState(() => {
+    const sharedId = parseShareHash(window.location.hash)?.puzzleId;
+    if (sharedId && getPuzzle(sharedId)) return sharedId;
+    const lastId = loadLastPuzzleId();
+    return lastId && getPuzzle(lastId) ? lastId : defaultPuzzleId;
+  });
   const [editorMode, setEditorMode] = useState(
     () => window.location.hash === '#editor',
   );
-
-  // Listen for hash changes to toggle editor mode
-  useEffect(() => {
-    const handleHashChange = () => {
-      setEditorMode(window.location.hash === '#editor');
-    };
-    window.addEventListener('hashchange', handleHashChange);
-    return () =>
-      window.removeEventListener('hashchange', handleHashChange);
-  }, []);
+  // { fileName, errors } when a puzzle file failed to load
+  const [loadFailure, setLoadFailure] = useState(null);
+  const fileInputRef = useRef(null);
+  // Text in the "Paste Puzzle Code" box, or null while it's closed
+  const [codeInput, setCodeInput] = useState(null);
+  // Highest hint ladder rung Get Hint climbs to (1-based)
+  const [maxHintLevel, setMaxHintLevel] = useState(
+    HINT_LEVELS.length,
+  );
 
   const puzzle = getPuzzle(currentPuzzleId);
+  const getRating = usePuzzleRatings(puzzleList, puzzle);
+  const rating = getRating(puzzle);
   const { suspects } = puzzle;
 
   // Custom hooks for game logic
-  const gameState = useGameState(puzzle);
-  const { errorCells, hintCells, getHint, clearHighlights } =
-    useHints(puzzle);
-  const { checkCurrentSolution } = useValidation(puzzle);
+  const {
+    errorCells,
+    hintCells,
+    hintUsage,
+    getHint,
+    clearHighlights,
+    resetHintUsage,
+  } = useHints(puzzle, maxHintLevel);
+  const {
+    recordAction,
+    finishRun,
+    startRun,
+    resumeRun,
+    getElapsedMs,
+  } = useStats(puzzle, hintUsage);
+  const gameState = useGameState(puzzle, recordAction);
+  const { checkCurrentSolution, findConflicts } =
+    useValidation(puzzle);
+  const { resumeOffer, resumeGame, startOver } = useSavedGame(
+    puzzle,
+    gameState,
+  );
+  const solverReplay = useSolverReplay(puzzle);
+  const replayView = solverReplay.boardView;
 
   // Destructure game state for easier access
   const {
@@ -67,12 +195,14 @@ function App() {
     selectedCell,
     message,
     history,
+    future,
     placedCount,
     totalSuspects,
     handleSuspectClick,
     handleCellClick: gameHandleCellClick,
     handleCellRightClick: gameHandleCellRightClick,
     handleUndo,
+    handleRedo,
     handleReset: gameHandleReset,
     handleClearMarks,
     selectSuspect,
@@ -87,8 +217,104 @@ function App() {
     hasManualMark,
     hasPossibilityMark,
     saveToHistory,
+    beginHistoryGroup,
+    endHistoryGroup,
+    restoreState,
+    fillPossibilityMarks,
+    placeSuspect,
+    autoPrune,
+    toggleAutoPrune,
   } = gameState;
 
+  // Candidate overlay: what the solver still allows, recomputed as the
+  // board changes
+  const [showCandidates, setShowCandidates] = useState(false);
+  const debugState = useMemo(
+    () => (showCandidates ? getDebugState(puzzle, placements) : null),
+    [showCandidates, puzzle, placements],
+  );
+
+  // Live check: flag clues the placed suspects already break
+  const [liveCheck, setLiveCheck] = useState(() =>
+    loadPreference('liveCheck'),
+  );
+  const conflicts = useMemo(
+    () => (liveCheck ? findConflicts(placements) : null),
+    [liveCheck, findConflicts, placements],
+  );
+  const boardErrorCells = useMemo(
+    () =>
+      conflicts ? { ...errorCells, ...conflicts.cells } : errorCells,
+    [conflicts, errorCells],
+  );
+
+  // Drawn board: render from the layout instead of the scanned image.
+  // Puzzles without an image, or with boardStyle 'drawn', always are.
+  const [preferDrawnBoard, setPreferDrawnBoard] = useState(() =>
+    loadPreference('drawnBoard'),
+  );
+  const boardAlwaysDrawn =
+    !puzzle.backgroundImage || puzzle.boardStyle === 'drawn';
+  const drawnBoard = boardAlwaysDrawn || preferDrawnBoard;
+
+  // Keyboard play: arrows move the selected cell, keys act on it
+  const [showKeyboardHelp, setShowKeyboardHelp] = useState(false);
+  const openKeyboardHelp = useCallback(
+    () => setShowKeyboardHelp(true),
+    [],
+  );
+  const closeKeyboardHelp = useCallback(
+    () => setShowKeyboardHelp(false),
+    [],
+  );
+  // Stats screen: personal bests and solve history
+  const [showStats, setShowStats] = useState(false);
+  const closeStats = useCallback(() => setShowStats(false), []);
+  useKeyboardPlay(puzzle, gameState, {
+    enabled:
+      !editorMode &&
+      !solverReplay.replay &&
+      !showKeyboardHelp &&
+      !showStats,
+    onClearHighlights: clearHighlights,
+    onShowHelp: openKeyboardHelp,
+  });
+
+  // Color-blind mode: room hatching, room outlines and suspect badges
+  const [colorBlind, setColorBlind] = useState(() =>
+    loadPreference('colorBlind'),
+  );
+
+  /**
+   * Turns color-blind mode on or off.
+   */
+  function toggleColorBlind() {
+    const enabled = !colorBlind;
+    setColorBlind(enabled);
+    savePreference('colorBlind', enabled);
+  }
+
+  /**
+   * Switches between the background image and the drawn board.
+   */
+  function toggleDrawnBoard() {
+    const enabled = !preferDrawnBoard;
+    setPreferDrawnBoard(enabled);
+    savePreference('drawnBoard', enabled);
+  }
+
+  /**
+   * Turns live clue checking on or off.
+   */
+  function toggleLiveCheck() {
+    const enabled = !liveCheck;
+    setLiveCheck(enabled);
+    savePreference('liveCheck', enabled);
+    setMessage(
+      enabled ? MESSAGES.LIVE_CHECK_ON : MESSAGES.LIVE_CHECK_OFF,
+    );
+  }
+
   // Drag state - using ref to avoid re-renders during drag
   const dragStateRef = useRef({
     isDragging: false,
@@ -104,10 +330,12 @@ function App() {
    * Handles mouse/touch down on a cell to start drag operation.
    * - With suspect selected on empty cell: arm possibility drag; placement happens if no drag.
    * - With no suspect: start X drag.
+   * Everything until the pointer is released is one undo step.
    */
   const handleCellMouseDown = useCallback(
     (row, col, button) => {
       dragStateRef.current.isPointerDown = true;
+      beginHistoryGroup();
       clearHighlights();
       const existingSuspect = getSuspectAt(row, col);
 
@@ -202,6 +430,7 @@ function App() {
       }
     },
     [
+      beginHistoryGroup,
       clearHighlights,
       getSuspectAt,
       saveToHistory,
@@ -289,6 +518,7 @@ function App() {
       const { row, col } = dragStateRef.current.pendingPlacement;
       gameHandleCellClick(row, col, clearHighlights);
     }
+    endHistoryGroup();
 
     dragStateRef.current = {
       ...dragStateRef.current,
@@ -299,7 +529,7 @@ function App() {
       pendingPlacement: null,
       isPointerDown: false,
     };
-  }, [clearHighlights, gameHandleCellClick]);
+  }, [clearHighlights, gameHandleCellClick, endHistoryGroup]);
 
   // Global touchmove handler with debug logging
   useEffect(() => {
@@ -457,8 +687,207 @@ function App() {
    */
   const handleReset = useCallback(() => {
     clearHighlights();
+    resetHintUsage();
+    startRun();
     gameHandleReset();
-  }, [clearHighlights, gameHandleReset]);
+  }, [clearHighlights, resetHintUsage, startRun, gameHandleReset]);
+
+  /**
+   * Resumes the saved game, with its clock, counters and hint usage.
+   */
+  function handleResume() {
+    const savedRun = resumeRun();
+    if (savedRun) resetHintUsage(savedRun.hints);
+    resumeGame();
+  }
+
+  /**
+   * Discards the saved game and starts the clock afresh.
+   */
+  function handleStartOver() {
+    startOver();
+    startRun();
+  }
+
+  /**
+   * Opens the puzzle and board from a share link in the URL hash, then
+   * drops the hash so a reload goes back to the saved game.
+   */
+  const openSharedBoard = useCallback(() => {
+    const shared = parseShareHash(window.location.hash);
+    if (!shared) return;
+    clearUrlHash();
+
+    const sharedPuzzle = getPuzzle(shared.puzzleId);
+    if (!sharedPuzzle) {
+      setMessage(
+        `The shared puzzle "${shared.puzzleId}" isn't available here.`,
+      );
+      return;
+    }
+    if (sharedPuzzle.id !== currentPuzzleId) {
+      setCurrentPuzzleId(sharedPuzzle.id);
+      handleReset();
+    }
+    if (!shared.code) return;
+
+    const { state, dropped, error } = decodeBoard(
+      sharedPuzzle,
+      shared.code,
+    );
+    if (!state) {
+      setMessage(`⚠️ ${error} Showing ${sharedPuzzle.name} instead.`);
+      return;
+    }
+    clearHighlights();
+    restoreState(
+      state,
+      dropped > 0
+        ? `${MESSAGES.SHARED_BOARD_OPENED} ${dropped} mark${
+            dropped > 1 ? 's' : ''
+          } that no longer fit this puzzle were skipped.`
+        : MESSAGES.SHARED_BOARD_OPENED,
+    );
+  }, [
+    currentPuzzleId,
+    handleReset,
+    clearHighlights,
+    restoreState,
+    setMessage,
+  ]);
+
+  /**
+   * Copies a link that opens this puzzle with the current board.
+   */
+  async function handleShareBoard() {
+    const url = buildShareUrl(
+      puzzle,
+      { placements, markedCells, possibilityMarks },
+      window.location.href.split('#')[0],
+    );
+    try {
+      await navigator.clipboard.writeText(url);
+      setMessage(MESSAGES.SHARE_LINK_COPIED);
+    } catch {
+      setMessage(`Copy this link to share the board: ${url}`);
+    }
+  }
+
+  /**
+   * Switches to a puzzle loaded from a file or puzzle code, or lists the
+   * validation errors if it can't be played.
+   *
+   * @param {import('./data/puzzles/loader').LoadResult} result
+   * @param {string} source - Named in the error list, e.g. the file name
+   * @returns {boolean} Whether the puzzle opened
+   */
+  const openLoadedPuzzle = useCallback(
+    ({ puzzle: loaded, errors }, source) => {
+      if (!loaded) {
+        setLoadFailure({ fileName: source, errors });
+        return false;
+      }
+      if (!registerPuzzle(loaded)) {
+        setLoadFailure({
+          fileName: source,
+          errors: [
+            {
+              path: 'id',
+              message: `"${loaded.id}" is already used by a built-in puzzle; give the puzzle its own id`,
+            },
+          ],
+        });
+        return false;
+      }
+      setLoadFailure(null);
+      clearUrlHash();
+      setCurrentPuzzleId(loaded.id);
+      handleReset();
+      return true;
+    },
+    [handleReset],
+  );
+
+  /**
+   * Opens a puzzle code and puts it in the URL hash, so a reload or a
+   * copy of the address bar brings the puzzle back.
+   *
+   * @param {string} code
+   * @returns {Promise<boolean>} Whether the puzzle opened
+   */
+  const openPuzzleCode = useCallback(
+    async (code) => {
+      const opened = openLoadedPuzzle(
+        await decodePuzzleCode(code),
+        'the puzzle code',
+      );
+      if (opened) {
+        window.history.replaceState(
+          null,
+          '',
+          buildPuzzleCodeUrl(
+            code,
+            window.location.pathname + window.location.search,
+          ),
+        );
+      }
+      return opened;
+    },
+    [openLoadedPuzzle],
+  );
+
+  // Latest handler for the URL hash, so the listener below is added once
+  const handleHashRef = useRef(null);
+  useEffect(() => {
+    handleHashRef.current = () => {
+      setEditorMode(window.location.hash === '#editor');
+      const code = parsePuzzleCodeHash(window.location.hash);
+      if (code) {
+        openPuzzleCode(code);
+      } else {
+        openSharedBoard();
+      }
+    };
+  });
+
+  // Open share links on load and whenever the hash changes
+  useEffect(() => {
+    const handleHashChange = () => handleHashRef.current();
+    handleHashChange();
+    window.addEventListener('hashchange', handleHashChange);
+    return () =>
+      window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  /**
+   * Opens the puzzle code (or link) typed into the paste box.
+   */
+  async function handleOpenCode() {
+    if (await openPuzzleCode(readPuzzleCode(codeInput) || '')) {
+      setCodeInput(null);
+    }
+  }
+
+  /**
+   * Loads a puzzle from a JSON file and switches to it.
+   */
+  async function handlePuzzleFile(file) {
+    openLoadedPuzzle(loadPuzzleJson(await file.text()), file.name);
+  }
+
+  /**
+   * Accepts puzzle files dropped anywhere on the page.
+   */
+  function handleFileDragOver(e) {
+    if (e.dataTransfer.types.includes('Files')) e.preventDefault();
+  }
+
+  function handleFileDrop(e) {
+    const file = e.dataTransfer.files[0];
+    if (!file) return;
+    e.preventDefault();
+    handlePuzzleFile(file);
+  }
 
   /**
    * Gets a hint and handles the result.
@@ -484,7 +913,11 @@ function App() {
     }
 
     if (result.hint) {
-      setMessage(result.hint.message);
+      if (result.placement) {
+        const { suspect, row, col } = result.placement;
+        placeSuspect(suspect, row, col);
+      }
+      setMessage(result.message);
       if (result.suspectToSelect) {
         selectSuspect(result.suspectToSelect);
       }
@@ -493,10 +926,17 @@ function App() {
 
   /**
    * Gets the congratulations or failure message based on solution result.
+   * A valid answer other than the intended one is accepted with a note.
+   * Solved messages end with this run's numbers, so solving finishes the
+   * run.
    */
   const getSolutionMessage = useCallback(
     (result) => {
-      if (result.isComplete) {
+      if (result.isComplete && !result.matchesIntended) {
+        return `🎉 Solved! Every clue checks out. Your answer differs from the intended solution, so this puzzle has more than one valid answer. ${formatRunResult(
+          finishRun(),
+        )}`;
+      } else if (result.isComplete) {
         const murdererSuspect = suspects.find(
           (s) => s.id === puzzle.murderer,
         );
@@ -510,15 +950,21 @@ function App() {
           murdererSuspect?.name || 'Unknown'
         } who was alone with ${
           victimSuspect?.name || 'the victim'
-        } in the ${roomName}!`;
+        } in the ${roomName}! ${formatRunResult(finishRun())}`;
       } else {
-        const wrongCount = totalSuspects - result.correctCount;
+        const wrongCount = result.violations.length;
+        const details = result.violations
+          .map(
+            ({ suspect, problems }) =>
+              `${suspect.name}: ${problems.join('; ')}`,
+          )
+          .join(' · ');
         return `❌ Not quite right! ${wrongCount} suspect${
-          wrongCount > 1 ? 's are' : ' is'
-        } in the wrong position. Keep trying!`;
+          wrongCount > 1 ? 's break' : ' breaks'
+        } a rule or clue. ${details}. Keep trying!`;
       }
     },
-    [puzzle, suspects, totalSuspects],
+    [puzzle, suspects, finishRun],
   );
 
   /**
@@ -551,6 +997,7 @@ function App() {
       return;
     }
 
+    if (!result.isComplete) recordAction('wrongCheck');
     setMessage(getSolutionMessage(result));
   }
 
@@ -567,7 +1014,11 @@ function App() {
   }
 
   return (
-    <div className="min-h-screen p-4 md:p-8">
+    <div
+      className="min-h-screen p-4 md:p-8"
+      onDragOver={handleFileDragOver}
+      onDrop={handleFileDrop}
+    >
       <header className="text-center mb-8">
         <h1 className="text-4xl md:text-5xl font-bold text-transparent bg-clip-text bg-gradient-to-r from-teal-400 to-pink-500 mb-2">
           MURDOKU
@@ -576,12 +1027,20 @@ function App() {
           {puzzle.subtitle}
         </p>
         <p className="text-yellow-400 text-xs mt-1">
-          Difficulty: {puzzle.difficulty}
+          Difficulty: {puzzle.difficulty} · Rated:{' '}
+          {formatRating(rating)}
         </p>
+        {rating?.mismatch && (
+          <p className="text-orange-400 text-xs">
+            Solver rates this puzzle {rating.tier}, not{' '}
+            {puzzle.difficulty}
+          </p>
+        )}
         {puzzleList.length > 1 && (
           <select
             value={currentPuzzleId}
             onChange={(e) => {
+              clearUrlHash();
               setCurrentPuzzleId(e.target.value);
               handleReset();
             }}
@@ -589,7 +1048,7 @@ function App() {
           >
             {puzzleList.map((p) => (
               <option key={p.id} value={p.id}>
-                {p.name} ({p.difficulty})
+                {`${p.name} (${p.difficulty} · rated ${formatRating(getRating(p))})`}
               </option>
             ))}
           </select>
@@ -603,6 +1062,77 @@ function App() {
         >
           Grid Editor
         </button>
+        <button
+          onClick={() => fileInputRef.current.click()}
+          title="Open a puzzle .json file (or drop one onto the page)"
+          className="ml-2 mt-2 px-3 py-1 bg-gray-600 hover:bg-gray-700 text-gray-300 rounded-lg text-sm"
+        >
+          Open Puzzle File
+        </button>
+        <button
+          onClick={() => setCodeInput(codeInput === null ? '' : null)}
+          title="Open a puzzle someone shared from the Grid Editor"
+          className="ml-2 mt-2 px-3 py-1 bg-gray-600 hover:bg-gray-700 text-gray-300 rounded-lg text-sm"
+        >
+          Paste Puzzle Code
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          className="hidden"
+          onChange={(e) => {
+            if (e.target.files[0])
+              handlePuzzleFile(e.target.files[0]);
+            e.target.value = '';
+          }}
+        />
+        {codeInput !== null && (
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              handleOpenCode();
+            }}
+            className="max-w-2xl mx-auto mt-4 flex gap-2"
+          >
+            <input
+              autoFocus
+              value={codeInput}
+              onChange={(e) => setCodeInput(e.target.value)}
+              placeholder="Paste a puzzle code or link"
+              className="flex-1 px-3 py-1 bg-gray-700 text-white rounded-lg text-sm font-mono"
+            />
+            <button
+              type="submit"
+              disabled={!codeInput.trim()}
+              className="px-3 py-1 bg-teal-600 hover:bg-teal-700 disabled:bg-gray-500 text-white rounded-lg font-semibold text-sm"
+            >
+              Open
+            </button>
+          </form>
+        )}
+        {loadFailure && (
+          <div className="max-w-2xl mx-auto mt-4 p-3 bg-red-900/50 border border-red-500 rounded-lg text-left">
+            <div className="flex justify-between items-start mb-1">
+              <p className="text-red-300 text-sm font-semibold">
+                Couldn&apos;t load {loadFailure.fileName} (
+                {loadFailure.errors.length} error
+                {loadFailure.errors.length > 1 ? 's' : ''})
+              </p>
+              <button
+                onClick={() => setLoadFailure(null)}
+                className="text-red-300 hover:text-white text-sm ml-2"
+              >
+                ✕
+              </button>
+            </div>
+            <ul className="text-red-200 text-xs font-mono max-h-48 overflow-y-auto">
+              {loadFailure.errors.map((error, i) => (
+                <li key={i}>{formatLoadError(error)}</li>
+              ))}
+            </ul>
+          </div>
+        )}
       </header>
 
       <div className="max-w-6xl mx-auto flex flex-col lg:flex-row gap-8">
@@ -611,26 +1141,95 @@ function App() {
             <h2 className="text-xl font-bold text-white mb-4 text-center">
               Game Board
             </h2>
-            <GameBoard
-              puzzle={puzzle}
-              markedCells={markedCells}
-              possibilityMarks={possibilityMarks}
-              selectedCell={selectedCell}
-              onCellClick={handleCellClick}
-              onCellRightClick={handleCellRightClick}
-              onCellMouseDown={handleCellMouseDown}
-              onCellMouseEnter={handleCellMouseEnter}
-              onDragEnd={handleDragEnd}
-              getSuspectAt={getSuspectAt}
-              errorCells={errorCells}
-              hintCells={hintCells}
-            />
+            {resumeOffer && (
+              <div className="mb-4 p-3 bg-teal-900/50 border border-teal-500 rounded-lg text-center">
+                <p className="text-teal-200 text-sm mb-2">
+                  📂 You have a game in progress from{' '}
+                  {new Date(resumeOffer.savedAt).toLocaleString()} (
+                  {Object.keys(resumeOffer.state.placements).length}/
+                  {totalSuspects} suspects placed).
+                </p>
+                <div className="flex gap-2 justify-center">
+                  <button
+                    onClick={handleResume}
+                    className="px-3 py-1 bg-teal-600 hover:bg-teal-700 text-white rounded-lg font-semibold text-sm"
+                  >
+                    Resume
+                  </button>
+                  <button
+                    onClick={handleStartOver}
+                    className="px-3 py-1 bg-gray-600 hover:bg-gray-700 text-white rounded-lg font-semibold text-sm"
+                  >
+                    Start Over
+                  </button>
+                </div>
+              </div>
+            )}
+            {replayView ? (
+              <GameBoard
+                puzzle={puzzle}
+                markedCells={{}}
+                selectedCell={replayView.selectedCell}
+                onCellClick={handleCellClick}
+                onCellRightClick={handleCellRightClick}
+                onCellMouseDown={handleCellMouseDown}
+                onCellMouseEnter={handleCellMouseEnter}
+                onDragEnd={handleDragEnd}
+                getSuspectAt={replayView.getSuspectAt}
+                hintCells={replayView.hintCells}
+                eliminatedCells={replayView.eliminatedCells}
+                readOnly
+                drawn={drawnBoard}
+                colorBlind={colorBlind}
+              />
+            ) : (
+              <GameBoard
+                puzzle={puzzle}
+                markedCells={markedCells}
+                possibilityMarks={possibilityMarks}
+                selectedCell={selectedCell}
+                onCellClick={handleCellClick}
+                onCellRightClick={handleCellRightClick}
+                onCellMouseDown={handleCellMouseDown}
+                onCellMouseEnter={handleCellMouseEnter}
+                onDragEnd={handleDragEnd}
+                getSuspectAt={getSuspectAt}
+                errorCells={boardErrorCells}
+                hintCells={hintCells}
+                candidateMap={debugState?.cellCandidates}
+                drawn={drawnBoard}
+                colorBlind={colorBlind}
+              />
+            )}
 
-            <div className="mt-6 p-4 bg-gray-700/50 rounded-lg">
-              <p className="text-gray-200 text-sm text-center">
-                {message}
-              </p>
-            </div>
+            {solverReplay.replay ? (
+              <SolverReplayPanel
+                replay={solverReplay.replay}
+                frameIndex={solverReplay.frameIndex}
+                isPlaying={solverReplay.isPlaying}
+                onGoToFrame={solverReplay.goToFrame}
+                onTogglePlaying={solverReplay.togglePlaying}
+                onClose={solverReplay.stopReplay}
+              />
+            ) : (
+              <div
+                className="mt-6 p-4 bg-gray-700/50 rounded-lg"
+                role="status"
+                aria-live="polite"
+                aria-atomic="true"
+              >
+                <p className="text-gray-200 text-sm text-center">
+                  {message}
+                </p>
+                <p className="sr-only">
+                  {describeHighlightedCells('Hint cells', hintCells)}{' '}
+                  {describeHighlightedCells(
+                    'Cells to check',
+                    errorCells,
+                  )}
+                </p>
+              </div>
+            )}
 
             <div className="mt-4 flex flex-wrap gap-2 justify-center">
               <button
@@ -658,12 +1257,116 @@ function App() {
               >
                 Undo
               </button>
+              <button
+                onClick={handleRedo}
+                disabled={future.length === 0}
+                className="px-3 py-2 bg-yellow-600 hover:bg-yellow-700 disabled:bg-gray-500 disabled:cursor-not-allowed text-white rounded-lg font-semibold transition-colors text-sm"
+              >
+                Redo
+              </button>
               <button
                 onClick={handleGetHint}
                 className="px-3 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-lg font-semibold transition-colors text-sm"
               >
                 💡 Get Hint
               </button>
+              <label
+                className="flex items-center gap-1 text-gray-300 text-sm"
+                title="How far Get Hint goes: each press reveals the next step of the same hint"
+              >
+                up to
+                <select
+                  value={maxHintLevel}
+                  onChange={(e) => {
+                    setMaxHintLevel(Number(e.target.value));
+                    clearHighlights();
+                  }}
+                  className="bg-gray-700 text-white rounded px-1 py-1"
+                >
+                  {HINT_LEVELS.map((level, i) => (
+                    <option
+                      key={level.id}
+                      value={i + 1}
+                      title={level.description}
+                    >
+                      {level.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <button
+                onClick={handleShareBoard}
+                title="Copy a link that opens this puzzle with your current board"
+                className="px-3 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-semibold transition-colors text-sm"
+              >
+                🔗 Share Board
+              </button>
+              <button
+                onClick={() => {
+                  clearHighlights();
+                  solverReplay.startReplay(placements);
+                }}
+                disabled={!!solverReplay.replay}
+                title="Watch the solver finish the puzzle from your board, step by step"
+                className="px-3 py-2 bg-teal-600 hover:bg-teal-700 disabled:bg-gray-500 disabled:cursor-not-allowed text-white rounded-lg font-semibold transition-colors text-sm"
+              >
+                🎬 Explain Solve
+              </button>
+              <button
+                onClick={() => setShowCandidates((show) => !show)}
+                aria-pressed={showCandidates}
+                title="Show every suspect the solver still allows in each cell"
+                className={`px-3 py-2 ${
+                  showCandidates
+                    ? 'bg-teal-700 ring-2 ring-teal-300'
+                    : 'bg-gray-600 hover:bg-gray-700'
+                } text-white rounded-lg font-semibold transition-colors text-sm`}
+              >
+                🔬 Candidates
+              </button>
+              <button
+                onClick={toggleDrawnBoard}
+                disabled={boardAlwaysDrawn}
+                aria-pressed={drawnBoard}
+                title={
+                  boardAlwaysDrawn
+                    ? 'This puzzle is always drawn from its layout'
+                    : 'Draw the board from its rooms and furniture instead of the picture'
+                }
+                className={`px-3 py-2 ${
+                  drawnBoard
+                    ? 'bg-teal-700 ring-2 ring-teal-300'
+                    : 'bg-gray-600 hover:bg-gray-700'
+                } disabled:cursor-not-allowed disabled:opacity-60 text-white rounded-lg font-semibold transition-colors text-sm`}
+              >
+                🗺️ Drawn Board
+              </button>
+              <button
+                onClick={toggleColorBlind}
+                aria-pressed={colorBlind}
+                title="Hatch rooms, outline their walls and badge suspects with a shape and initial, so nothing depends on color"
+                className={`px-3 py-2 ${
+                  colorBlind
+                    ? 'bg-teal-700 ring-2 ring-teal-300'
+                    : 'bg-gray-600 hover:bg-gray-700'
+                } text-white rounded-lg font-semibold transition-colors text-sm`}
+              >
+                👁️ Color-blind
+              </button>
+              <button
+                onClick={openKeyboardHelp}
+                title="Keyboard shortcuts (?)"
+                className="px-3 py-2 bg-gray-600 hover:bg-gray-700 text-white rounded-lg font-semibold transition-colors text-sm"
+              >
+                ⌨️ Keys
+              </button>
+              <button
+                onClick={() => setShowStats(true)}
+                title="Personal bests and solve history for each puzzle"
+                className="px-3 py-2 bg-gray-600 hover:bg-gray-700 text-white rounded-lg font-semibold transition-colors text-sm"
+              >
+                📊 Stats
+              </button>
             </div>
 
             <div className="mt-4 text-center">
@@ -675,6 +1378,8 @@ function App() {
                 {' '}
                 / {totalSuspects} suspects placed
               </span>
+              <span className="text-gray-600"> · </span>
+              <RunTimer getElapsedMs={getElapsedMs} />
             </div>
           </div>
 
@@ -695,6 +1400,11 @@ function App() {
                 • <strong>Right-click with suspect selected</strong>{' '}
                 to mark possible locations (shows initial)
               </li>
+              <li>
+                • <strong>Keyboard:</strong> arrows pick a cell, a
+                suspect&apos;s number or initial picks them, Enter
+                places (press ? for all keys)
+              </li>
               <li>
                 • <strong>Rule:</strong> One person per row and column
               </li>
@@ -714,14 +1424,54 @@ function App() {
             <h2 className="text-xl font-bold text-white mb-4">
               Suspects & Clues
             </h2>
+            <div className="flex flex-wrap items-center gap-3 mb-3">
+              <button
+                onClick={() => fillPossibilityMarks(selectedSuspect)}
+                title="Pencil in every cell the solver still allows, based on your placements"
+                className="px-3 py-1 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg font-semibold transition-colors text-sm"
+              >
+                ✏️ Fill marks:{' '}
+                {selectedSuspect ? selectedSuspect.name : 'everyone'}
+              </button>
+              <label className="flex items-center gap-1 text-gray-300 text-sm cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={autoPrune}
+                  onChange={toggleAutoPrune}
+                />
+                Auto-prune
+              </label>
+              <label
+                className="flex items-center gap-1 text-gray-300 text-sm cursor-pointer"
+                title="Highlight suspects whose clues are already broken by the board, without using the solution"
+              >
+                <input
+                  type="checkbox"
+                  checked={liveCheck}
+                  onChange={toggleLiveCheck}
+                />
+                Live check
+              </label>
+            </div>
             <div className="space-y-2">
-              {suspects.map((suspect) => (
+              {suspects.map((suspect, index) => (
                 <SuspectCard
                   key={suspect.id}
                   suspect={suspect}
+                  index={index}
+                  colorBlind={colorBlind}
                   isSelected={selectedSuspect?.id === suspect.id}
                   isPlaced={isSuspectPlaced(suspect.id)}
                   onClick={handleSuspectClick}
+                  brokenClues={conflicts?.suspects[suspect.id]}
+                  candidateCount={
+                    debugState && !isSuspectPlaced(suspect.id)
+                      ? (
+                          debugState.suspectCandidates[suspect.id] ||
+                          []
+                        ).length
+                      : null
+                  }
                 />
               ))}
             </div>
@@ -729,6 +1479,17 @@ function App() {
         </div>
       </div>
 
+      {showKeyboardHelp && (
+        <KeyboardHelp onClose={closeKeyboardHelp} />
+      )}
+      {showStats && (
+        <StatsScreen
+          puzzles={puzzleList}
+          currentPuzzleId={currentPuzzleId}
+          onClose={closeStats}
+        />
+      )}
+
       <footer className="text-center mt-8 text-gray-500 text-xs">
         <p>Based on the Murdoku puzzle concept</p>
         <p className="mt-1 text-gray-600">
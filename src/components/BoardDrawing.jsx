@@ -0,0 +1,147 @@
+import { useMemo } from 'react';
+import { cellTypes } from '../data/gameData';
+import { getRoomWalls } from '../engine/boardUtils';
+
+/**
+ * @typedef {import('../types').Puzzle} Puzzle
+ */
+
+/**
+ * Icon drawn on each cell type. Empty floor is left blank.
+ */
+const CELL_TYPE_ICONS = {
+  [cellTypes.EMPTY]: '',
+  [cellTypes.CARPET]: '🧶',
+  [cellTypes.CHAIR]: '🪑',
+  [cellTypes.CAR]: '🚗',
+  [cellTypes.TV]: '📺',
+  [cellTypes.SHELF]: '📚',
+  [cellTypes.TABLE]: '🍽️',
+  [cellTypes.FLOWERS]: '🌷',
+  [cellTypes.LILY_PAD]: '🪷',
+  [cellTypes.TREE]: '🌳',
+  [cellTypes.BUSH]: '🌿',
+  [cellTypes.BED]: '🛏️',
+  [cellTypes.COUCH]: '🛋️',
+  [cellTypes.OIL_SLICK]: '🛢️',
+  [cellTypes.POND_WATER]: '💧',
+  [cellTypes.HORSE]: '🐎',
+  [cellTypes.PLANT]: '🪴',
+  [cellTypes.TRACK]: '🛤️',
+  [cellTypes.FINISHING_LINE]: '🏁',
+  [cellTypes.BONSAI]: '🎋',
+  [cellTypes.CACTUS]: '🌵',
+  [cellTypes.SHRUB]: '🌱',
+  [cellTypes.PATH]: '👣',
+  [cellTypes.BOX]: '📦',
+};
+
+/**
+ * Draws a board from its layout, for puzzles without a background image
+ * (or when the player prefers it): room colors, thick walls on room
+ * boundaries, an icon per cell type, and row/column numbers matching the
+ * R#C# notation in hints. Sits underneath GameBoard's cell grid.
+ *
+ * @param {Object} props
+ * @param {Puzzle} props.puzzle - Puzzle data
+ * @param {number} props.labelSize - Width of the row/column label gutter in pixels
+ * @returns {JSX.Element}
+ */
+function BoardDrawing({ puzzle, labelSize }) {
+  const { boardLayout, rooms, gridSize, cellSize } = puzzle;
+  const walls = useMemo(
+    () => getRoomWalls(boardLayout),
+    [boardLayout]
+  );
+  const boardSize = gridSize * cellSize;
+  const wallWidth = Math.max(2, Math.round(cellSize / 12));
+  const labels = Array.from({ length: gridSize }, (_, i) => i);
+
+  return (
+    <svg
+      width={labelSize + boardSize}
+      height={labelSize + boardSize}
+      className="absolute inset-0 bg-gray-900 pointer-events-none"
+      aria-hidden="true"
+      style={{ zIndex: 0 }}
+    >
+      {labels.map((i) => (
+        <g
+          key={i}
+          fill="#9ca3af"
+          fontSize={Math.round(labelSize * 0.6)}
+          textAnchor="middle"
+          dominantBaseline="central"
+        >
+          <text
+            x={labelSize + (i + 0.5) * cellSize}
+            y={labelSize / 2}
+          >
+            {i + 1}
+          </text>
+          <text
+            x={labelSize / 2}
+            y={labelSize + (i + 0.5) * cellSize}
+          >
+            {i + 1}
+          </text>
+        </g>
+      ))}
+
+      <g transform={`translate(${labelSize} ${labelSize})`}>
+        {boardLayout.map((row, r) =>
+          row.map((cell, c) => (
+            <g key={`${r}-${c}`}>
+              <rect
+                x={c * cellSize}
+                y={r * cellSize}
+                width={cellSize}
+                height={cellSize}
+                fill={rooms[cell.room]?.color || '#4b5563'}
+                fillOpacity={0.6}
+              />
+              {CELL_TYPE_ICONS[cell.type] !== '' && (
+                <text
+                  x={(c + 0.5) * cellSize}
+                  y={(r + 0.5) * cellSize}
+                  fontSize={Math.round(cellSize * 0.45)}
+                  textAnchor="middle"
+                  dominantBaseline="central"
+                  opacity={0.85}
+                >
+                  {/* Unknown types show their name's first letter */}
+                  {CELL_TYPE_ICONS[cell.type] ??
+                    cell.type.charAt(0).toUpperCase()}
+                </text>
+              )}
+            </g>
+          ))
+        )}
+
+        {walls.map((wall, i) => (
+          <line
+            key={i}
+            x1={wall.x1 * cellSize}
+            y1={wall.y1 * cellSize}
+            x2={wall.x2 * cellSize}
+            y2={wall.y2 * cellSize}
+            stroke="#111827"
+            strokeWidth={wallWidth}
+            strokeLinecap="square"
+          />
+        ))}
+        <rect
+          x={wallWidth / 2}
+          y={wallWidth / 2}
+          width={boardSize - wallWidth}
+          height={boardSize - wallWidth}
+          fill="none"
+          stroke="#111827"
+          strokeWidth={wallWidth}
+        />
+      </g>
+    </svg>
+  );
+}
+
+export default BoardDrawing;
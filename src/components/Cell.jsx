@@ -1,5 +1,6 @@
 import { useRef, useEffect } from 'react';
 import { cellTypes, occupiableTypes } from '../data/gameData';
+import SuspectBadge from './SuspectBadge';
 
 /**
  * @typedef {import('../types').CellProps} CellProps
@@ -8,9 +9,13 @@ import { cellTypes, occupiableTypes } from '../data/gameData';
  * @typedef {import('../types').RoomMap} RoomMap
  */
 
+/**
+ * Readable name for each cell type, for tooltips and screen readers.
+ */
 const cellTypeNames = {
   [cellTypes.CARPET]: 'Carpet',
   [cellTypes.CHAIR]: 'Chair',
+  [cellTypes.CAR]: 'Car',
   [cellTypes.TV]: 'TV',
   [cellTypes.SHELF]: 'Shelf',
   [cellTypes.TABLE]: 'Table',
@@ -20,12 +25,18 @@ const cellTypeNames = {
   [cellTypes.BUSH]: 'Bush',
   [cellTypes.BED]: 'Bed',
   [cellTypes.COUCH]: 'Couch',
+  [cellTypes.OIL_SLICK]: 'Oil Slick',
   [cellTypes.POND_WATER]: 'Water',
   [cellTypes.EMPTY]: 'Empty',
   [cellTypes.HORSE]: 'Horse',
   [cellTypes.PLANT]: 'Plant',
   [cellTypes.TRACK]: 'Track',
   [cellTypes.FINISHING_LINE]: 'Finishing Line',
+  [cellTypes.BONSAI]: 'Bonsai',
+  [cellTypes.CACTUS]: 'Cactus',
+  [cellTypes.SHRUB]: 'Shrub',
+  [cellTypes.PATH]: 'Path',
+  [cellTypes.BOX]: 'Box',
 };
 
 /**
@@ -37,9 +48,45 @@ function getSuspectInitial(suspect) {
   return suspect.name.charAt(0).toUpperCase();
 }
 
+/**
+ * Pencil mark slots per cell, laid out 3x3 like Sudoku pencil marks.
+ */
+const PENCIL_SLOTS = 9;
+
+/**
+ * Places possibility marks in their slots. Each suspect has a fixed slot
+ * (its position in the puzzle), so a mark never moves as others come and
+ * go. On puzzles with more suspects than slots, the last slot is shared:
+ * it shows the only marked suspect from there on, or "+N" for several.
+ *
+ * @param {Suspect[]} possibleSuspects - Marked suspects
+ * @param {Object.<string, number>} suspectSlots - Suspect ID -> position in the puzzle
+ * @returns {Array<{ suspect?: Suspect, overflow?: number }|null>} PENCIL_SLOTS entries
+ */
+function getPencilSlots(possibleSuspects, suspectSlots) {
+  const slots = new Array(PENCIL_SLOTS).fill(null);
+  const shared = [];
+  for (const suspect of possibleSuspects) {
+    const slot = suspectSlots[suspect.id] ?? PENCIL_SLOTS - 1;
+    if (slot < PENCIL_SLOTS - 1) {
+      slots[slot] = { suspect };
+    } else {
+      shared.push(suspect);
+    }
+  }
+  if (shared.length === 1) {
+    slots[PENCIL_SLOTS - 1] = { suspect: shared[0] };
+  } else if (shared.length > 1) {
+    slots[PENCIL_SLOTS - 1] = { overflow: shared.length };
+  }
+  return slots;
+}
+
 /**
  * Renders an individual cell on the game board.
  * Displays suspect avatars, X marks, possibility initials, and various highlight states.
+ * As a grid cell it carries a text label with the same information, since
+ * the colors and emoji mean nothing to a screen reader.
  *
  * @param {CellProps} props - Component props
  * @param {CellData} props.cell - Cell data containing room and type
@@ -50,13 +97,18 @@ function getSuspectInitial(suspect) {
  * @param {boolean} props.isSelected - Whether cell is selected
  * @param {boolean} props.isError - Whether cell has error highlight
  * @param {boolean} props.isHint - Whether cell has hint highlight
- * @param {string[]} props.possibleSuspects - Array of suspects that could possibly be here
+ * @param {boolean} [props.isEliminated] - Whether a solver step being replayed eliminated this cell
+ * @param {Suspect[]} props.possibleSuspects - Suspects the player has pencilled in here
+ * @param {Object.<string, number>} [props.suspectSlots] - Suspect ID -> position in the puzzle, for stable pencil mark slots
+ * @param {Suspect[]|null} [props.candidates] - Suspects the solver still allows here, when the candidate overlay is on
  * @param {function(number, number): void} props.onCellClick - Left click handler
  * @param {function(number, number): void} props.onCellRightClick - Right click handler
  * @param {function(number, number): void} props.onCellMouseDown - Mouse down handler
  * @param {function(number, number): void} props.onCellMouseEnter - Mouse enter handler
  * @param {RoomMap} props.rooms - Room definitions
  * @param {number} props.cellSize - Cell size in pixels
+ * @param {string} [props.id] - Element ID, so the grid can point at the selected cell
+ * @param {boolean} [props.colorBlind] - Badge the suspect with a shape and initial, and vary highlight border styles
  * @returns {JSX.Element}
  */
 function Cell({
@@ -68,18 +120,32 @@ function Cell({
   isSelected,
   isError,
   isHint,
+  isEliminated = false,
   possibleSuspects = [],
+  suspectSlots = {},
+  candidates = null,
   onCellClick,
   onCellRightClick,
   onCellMouseDown,
   onCellMouseEnter,
   rooms,
   cellSize,
+  id,
+  colorBlind = false,
 }) {
   const cellRef = useRef(null);
   const roomData = rooms[cell.room];
   const isOccupiable = occupiableTypes.includes(cell.type);
   const hasSuspect = suspect !== null;
+  // The candidate overlay takes the place of the player's pencil marks
+  const showPossibilities =
+    !candidates &&
+    !hasSuspect &&
+    !isMarked &&
+    possibleSuspects.length > 0;
+  const pencilSlots = showPossibilities
+    ? getPencilSlots(possibleSuspects, suspectSlots)
+    : [];
 
   // Use ref-based event listeners for touch with { passive: false }
   // This allows preventDefault() to work and prevent click from firing
@@ -138,7 +204,57 @@ function Cell({
     const occupyStatus = isOccupiable
       ? 'Can be occupied'
       : 'Cannot be occupied';
-    return `${roomData.name} - ${typeName}: ${occupyStatus}`;
+    const lines = [`${roomData.name} - ${typeName}: ${occupyStatus}`];
+    if (showPossibilities) {
+      const names = possibleSuspects.map((s) => s.name).join(', ');
+      lines.push(`Possible: ${names}`);
+    }
+    if (candidates && isOccupiable) {
+      const names = candidates.map((s) => s.name).join(', ');
+      lines.push(`Solver candidates: ${names || 'none'}`);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Describes the cell for screen readers, e.g. "R3C5, Kitchen, Chair,
+   * empty, possible: Aaron, Bruce".
+   */
+  function getAriaLabel() {
+    const typeName = cellTypeNames[cell.type] || cell.type;
+    const parts = [`R${row + 1}C${col + 1}`, roomData.name, typeName];
+    if (hasSuspect) {
+      parts.push(suspect.name);
+    } else if (isMarked) {
+      parts.push('marked X');
+    } else if (isOccupiable) {
+      parts.push('empty');
+    } else {
+      parts.push('cannot be occupied');
+    }
+    if (showPossibilities) {
+      const names = possibleSuspects.map((s) => s.name).join(', ');
+      parts.push(`possible: ${names}`);
+    }
+    if (candidates && !hasSuspect && isOccupiable) {
+      const names = candidates.map((s) => s.name).join(', ');
+      parts.push(`solver candidates: ${names || 'none'}`);
+    }
+    if (isError) parts.push('flagged as wrong');
+    if (isEliminated) parts.push('ruled out');
+    if (isHint) parts.push('hint');
+    return parts.join(', ');
+  }
+
+  /**
+   * In color-blind mode, the orange, red and green highlights also get
+   * their own border style.
+   */
+  function getHighlightStyle() {
+    if (isError) return 'border-dashed';
+    if (isEliminated) return 'border-dotted';
+    if (isHint) return 'border-double';
+    return '';
   }
 
   function handleClick(e) {
@@ -163,6 +279,10 @@ function Cell({
   return (
     <div
       ref={cellRef}
+      id={id}
+      role="gridcell"
+      aria-label={getAriaLabel()}
+      aria-selected={!!isSelected}
       className={`
 				relative border flex items-center justify-center
 				cursor-pointer transition-all duration-200 select-none
@@ -174,10 +294,13 @@ function Cell({
 				${
           isError
             ? 'border-4 border-orange-500 bg-orange-500/30'
+            : isEliminated
+            ? 'border-4 border-red-500 bg-red-500/30'
             : isHint
             ? 'border-4 border-green-400 bg-green-400/30'
             : 'border-gray-600/50'
         }
+				${colorBlind ? getHighlightStyle() : ''}
 				hover:bg-white/20
 			`}
       style={{
@@ -199,15 +322,24 @@ function Cell({
     >
       {hasSuspect && (
         <div
+          aria-hidden="true"
           className="absolute inset-1 rounded-full flex items-center justify-center text-white font-bold text-xs shadow-lg border-2 border-white"
           style={{ backgroundColor: suspect.color }}
         >
           <span className="text-lg">{suspect.avatar}</span>
+          {colorBlind && (
+            <SuspectBadge
+              suspect={suspect}
+              index={suspectSlots[suspect.id] ?? 0}
+              className="absolute -bottom-1 -right-1"
+            />
+          )}
         </div>
       )}
 
       {isMarked && !hasSuspect && (
         <div
+          aria-hidden="true"
           className="absolute inset-0 flex items-center justify-center"
           style={{ pointerEvents: 'none' }}
         >
@@ -223,65 +355,54 @@ function Cell({
         </div>
       )}
 
-      {/* Possibility marks - show suspect initials in corners (hidden when cell has X mark) */}
-      {!hasSuspect && !isMarked && possibleSuspects.length > 0 && (
-        <div className="absolute inset-0 pointer-events-none">
-          {/* Top left - first suspect */}
-          {possibleSuspects[0] && (
-            <span
-              className="absolute top-0 left-0.5 text-xs font-bold"
-              style={{
-                color: possibleSuspects[0].color,
-                textShadow: '0px 0px 2px white, 0px 0px 2px white',
-                fontSize: cellSize < 40 ? '8px' : '10px',
-                lineHeight: 1,
-              }}
-            >
-              {getSuspectInitial(possibleSuspects[0])}
-            </span>
-          )}
-          {/* Top right - second suspect */}
-          {possibleSuspects[1] && (
-            <span
-              className="absolute top-0 right-0.5 text-xs font-bold"
-              style={{
-                color: possibleSuspects[1].color,
-                textShadow: '0px 0px 2px white, 0px 0px 2px white',
-                fontSize: cellSize < 40 ? '8px' : '10px',
-                lineHeight: 1,
-              }}
-            >
-              {getSuspectInitial(possibleSuspects[1])}
-            </span>
-          )}
-          {/* Bottom left - third suspect */}
-          {possibleSuspects[2] && (
+      {/* Candidate overlay - every suspect the solver still allows here */}
+      {candidates && !hasSuspect && isOccupiable && (
+        <div
+          aria-hidden="true"
+          className={`absolute inset-0 flex flex-wrap content-center justify-center gap-px pointer-events-none ${
+            candidates.length === 0 ? 'bg-black/60' : 'bg-black/40'
+          }`}
+        >
+          {candidates.map((s) => (
             <span
-              className="absolute bottom-0 left-0.5 text-xs font-bold"
+              key={s.id}
+              className="font-bold"
               style={{
-                color: possibleSuspects[2].color,
-                textShadow: '0px 0px 2px white, 0px 0px 2px white',
-                fontSize: cellSize < 40 ? '8px' : '10px',
+                color: s.color,
+                textShadow: '0px 0px 2px white',
+                fontSize: cellSize < 40 ? '7px' : '9px',
                 lineHeight: 1,
               }}
             >
-              {getSuspectInitial(possibleSuspects[2])}
+              {getSuspectInitial(s)}
             </span>
-          )}
-          {/* Bottom right - fourth suspect */}
-          {possibleSuspects[3] && (
+          ))}
+        </div>
+      )}
+
+      {/* Possibility marks - a 3x3 grid of initials, each suspect always
+          in the same slot (hidden when cell has X mark) */}
+      {showPossibilities && (
+        <div
+          aria-hidden="true"
+          className="absolute inset-0 grid grid-cols-3 grid-rows-3 pointer-events-none"
+        >
+          {pencilSlots.map((slot, i) => (
             <span
-              className="absolute bottom-0 right-0.5 text-xs font-bold"
+              key={i}
+              className="flex items-center justify-center font-bold"
               style={{
-                color: possibleSuspects[3].color,
+                // "+N" overflow slots have no suspect color
+                color: slot?.suspect?.color || '#1f2937',
                 textShadow: '0px 0px 2px white, 0px 0px 2px white',
-                fontSize: cellSize < 40 ? '8px' : '10px',
+                fontSize: cellSize < 40 ? '7px' : '9px',
                 lineHeight: 1,
               }}
             >
-              {getSuspectInitial(possibleSuspects[3])}
+              {slot?.suspect && getSuspectInitial(slot.suspect)}
+              {slot?.overflow && `+${slot.overflow}`}
             </span>
-          )}
+          ))}
         </div>
       )}
     </div>
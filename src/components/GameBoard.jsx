@@ -1,5 +1,10 @@
-import { useRef, useEffect } from 'react';
+import { useRef, useEffect, useMemo, useId } from 'react';
 import Cell from './Cell';
+import BoardDrawing from './BoardDrawing';
+import RoomPatterns from './RoomPatterns';
+
+// Stands in for the cell handlers while the board is read-only
+const ignore = () => {};
 
 /**
  * @typedef {import('../types').GameBoardProps} GameBoardProps
@@ -12,6 +17,13 @@ import Cell from './Cell';
 
 /**
  * Renders the game board with background image and cell grid.
+ * Drawn boards (puzzles without a background image, or by choice) are
+ * rendered from the layout by BoardDrawing instead of the scan.
+ *
+ * The cells form an ARIA grid with hidden row and column headers. The
+ * grid itself takes focus and points at the selected cell with
+ * aria-activedescendant, so moving the selection with the keyboard reads
+ * out the new cell without moving focus.
  *
  * @param {GameBoardProps} props - Component props
  * @param {Puzzle} props.puzzle - Puzzle data including layout and configuration
@@ -26,6 +38,11 @@ import Cell from './Cell';
  * @param {function(number, number): Suspect|null} props.getSuspectAt - Function to get suspect at position
  * @param {HighlightedCells} [props.errorCells] - Error highlight state
  * @param {HighlightedCells} [props.hintCells] - Hint highlight state
+ * @param {HighlightedCells} [props.eliminatedCells] - Cells eliminated by a replayed solver step
+ * @param {boolean} [props.readOnly] - Ignore clicks and drags (e.g. during a solver replay)
+ * @param {Object.<string, string[]>|null} [props.candidateMap] - Solver candidates per cell (cell key -> suspect IDs); shows the candidate overlay when set
+ * @param {boolean} [props.drawn] - Draw the board from the layout instead of using the background image (always the case without one)
+ * @param {boolean} [props.colorBlind] - Hatch rooms, outline their boundaries and badge suspects, so nothing relies on color alone
  * @returns {JSX.Element}
  */
 function GameBoard({
@@ -41,8 +58,14 @@ function GameBoard({
   getSuspectAt,
   errorCells = {},
   hintCells = {},
+  eliminatedCells = {},
+  readOnly = false,
+  candidateMap = null,
+  drawn = false,
+  colorBlind = false,
 }) {
   const gridRef = useRef(null);
+  const idPrefix = useId();
   const {
     boardLayout,
     backgroundImage,
@@ -52,6 +75,13 @@ function GameBoard({
     rooms,
     suspects,
   } = puzzle;
+  // Drawn boards replace the image's border with a row/column label
+  // gutter on the top and left
+  const isDrawn = drawn || !backgroundImage;
+  const labelSize = Math.max(16, Math.round(cellSize * 0.4));
+  const border = isDrawn
+    ? { top: labelSize, right: 0, bottom: 0, left: labelSize }
+    : imageBorder;
 
   // Use ref-based event listener for touchmove with { passive: false }
   useEffect(() => {
@@ -86,21 +116,48 @@ function GameBoard({
     };
   }, [onCellMouseEnter]);
 
+  // Each suspect's pencil mark slot: their position in the puzzle
+  const suspectSlots = useMemo(
+    () => Object.fromEntries(suspects.map((s, i) => [s.id, i])),
+    [suspects]
+  );
+
   /**
    * Gets the suspect objects for a cell's possibility marks.
    * @param {number} row - Row index
    * @param {number} col - Column index
-   * @returns {Suspect[]} Array of suspect objects sorted alphabetically by name
+   * @returns {Suspect[]} Array of suspect objects in puzzle order
    */
   function getPossibleSuspectsAt(row, col) {
     const cellKey = `${row}-${col}`;
     const suspectIds = possibilityMarks[cellKey] || [];
-    return suspectIds
-      .map((id) => suspects.find((s) => s.id === id))
-      .filter(Boolean)
-      .sort((a, b) => a.name.localeCompare(b.name));
+    return suspects.filter((s) => suspectIds.includes(s.id));
+  }
+
+  /**
+   * Gets the suspect objects the solver still allows in a cell, in
+   * puzzle order.
+   * @param {number} row - Row index
+   * @param {number} col - Column index
+   * @returns {Suspect[]|null} Null when the candidate overlay is off
+   */
+  function getCandidatesAt(row, col) {
+    if (!candidateMap) return null;
+    const suspectIds = candidateMap[`${row}-${col}`] || [];
+    return suspects.filter((s) => suspectIds.includes(s.id));
   }
 
+  /**
+   * @param {number} row - Row index
+   * @param {number} col - Column index
+   * @returns {string} DOM ID of the cell
+   */
+  function getCellId(row, col) {
+    return `${idPrefix}-cell-${row}-${col}`;
+  }
+
+  const labels = Array.from({ length: gridSize }, (_, i) => i + 1);
+
   return (
     <div className="flex flex-col items-center">
       <div className="relative">
@@ -109,87 +166,130 @@ function GameBoard({
           style={{
             position: 'relative',
             width: `${
-              cellSize * gridSize +
-              imageBorder.left +
-              imageBorder.right
+              cellSize * gridSize + border.left + border.right
             }px`,
             height: `${
-              cellSize * gridSize +
-              imageBorder.top +
-              imageBorder.bottom
+              cellSize * gridSize + border.top + border.bottom
             }px`,
           }}
         >
-          <img
-            src={backgroundImage}
-            alt="Game board background"
-            style={{
-              position: 'absolute',
-              top: 0,
-              left: 0,
-              width: '100%',
-              height: '100%',
-              objectFit: 'fill',
-              pointerEvents: 'none',
-              zIndex: 0,
-            }}
-          />
+          {isDrawn ? (
+            <BoardDrawing puzzle={puzzle} labelSize={labelSize} />
+          ) : (
+            <img
+              src={backgroundImage}
+              alt="Game board background"
+              style={{
+                position: 'absolute',
+                top: 0,
+                left: 0,
+                width: '100%',
+                height: '100%',
+                objectFit: 'fill',
+                pointerEvents: 'none',
+                zIndex: 0,
+              }}
+            />
+          )}
+          {colorBlind && (
+            <RoomPatterns puzzle={puzzle} offset={border} />
+          )}
           <div
             ref={gridRef}
+            role="grid"
+            aria-label={`${puzzle.name} board`}
+            aria-readonly={readOnly || undefined}
+            aria-activedescendant={
+              selectedCell
+                ? getCellId(selectedCell.row, selectedCell.col)
+                : undefined
+            }
+            tabIndex={0}
+            className="focus:outline-none focus-visible:ring-2 focus-visible:ring-yellow-400"
             onMouseUp={onDragEnd}
             onMouseLeave={onDragEnd}
             onContextMenu={(e) => e.preventDefault()}
             onTouchEnd={onDragEnd}
             style={{
               position: 'absolute',
-              top: imageBorder.top,
-              left: imageBorder.left,
+              top: border.top,
+              left: border.left,
               display: 'grid',
               gridTemplateColumns: `repeat(${gridSize}, ${cellSize}px)`,
               gridTemplateRows: `repeat(${gridSize}, ${cellSize}px)`,
               zIndex: 1,
             }}
           >
-            {boardLayout.map((row, rowIndex) =>
-              row.map((cell, colIndex) => {
-                const isSelected =
-                  selectedCell &&
-                  selectedCell.row === rowIndex &&
-                  selectedCell.col === colIndex;
-                const isMarked =
-                  markedCells[`${rowIndex}-${colIndex}`] || false;
-                const isError =
-                  errorCells[`${rowIndex}-${colIndex}`] || false;
-                const isHint =
-                  hintCells[`${rowIndex}-${colIndex}`] || false;
-                const suspect = getSuspectAt(rowIndex, colIndex);
-                const possibleSuspects = getPossibleSuspectsAt(
-                  rowIndex,
-                  colIndex
-                );
+            {/* Rows use display: contents so cells stay in the CSS grid;
+                the headers are screen-reader only and positioned out of
+                the grid flow */}
+            <div role="row" className="contents">
+              <span role="columnheader" className="sr-only" />
+              {labels.map((n) => (
+                <span key={n} role="columnheader" className="sr-only">
+                  Column {n}
+                </span>
+              ))}
+            </div>
+            {boardLayout.map((row, rowIndex) => (
+              <div key={rowIndex} role="row" className="contents">
+                <span role="rowheader" className="sr-only">
+                  Row {rowIndex + 1}
+                </span>
+                {row.map((cell, colIndex) => {
+                  const isSelected =
+                    selectedCell &&
+                    selectedCell.row === rowIndex &&
+                    selectedCell.col === colIndex;
+                  const isMarked =
+                    markedCells[`${rowIndex}-${colIndex}`] || false;
+                  const isError =
+                    errorCells[`${rowIndex}-${colIndex}`] || false;
+                  const isHint =
+                    hintCells[`${rowIndex}-${colIndex}`] || false;
+                  const isEliminated =
+                    eliminatedCells[`${rowIndex}-${colIndex}`] ||
+                    false;
+                  const suspect = getSuspectAt(rowIndex, colIndex);
+                  const possibleSuspects = getPossibleSuspectsAt(
+                    rowIndex,
+                    colIndex
+                  );
 
-                return (
-                  <Cell
-                    key={`${rowIndex}-${colIndex}`}
-                    cell={cell}
-                    row={rowIndex}
-                    col={colIndex}
-                    suspect={suspect}
-                    isMarked={isMarked}
-                    isSelected={isSelected}
-                    isError={isError}
-                    isHint={isHint}
-                    possibleSuspects={possibleSuspects}
-                    onCellClick={onCellClick}
-                    onCellRightClick={onCellRightClick}
-                    onCellMouseDown={onCellMouseDown}
-                    onCellMouseEnter={onCellMouseEnter}
-                    rooms={rooms}
-                    cellSize={cellSize}
-                  />
-                );
-              })
-            )}
+                  return (
+                    <Cell
+                      key={`${rowIndex}-${colIndex}`}
+                      id={getCellId(rowIndex, colIndex)}
+                      cell={cell}
+                      row={rowIndex}
+                      col={colIndex}
+                      suspect={suspect}
+                      isMarked={isMarked}
+                      isSelected={isSelected}
+                      isError={isError}
+                      isHint={isHint}
+                      isEliminated={isEliminated}
+                      possibleSuspects={possibleSuspects}
+                      suspectSlots={suspectSlots}
+                      candidates={getCandidatesAt(rowIndex, colIndex)}
+                      onCellClick={readOnly ? ignore : onCellClick}
+                      onCellRightClick={
+                        readOnly ? ignore : onCellRightClick
+                      }
+                      onCellMouseDown={
+                        readOnly ? ignore : onCellMouseDown
+                      }
+                      onCellMouseEnter={
+                        readOnly ? ignore : onCellMouseEnter
+                      }
+                      rooms={rooms}
+                      cellSize={cellSize}
+                      colorBlind={colorBlind}
+                    />
+                  );
+                })}
+              </div>
+            ))}
           </div>
         </div>
       </div>
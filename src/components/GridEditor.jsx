@@ -2,6 +2,28 @@
 import { useState, useCallback, useMemo } from 'react';
 import { cellTypes, occupiableTypes } from '../data/gameData';
 import { puzzles } from '../data/puzzles';
+import { verifyPlacements } from '../engine/verifier';
+import { draftHints } from '../engine/hintAuthor';
+import { lintPuzzle, summarizeLint } from '../engine/puzzleLint';
+import { findColorClashes } from '../engine/colorContrast';
+import {
+  encodePuzzleCode,
+  buildPuzzleCodeUrl,
+} from '../data/puzzles/puzzleCode';
+import {
+  puzzleToJson,
+  puzzleFieldToJson,
+} from '../data/puzzles/loader';
+import { usePuzzleGenerator } from '../hooks';
+
+/**
+ * Text colors for lint severities.
+ */
+const severityStyles = {
+  error: 'text-red-400',
+  warning: 'text-yellow-400',
+  info: 'text-gray-400',
+};
 
 /**
  * Abbreviations for cell types displayed in the grid.
@@ -119,6 +141,8 @@ function GridEditor({ puzzleId, onExit }) {
   const [newRoomId, setNewRoomId] = useState('');
   const [newRoomName, setNewRoomName] = useState('');
   const [imageOpacity, setImageOpacity] = useState(0.6);
+  const [generated, setGenerated] = useState(null); // { title, code, summary } or { title, error }
+  const { generating, generate } = usePuzzleGenerator();
 
   // Sorted room entries for display
   const roomEntries = useMemo(
@@ -138,6 +162,47 @@ function GridEditor({ puzzleId, onExit }) {
     return map;
   }, [solution]);
 
+  // Check the hand-entered solution against every clue on the edited board
+  const verification = useMemo(
+    () =>
+      verifyPlacements(
+        { ...originalPuzzle, boardLayout, rooms },
+        solutionByCell,
+      ),
+    [originalPuzzle, boardLayout, rooms, solutionByCell],
+  );
+
+  // Static checks for the puzzle as edited so far
+  const editedPuzzle = useMemo(
+    () => ({ ...originalPuzzle, boardLayout, rooms, solution }),
+    [originalPuzzle, boardLayout, rooms, solution],
+  );
+  const lintIssues = useMemo(
+    () => lintPuzzle(editedPuzzle),
+    [editedPuzzle],
+  );
+  const lintCounts = summarizeLint(lintIssues);
+
+  // Neighbouring rooms and suspects whose colors are hard to tell apart:
+  // kind -> id -> names of the others it clashes with
+  const colorClashes = useMemo(() => {
+    const byId = { rooms: {}, suspects: {} };
+    const nameOf = (kind, id) =>
+      kind === 'rooms'
+        ? rooms[id]?.name || id
+        : originalPuzzle.suspects.find((s) => s.id === id)?.name ||
+          id;
+    const add = (kind, id, otherId) => {
+      if (!byId[kind][id]) byId[kind][id] = [];
+      byId[kind][id].push(nameOf(kind, otherId));
+    };
+    for (const { kind, ids } of findColorClashes(editedPuzzle)) {
+      add(kind, ids[0], ids[1]);
+      add(kind, ids[1], ids[0]);
+    }
+    return byId;
+  }, [editedPuzzle, rooms, originalPuzzle]);
+
   /**
    * Gets a suspect object by ID.
    */
@@ -294,61 +359,85 @@ function GridEditor({ puzzleId, onExit }) {
   }, []);
 
   /**
-   * Generates the exportable boardLayout code string.
+   * Generates the exportable boardLayout JSON, to paste into a puzzle
+   * file.
    */
-  const generateBoardLayoutCode = useCallback(() => {
-    const lines = ['boardLayout: ['];
-    boardLayout.forEach((row, rowIndex) => {
-      lines.push(`\t\t// Row ${rowIndex}`);
-      lines.push('\t\t[');
-      row.forEach((cell) => {
-        const typeKey = Object.entries(cellTypes).find(
-          ([, v]) => v === cell.type,
-        )?.[0];
-        lines.push(
-          `\t\t\t{ room: '${cell.room}', type: cellTypes.${typeKey} },`,
-        );
-      });
-      lines.push('\t\t],');
-    });
-    lines.push('\t],');
-    return lines.join('\n');
-  }, [boardLayout]);
+  const generateBoardLayoutCode = useCallback(
+    () => puzzleFieldToJson('boardLayout', boardLayout),
+    [boardLayout],
+  );
 
   /**
-   * Generates the exportable rooms code string.
+   * Generates the exportable rooms JSON.
    */
-  const generateRoomsCode = useCallback(() => {
-    const lines = ['rooms: {'];
-    Object.entries(rooms).forEach(([id, room]) => {
-      lines.push(
-        `\t\t${id}: { name: '${room.name}', color: '${room.color}' },`,
-      );
-    });
-    lines.push('\t},');
-    return lines.join('\n');
-  }, [rooms]);
+  const generateRoomsCode = useCallback(
+    () => puzzleFieldToJson('rooms', rooms),
+    [rooms],
+  );
 
   /**
-   * Generates the exportable solution code string.
+   * Generates the exportable solution JSON. Suspects not yet placed are
+   * left out, and Puzzle Check reports them.
    */
   const generateSolutionCode = useCallback(() => {
-    const lines = ['solution: {'];
-    const suspectIds = originalPuzzle.suspects.map((s) => s.id);
-    for (const id of suspectIds) {
-      const pos = solution[id];
-      if (pos) {
-        lines.push(
-          `\t\t${id}: { row: ${pos.row}, col: ${pos.col} },`,
-        );
-      } else {
-        lines.push(`\t\t// ${id}: NOT PLACED`);
-      }
-    }
-    lines.push('\t},');
-    return lines.join('\n');
+    const placed = originalPuzzle.suspects
+      .filter((s) => solution[s.id])
+      .map((s) => [s.id, solution[s.id]]);
+    return puzzleFieldToJson('solution', Object.fromEntries(placed));
   }, [solution, originalPuzzle.suspects]);
 
+  /**
+   * Generates a new puzzle (suspects, clues, solution) on the edited board
+   * in a worker, and shows it as a puzzle file in the export panel.
+   */
+  const handleGeneratePuzzle = useCallback(async () => {
+    try {
+      const puzzle = await generate({
+        boardLayout,
+        rooms,
+        cellSize,
+        id: `${puzzleId}-generated`,
+        name: `${originalPuzzle.name} (Generated)`,
+      });
+      setGenerated({
+        title: 'Generated Puzzle',
+        puzzle,
+        code: puzzleToJson(puzzle),
+        summary: `${puzzle.suspects.length} suspects, rated ${puzzle.difficulty}`,
+      });
+    } catch (err) {
+      setGenerated({ title: 'Generated Puzzle', error: err.message });
+    }
+    setShowExport(true);
+  }, [
+    generate,
+    boardLayout,
+    rooms,
+    cellSize,
+    puzzleId,
+    originalPuzzle.name,
+  ]);
+
+  /**
+   * Drafts the curated hints array for the edited board from a solver run.
+   */
+  const handleDraftHints = useCallback(() => {
+    const hints = draftHints({
+      ...originalPuzzle,
+      boardLayout,
+      rooms,
+    });
+    const missing = originalPuzzle.suspects.length - hints.length;
+    setGenerated({
+      title: 'Drafted Hints',
+      code: puzzleFieldToJson('hints', hints),
+      summary: missing
+        ? `${hints.length} hints; the solver gets stuck before placing ${missing} suspect(s)`
+        : `${hints.length} hints`,
+    });
+    setShowExport(true);
+  }, [originalPuzzle, boardLayout, rooms]);
+
   /**
    * Copies text to clipboard.
    */
@@ -370,6 +459,25 @@ function GridEditor({ puzzleId, onExit }) {
     }
   }, []);
 
+  /**
+   * Copies a puzzle code, or a link that opens it in the game.
+   */
+  const copyPuzzleCode = useCallback(
+    async (puzzle, label, asLink) => {
+      const code = await encodePuzzleCode(puzzle);
+      copyToClipboard(
+        asLink
+          ? buildPuzzleCodeUrl(
+              code,
+              window.location.href.split('#')[0],
+            )
+          : code,
+        label,
+      );
+    },
+    [copyToClipboard],
+  );
+
   /**
    * Gets the background color for a cell based on its room.
    */
@@ -476,6 +584,14 @@ function GridEditor({ puzzleId, onExit }) {
                   />
                   <span className="text-gray-200 text-sm flex-1">
                     {room.name}
+                    {colorClashes.rooms[id] && (
+                      <span
+                        className="ml-1"
+                        title={`Color is hard to tell apart from ${colorClashes.rooms[id].join(', ')}`}
+                      >
+                        ⚠️
+                      </span>
+                    )}
                   </span>
                   <span className="text-gray-500 text-xs font-mono">
                     {id}
@@ -556,6 +672,13 @@ function GridEditor({ puzzleId, onExit }) {
                   const isPlaced = !!solution[suspect.id];
                   const isSelected = selectedSuspect === suspect.id;
                   const pos = solution[suspect.id];
+                  const check = verification.suspects[suspect.id];
+                  const failures = [
+                    ...check.ruleViolations,
+                    ...check.constraints
+                      .filter((r) => !r.passed)
+                      .map((r) => r.reason),
+                  ];
                   return (
                     <div
                       key={suspect.id}
@@ -579,10 +702,30 @@ function GridEditor({ puzzleId, onExit }) {
                             (victim)
                           </span>
                         )}
+                        {colorClashes.suspects[suspect.id] && (
+                          <span
+                            className="ml-1"
+                            title={`Color is hard to tell apart from ${colorClashes.suspects[suspect.id].join(', ')}`}
+                          >
+                            ⚠️
+                          </span>
+                        )}
                       </span>
                       {isPlaced ? (
-                        <span className="text-green-400 text-xs font-mono">
-                          [{pos.row},{pos.col}]
+                        <span
+                          className={`text-xs font-mono ${
+                            check.passed
+                              ? 'text-green-400'
+                              : 'text-red-400'
+                          }`}
+                          title={
+                            check.passed
+                              ? 'Satisfies all clues'
+                              : failures.join('\n')
+                          }
+                        >
+                          {check.passed ? '✓' : '✗'} [{pos.row},
+                          {pos.col}]
                         </span>
                       ) : (
                         <span className="text-gray-500 text-xs">
@@ -598,6 +741,23 @@ function GridEditor({ puzzleId, onExit }) {
                   Placed: {Object.keys(solution).length} /{' '}
                   {originalPuzzle.suspects.length}
                 </p>
+                {verification.complete && (
+                  <p
+                    className={`text-xs mt-1 ${
+                      verification.valid
+                        ? 'text-green-400'
+                        : 'text-red-400'
+                    }`}
+                  >
+                    {verification.valid
+                      ? '✓ Solution satisfies every clue'
+                      : `✗ ${
+                          Object.values(verification.suspects).filter(
+                            (v) => !v.passed,
+                          ).length
+                        } suspect(s) break a clue or rule (hover for details)`}
+                  </p>
+                )}
                 <button
                   onClick={() => {
                     setSolution({});
@@ -641,6 +801,19 @@ function GridEditor({ puzzleId, onExit }) {
               >
                 {copiedExport === 'rooms' ? 'Copied!' : 'Copy rooms'}
               </button>
+              <button
+                onClick={handleGeneratePuzzle}
+                disabled={generating}
+                className="w-full px-3 py-2 bg-teal-600 hover:bg-teal-700 disabled:bg-gray-500 disabled:cursor-wait text-white rounded text-sm font-semibold"
+              >
+                {generating ? 'Generating…' : 'Generate Puzzle'}
+              </button>
+              <button
+                onClick={handleDraftHints}
+                className="w-full px-3 py-2 bg-teal-600 hover:bg-teal-700 text-white rounded text-sm font-semibold"
+              >
+                Draft Hints
+              </button>
               <button
                 onClick={() =>
                   copyToClipboard(generateSolutionCode(), 'solution')
@@ -651,6 +824,38 @@ function GridEditor({ puzzleId, onExit }) {
                   ? 'Copied!'
                   : 'Copy solution'}
               </button>
+              <button
+                onClick={() =>
+                  copyPuzzleCode(editedPuzzle, 'puzzleLink', true)
+                }
+                disabled={lintCounts.error > 0}
+                title={
+                  lintCounts.error > 0
+                    ? 'Fix the errors in Puzzle Check first'
+                    : 'Copy a link that opens this puzzle in the game'
+                }
+                className="w-full px-3 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-500 disabled:cursor-not-allowed text-white rounded text-sm font-semibold"
+              >
+                {copiedExport === 'puzzleLink'
+                  ? 'Copied!'
+                  : 'Copy puzzle link'}
+              </button>
+              <button
+                onClick={() =>
+                  copyPuzzleCode(editedPuzzle, 'puzzleCode', false)
+                }
+                disabled={lintCounts.error > 0}
+                title={
+                  lintCounts.error > 0
+                    ? 'Fix the errors in Puzzle Check first'
+                    : 'Copy a code to paste into "Paste Puzzle Code"'
+                }
+                className="w-full px-3 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-500 disabled:cursor-not-allowed text-white rounded text-sm font-semibold"
+              >
+                {copiedExport === 'puzzleCode'
+                  ? 'Copied!'
+                  : 'Copy puzzle code'}
+              </button>
             </div>
           </div>
         </div>
@@ -697,21 +902,23 @@ function GridEditor({ puzzleId, onExit }) {
                 }}
               >
                 {/* Background image overlay */}
-                <img
-                  src={originalPuzzle.backgroundImage}
-                  alt="Grid reference"
-                  style={{
-                    position: 'absolute',
-                    top: 0,
-                    left: 0,
-                    width: '100%',
-                    height: '100%',
-                    objectFit: 'fill',
-                    pointerEvents: 'none',
-                    zIndex: 2,
-                    opacity: imageOpacity,
-                  }}
-                />
+                {originalPuzzle.backgroundImage && (
+                  <img
+                    src={originalPuzzle.backgroundImage}
+                    alt="Grid reference"
+                    style={{
+                      position: 'absolute',
+                      top: 0,
+                      left: 0,
+                      width: '100%',
+                      height: '100%',
+                      objectFit: 'fill',
+                      pointerEvents: 'none',
+                      zIndex: 2,
+                      opacity: imageOpacity,
+                    }}
+                  />
+                )}
 
                 {/* Editable grid */}
                 <div
@@ -820,6 +1027,58 @@ function GridEditor({ puzzleId, onExit }) {
               <pre className="bg-gray-900 p-3 rounded text-xs text-green-400 overflow-x-auto max-h-48 overflow-y-auto whitespace-pre font-mono">
                 {generateSolutionCode()}
               </pre>
+              {generated && (
+                <>
+                  <h3 className="text-white font-bold mt-4 mb-2">
+                    {generated.title}
+                  </h3>
+                  {generated.error ? (
+                    <p className="text-red-400 text-sm">
+                      {generated.error}
+                    </p>
+                  ) : (
+                    <>
+                      <div className="flex items-center justify-between mb-2">
+                        <span className="text-gray-400 text-xs">
+                          {generated.summary}
+                        </span>
+                        <button
+                          onClick={() =>
+                            copyToClipboard(
+                              generated.code,
+                              'generated',
+                            )
+                          }
+                          className="px-2 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded text-xs"
+                        >
+                          {copiedExport === 'generated'
+                            ? 'Copied!'
+                            : 'Copy code'}
+                        </button>
+                        {generated.puzzle && (
+                          <button
+                            onClick={() =>
+                              copyPuzzleCode(
+                                generated.puzzle,
+                                'generatedLink',
+                                true,
+                              )
+                            }
+                            className="px-2 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded text-xs"
+                          >
+                            {copiedExport === 'generatedLink'
+                              ? 'Copied!'
+                              : 'Copy puzzle link'}
+                          </button>
+                        )}
+                      </div>
+                      <pre className="bg-gray-900 p-3 rounded text-xs text-green-400 overflow-x-auto max-h-96 overflow-y-auto whitespace-pre font-mono">
+                        {generated.code}
+                      </pre>
+                    </>
+                  )}
+                </>
+              )}
             </div>
           )}
         </div>
@@ -831,12 +1090,18 @@ function GridEditor({ puzzleId, onExit }) {
               Reference Image
             </h2>
             <div className="rounded-lg overflow-hidden">
-              <img
-                src={originalPuzzle.backgroundImage}
-                alt="Reference"
-                className="w-full h-auto"
-                style={{ imageRendering: 'auto' }}
-              />
+              {originalPuzzle.backgroundImage ? (
+                <img
+                  src={originalPuzzle.backgroundImage}
+                  alt="Reference"
+                  className="w-full h-auto"
+                  style={{ imageRendering: 'auto' }}
+                />
+              ) : (
+                <p className="text-gray-400 text-sm">
+                  This puzzle has no background image.
+                </p>
+              )}
             </div>
           </div>
 
@@ -860,6 +1125,45 @@ function GridEditor({ puzzleId, onExit }) {
               ))}
             </div>
           </div>
+
+          {/* Puzzle lint */}
+          <div className="mt-4 bg-gray-800/50 rounded-xl p-4 backdrop-blur">
+            <h3 className="text-white font-bold mb-1">
+              Puzzle Check
+            </h3>
+            <p className="text-xs mb-2">
+              <span className={severityStyles.error}>
+                {lintCounts.error} error(s)
+              </span>
+              {' · '}
+              <span className={severityStyles.warning}>
+                {lintCounts.warning} warning(s)
+              </span>
+              {' · '}
+              <span className={severityStyles.info}>
+                {lintCounts.info} info
+              </span>
+            </p>
+            {lintIssues.length === 0 ? (
+              <p className="text-green-400 text-xs">
+                ✓ No problems found
+              </p>
+            ) : (
+              <ul className="space-y-1 max-h-64 overflow-y-auto">
+                {lintIssues.map((issue, i) => (
+                  <li
+                    key={i}
+                    className={`text-xs ${severityStyles[issue.severity]}`}
+                  >
+                    <span className="font-mono">
+                      {issue.path || 'puzzle'}
+                    </span>
+                    : {issue.message}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
         </div>
       </div>
 
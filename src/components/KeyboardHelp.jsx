@@ -0,0 +1,76 @@
+import { useEffect } from 'react';
+import { KEYBOARD_HELP, KEYBOARD_SHORTCUTS } from '../constants';
+
+/**
+ * Overlay listing the keyboard shortcuts from KEYBOARD_HELP. Closes on
+ * Escape, the help key, or a click outside the panel.
+ *
+ * @param {Object} props
+ * @param {function(): void} props.onClose - Close handler
+ * @returns {JSX.Element}
+ */
+function KeyboardHelp({ onClose }) {
+  useEffect(() => {
+    function handleKeyDown(e) {
+      if (
+        e.key === KEYBOARD_SHORTCUTS.DESELECT ||
+        e.key === KEYBOARD_SHORTCUTS.HELP
+      ) {
+        e.preventDefault();
+        onClose();
+      }
+    }
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4"
+      onClick={onClose}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="keyboard-help-title"
+        className="bg-gray-800 rounded-xl p-6 max-w-md w-full shadow-2xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2
+          id="keyboard-help-title"
+          className="text-xl font-bold text-white mb-4"
+        >
+          ⌨️ Keyboard Shortcuts
+        </h2>
+        <table className="w-full text-sm">
+          <tbody>
+            {KEYBOARD_HELP.map(({ keys, description }) => (
+              <tr key={description} className="align-top">
+                <td className="py-1 pr-4 whitespace-nowrap">
+                  {keys.map((key) => (
+                    <kbd
+                      key={key}
+                      className="inline-block min-w-[1.5rem] text-center px-1 mr-1 rounded bg-gray-700 border border-gray-500 text-gray-100 font-mono text-xs"
+                    >
+                      {key}
+                    </kbd>
+                  ))}
+                </td>
+                <td className="py-1 text-gray-300">{description}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <button
+          onClick={onClose}
+          autoFocus
+          className="mt-4 w-full px-3 py-2 bg-gray-600 hover:bg-gray-700 text-white rounded-lg font-semibold transition-colors text-sm"
+        >
+          Close
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default KeyboardHelp;
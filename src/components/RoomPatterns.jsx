@@ -0,0 +1,170 @@
+import { useMemo } from 'react';
+import { getRoomWalls } from '../engine/boardUtils';
+import { getAdjacentRoomPairs } from '../engine/colorContrast';
+
+/**
+ * @typedef {import('../types').Puzzle} Puzzle
+ */
+
+/**
+ * Tile size of each hatching pattern, in pixels.
+ */
+const TILE = 10;
+
+/**
+ * Hatching patterns, each drawn on a TILE x TILE tile.
+ */
+const PATTERNS = [
+  { id: 'diagonal', path: `M0,${TILE} L${TILE},0` },
+  { id: 'reverse', path: `M0,0 L${TILE},${TILE}` },
+  { id: 'horizontal', path: `M0,${TILE / 2} H${TILE}` },
+  { id: 'vertical', path: `M${TILE / 2},0 V${TILE}` },
+  {
+    id: 'crosshatch',
+    path: `M0,${TILE} L${TILE},0 M0,0 L${TILE},${TILE}`,
+  },
+  {
+    id: 'grid',
+    path: `M0,${TILE / 2} H${TILE} M${TILE / 2},0 V${TILE}`,
+  },
+  { id: 'dots', dot: true },
+  { id: 'none' },
+];
+
+/**
+ * Gives each room a pattern, trying to keep neighbouring rooms from
+ * sharing one.
+ *
+ * @param {Puzzle} puzzle
+ * @returns {Object.<string, number>} Room ID -> index into PATTERNS
+ */
+function assignPatterns(puzzle) {
+  const neighbours = {};
+  const link = (room, other) => {
+    if (!neighbours[room]) neighbours[room] = [];
+    neighbours[room].push(other);
+  };
+  for (const [a, b] of getAdjacentRoomPairs(puzzle.boardLayout)) {
+    link(a, b);
+    link(b, a);
+  }
+
+  const assigned = {};
+  Object.keys(puzzle.rooms).forEach((room, i) => {
+    const taken = new Set(
+      (neighbours[room] || []).map((other) => assigned[other])
+    );
+    let pattern = i % PATTERNS.length;
+    for (let tries = 0; tries < PATTERNS.length; tries++) {
+      const candidate = (i + tries) % PATTERNS.length;
+      if (!taken.has(candidate)) {
+        pattern = candidate;
+        break;
+      }
+    }
+    assigned[room] = pattern;
+  });
+  return assigned;
+}
+
+/**
+ * Overlay for color-blind mode: hatches each room with its own pattern
+ * and outlines room boundaries, so rooms can be told apart without their
+ * colors. Sits over the background image or BoardDrawing, underneath
+ * GameBoard's cell grid.
+ *
+ * @param {Object} props
+ * @param {Puzzle} props.puzzle - Puzzle data
+ * @param {{ top: number, left: number }} props.offset - Where the cell grid starts
+ * @returns {JSX.Element}
+ */
+function RoomPatterns({ puzzle, offset }) {
+  const { boardLayout, gridSize, cellSize } = puzzle;
+  const patterns = useMemo(() => assignPatterns(puzzle), [puzzle]);
+  const walls = useMemo(
+    () => getRoomWalls(boardLayout),
+    [boardLayout]
+  );
+  const boardSize = gridSize * cellSize;
+  const wallWidth = Math.max(2, Math.round(cellSize / 12));
+
+  return (
+    <svg
+      width={boardSize}
+      height={boardSize}
+      className="absolute pointer-events-none"
+      aria-hidden="true"
+      style={{ top: offset.top, left: offset.left, zIndex: 0 }}
+    >
+      <defs>
+        {PATTERNS.map((pattern) => (
+          <pattern
+            key={pattern.id}
+            id={`room-pattern-${pattern.id}`}
+            width={TILE}
+            height={TILE}
+            patternUnits="userSpaceOnUse"
+          >
+            {pattern.path && (
+              <path
+                d={pattern.path}
+                stroke="#111827"
+                strokeWidth={1.5}
+              />
+            )}
+            {pattern.dot && (
+              <circle
+                cx={TILE / 2}
+                cy={TILE / 2}
+                r={1.5}
+                fill="#111827"
+              />
+            )}
+          </pattern>
+        ))}
+      </defs>
+
+      {boardLayout.map((row, r) =>
+        row.map((cell, c) => (
+          <rect
+            key={`${r}-${c}`}
+            x={c * cellSize}
+            y={r * cellSize}
+            width={cellSize}
+            height={cellSize}
+            fill={`url(#room-pattern-${
+              PATTERNS[patterns[cell.room] ?? 0].id
+            })`}
+            opacity={0.35}
+          />
+        ))
+      )}
+
+      {/* A light halo under the walls keeps them visible on dark rooms */}
+      {[
+        { stroke: '#f9fafb', width: wallWidth + 2, opacity: 0.7 },
+        { stroke: '#111827', width: wallWidth, opacity: 1 },
+      ].map((line) => (
+        <g
+          key={line.stroke}
+          stroke={line.stroke}
+          strokeWidth={line.width}
+          strokeLinecap="square"
+          opacity={line.opacity}
+        >
+          {walls.map((wall, i) => (
+            <line
+              key={i}
+              x1={wall.x1 * cellSize}
+              y1={wall.y1 * cellSize}
+              x2={wall.x2 * cellSize}
+              y2={wall.y2 * cellSize}
+            />
+          ))}
+        </g>
+      ))}
+    </svg>
+  );
+}
+
+export default RoomPatterns;
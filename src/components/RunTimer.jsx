@@ -0,0 +1,38 @@
+import { useEffect, useState } from 'react';
+import { formatDuration } from '../utils/stats';
+
+/**
+ * How often the clock redraws, in milliseconds.
+ */
+const TICK_MS = 1000;
+
+/**
+ * Solve clock for the current run. Reads the time from useStats on each
+ * tick, so it stops with the run and while the tab is hidden.
+ *
+ * @param {Object} props
+ * @param {function(): number} props.getElapsedMs - Time on the clock
+ * @returns {JSX.Element}
+ */
+function RunTimer({ getElapsedMs }) {
+  const [elapsedMs, setElapsedMs] = useState(getElapsedMs);
+
+  useEffect(() => {
+    const timer = setInterval(
+      () => setElapsedMs(getElapsedMs()),
+      TICK_MS
+    );
+    return () => clearInterval(timer);
+  }, [getElapsedMs]);
+
+  return (
+    <span
+      className="text-gray-400 font-mono"
+      title="Solve time (paused while the tab is hidden)"
+    >
+      ⏱️ {formatDuration(elapsedMs)}
+    </span>
+  );
+}
+
+export default RunTimer;
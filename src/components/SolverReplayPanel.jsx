@@ -0,0 +1,148 @@
+import { formatTechnique } from '../engine/hintEngine';
+
+/**
+ * @typedef {import('../engine/hintEngine').ReplayFrame} ReplayFrame
+ */
+
+/**
+ * Renders the controls and explanation for a step-by-step solver replay.
+ * The board itself is driven by useSolverReplay's boardView.
+ *
+ * @param {Object} props
+ * @param {{ frames: ReplayFrame[], solved: boolean, unplaced: string[] }} props.replay - The replay
+ * @param {number} props.frameIndex - Frame being shown
+ * @param {boolean} props.isPlaying - Whether the replay advances by itself
+ * @param {function(number): void} props.onGoToFrame - Jumps to a frame
+ * @param {function(): void} props.onTogglePlaying - Starts or pauses playback
+ * @param {function(): void} props.onClose - Closes the replay
+ * @returns {JSX.Element}
+ */
+function SolverReplayPanel({
+  replay,
+  frameIndex,
+  isPlaying,
+  onGoToFrame,
+  onTogglePlaying,
+  onClose,
+}) {
+  const { frames, solved, unplaced } = replay;
+  const lastIndex = frames.length - 1;
+  const { step, explanation, placements } = frames[frameIndex];
+  const controlClass =
+    'px-3 py-1 bg-gray-600 hover:bg-gray-700 disabled:bg-gray-800 disabled:text-gray-500 text-white rounded-lg text-sm';
+
+  return (
+    <div className="mt-6 p-4 bg-gray-700/50 rounded-lg">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="text-white font-bold">🎬 Solver Replay</h3>
+        <button
+          onClick={onClose}
+          className="text-gray-400 hover:text-white text-sm"
+        >
+          ✕ Close
+        </button>
+      </div>
+
+      <p className="text-gray-400 text-xs mb-2">
+        {solved
+          ? `✅ The solver finishes in ${lastIndex} step${lastIndex === 1 ? '' : 's'}.`
+          : `❌ The solver gets stuck after ${lastIndex} step${lastIndex === 1 ? '' : 's'}. Unplaced: ${unplaced.join(', ')}.`}
+      </p>
+
+      <div className="mb-3" aria-live="polite" aria-atomic="true">
+        {step ? (
+          <>
+            <p className="text-sm mb-1">
+              <span className="text-gray-400">
+                Step {frameIndex} of {lastIndex} ·{' '}
+              </span>
+              <span className="text-teal-300 font-semibold">
+                {formatTechnique(step.technique)}
+                {step.depth ? ` (depth ${step.depth})` : ''}
+              </span>
+            </p>
+            <p className="text-gray-200 text-sm">{explanation}</p>
+          </>
+        ) : (
+          <p className="text-gray-200 text-sm">
+            Starting position: your board, plus anyone left with only
+            one possible cell ({Object.keys(placements).length}{' '}
+            placed). Step forward to watch the solver work.
+          </p>
+        )}
+      </div>
+
+      <div className="flex gap-2 justify-center mb-3">
+        <button
+          onClick={() => onGoToFrame(0)}
+          disabled={frameIndex === 0}
+          title="First step"
+          className={controlClass}
+        >
+          ⏮
+        </button>
+        <button
+          onClick={() => onGoToFrame(frameIndex - 1)}
+          disabled={frameIndex === 0}
+          title="Previous step"
+          className={controlClass}
+        >
+          ◀
+        </button>
+        <button
+          onClick={onTogglePlaying}
+          disabled={lastIndex === 0}
+          title={isPlaying ? 'Pause' : 'Play'}
+          className={controlClass}
+        >
+          {isPlaying ? '⏸' : '▶️'}
+        </button>
+        <button
+          onClick={() => onGoToFrame(frameIndex + 1)}
+          disabled={frameIndex === lastIndex}
+          title="Next step"
+          className={controlClass}
+        >
+          ▶
+        </button>
+        <button
+          onClick={() => onGoToFrame(lastIndex)}
+          disabled={frameIndex === lastIndex}
+          title="Last step"
+          className={controlClass}
+        >
+          ⏭
+        </button>
+      </div>
+
+      <p className="text-gray-400 text-xs mb-2">
+        <span className="text-green-400">■</span> cells the step looks
+        at or fills · <span className="text-red-400">■</span> cells it
+        eliminates
+      </p>
+
+      {lastIndex > 0 && (
+        <ol className="max-h-40 overflow-y-auto text-xs space-y-0.5">
+          {frames.slice(1).map((frame, i) => (
+            <li key={i}>
+              <button
+                onClick={() => onGoToFrame(i + 1)}
+                className={`w-full text-left px-2 py-0.5 rounded ${
+                  i + 1 === frameIndex
+                    ? 'bg-teal-700 text-white'
+                    : 'text-gray-300 hover:bg-gray-600'
+                }`}
+              >
+                {i + 1}. {formatTechnique(frame.step.technique)}
+                {frame.newlyPlaced.length > 0 &&
+                  ` · placed ${frame.newlyPlaced.length}`}
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+export default SolverReplayPanel;
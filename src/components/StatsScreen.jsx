@@ -0,0 +1,181 @@
+import { useEffect, useMemo, useState } from 'react';
+import { KEYBOARD_SHORTCUTS } from '../constants';
+import {
+  loadStats,
+  getPersonalBests,
+  formatDuration,
+  formatHintCounts,
+} from '../utils/stats';
+
+/**
+ * @typedef {import('../types').Puzzle} Puzzle
+ */
+
+/**
+ * Shows a best, or a dash before the first solve.
+ *
+ * @param {number|null} value
+ * @param {function(number): string} [format]
+ * @returns {string}
+ */
+function formatBest(value, format = String) {
+  return value === null ? '—' : format(value);
+}
+
+/**
+ * Overlay with personal bests for every puzzle and the solve history of
+ * one, read from the stats in localStorage. Closes on Escape or a click
+ * outside the panel.
+ *
+ * @param {Object} props
+ * @param {Puzzle[]} props.puzzles - Puzzles to list
+ * @param {string} props.currentPuzzleId - Puzzle whose history shows first
+ * @param {function(): void} props.onClose - Close handler
+ * @returns {JSX.Element}
+ */
+function StatsScreen({ puzzles, currentPuzzleId, onClose }) {
+  const [selectedId, setSelectedId] = useState(currentPuzzleId);
+
+  // Read once per opening; nothing is solved while the screen is up
+  const statsById = useMemo(
+    () =>
+      Object.fromEntries(puzzles.map((p) => [p.id, loadStats(p.id)])),
+    [puzzles]
+  );
+  const selected = puzzles.find((p) => p.id === selectedId);
+  const history = [...(statsById[selectedId]?.runs || [])].reverse();
+
+  useEffect(() => {
+    function handleKeyDown(e) {
+      if (e.key === KEYBOARD_SHORTCUTS.DESELECT) {
+        e.preventDefault();
+        onClose();
+      }
+    }
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4"
+      onClick={onClose}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="stats-title"
+        className="bg-gray-800 rounded-xl p-6 max-w-3xl w-full max-h-full overflow-y-auto shadow-2xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2
+          id="stats-title"
+          className="text-xl font-bold text-white mb-4"
+        >
+          📊 Statistics
+        </h2>
+
+        <h3 className="text-sm font-semibold text-gray-300 mb-2">
+          Personal bests
+        </h3>
+        <table className="w-full text-sm text-left mb-6">
+          <thead className="text-gray-400 text-xs">
+            <tr>
+              <th className="py-1 pr-2 font-normal">Puzzle</th>
+              <th className="py-1 pr-2 font-normal">Solves</th>
+              <th className="py-1 pr-2 font-normal">Fastest</th>
+              <th className="py-1 pr-2 font-normal">
+                Fewest placements
+              </th>
+              <th className="py-1 font-normal">Fewest hints</th>
+            </tr>
+          </thead>
+          <tbody>
+            {puzzles.map((p) => {
+              const bests = getPersonalBests(statsById[p.id].runs);
+              return (
+                <tr
+                  key={p.id}
+                  className={`text-gray-200 ${
+                    p.id === selectedId ? 'bg-teal-900/50' : ''
+                  }`}
+                >
+                  <td className="py-1 pr-2">
+                    <button
+                      onClick={() => setSelectedId(p.id)}
+                      aria-pressed={p.id === selectedId}
+                      title="Show this puzzle's history"
+                      className="text-left hover:underline"
+                    >
+                      {p.name}
+                    </button>
+                  </td>
+                  <td className="py-1 pr-2">{bests.solves}</td>
+                  <td className="py-1 pr-2 font-mono">
+                    {formatBest(bests.fastestMs, formatDuration)}
+                  </td>
+                  <td className="py-1 pr-2">
+                    {formatBest(bests.fewestPlacements)}
+                  </td>
+                  <td className="py-1">
+                    {formatBest(bests.fewestHints)}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+
+        <h3 className="text-sm font-semibold text-gray-300 mb-2">
+          History: {selected?.name || selectedId}
+        </h3>
+        {history.length === 0 ? (
+          <p className="text-gray-400 text-sm">
+            No solves yet. Finish the puzzle to start a record.
+          </p>
+        ) : (
+          <table className="w-full text-sm text-left">
+            <thead className="text-gray-400 text-xs">
+              <tr>
+                <th className="py-1 pr-2 font-normal">Completed</th>
+                <th className="py-1 pr-2 font-normal">Time</th>
+                <th className="py-1 pr-2 font-normal">Placements</th>
+                <th className="py-1 pr-2 font-normal">Undos</th>
+                <th className="py-1 pr-2 font-normal">Hints</th>
+                <th className="py-1 font-normal">Wrong checks</th>
+              </tr>
+            </thead>
+            <tbody className="text-gray-200">
+              {history.map((run) => (
+                <tr key={run.completedAt}>
+                  <td className="py-1 pr-2">
+                    {new Date(run.completedAt).toLocaleString()}
+                  </td>
+                  <td className="py-1 pr-2 font-mono">
+                    {formatDuration(run.timeMs)}
+                  </td>
+                  <td className="py-1 pr-2">{run.placements}</td>
+                  <td className="py-1 pr-2">{run.undos}</td>
+                  <td className="py-1 pr-2">
+                    {formatHintCounts(run.hints) || 'none'}
+                  </td>
+                  <td className="py-1">{run.wrongChecks}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <button
+          onClick={onClose}
+          autoFocus
+          className="mt-4 w-full px-3 py-2 bg-gray-600 hover:bg-gray-700 text-white rounded-lg font-semibold transition-colors text-sm"
+        >
+          Close
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default StatsScreen;
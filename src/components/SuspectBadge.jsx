@@ -0,0 +1,46 @@
+/**
+ * @typedef {import('../types').Suspect} Suspect
+ */
+
+/**
+ * Shapes given to suspects in puzzle order, so two suspects with similar
+ * colors (or the same initial) still look different.
+ */
+const SUSPECT_SHAPES = [
+  '●',
+  '▲',
+  '■',
+  '◆',
+  '★',
+  '✚',
+  '▼',
+  '⬟',
+  '⬢',
+  '◀',
+];
+
+/**
+ * Shape-and-initial badge shown on a suspect's token and card in
+ * color-blind mode, e.g. "▲B".
+ *
+ * @param {Object} props
+ * @param {Suspect} props.suspect - Suspect data
+ * @param {number} props.index - Suspect's position in the puzzle
+ * @param {string} [props.className] - Positioning classes
+ * @returns {JSX.Element}
+ */
+function SuspectBadge({ suspect, index, className = '' }) {
+  const shape = SUSPECT_SHAPES[index % SUSPECT_SHAPES.length];
+  return (
+    <span
+      aria-hidden="true"
+      className={`px-0.5 rounded bg-white text-gray-900 font-bold leading-none shadow pointer-events-none ${className}`}
+      style={{ fontSize: '9px' }}
+    >
+      {shape}
+      {suspect.name.charAt(0).toUpperCase()}
+    </span>
+  );
+}
+
+export default SuspectBadge;
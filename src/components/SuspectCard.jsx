@@ -1,3 +1,5 @@
+import SuspectBadge from './SuspectBadge';
+
 /**
  * @typedef {import('../types').SuspectCardProps} SuspectCardProps
  * @typedef {import('../types').Suspect} Suspect
@@ -12,9 +14,24 @@
  * @param {boolean} props.isSelected - Whether suspect is currently selected
  * @param {boolean} props.isPlaced - Whether suspect is placed on board
  * @param {function(Suspect): void} props.onClick - Click handler
+ * @param {number|null} [props.candidateCount] - Cells the solver still allows, when the candidate overlay is on
+ * @param {string[]} [props.brokenClues] - Clues the board already breaks, when live check is on
+ * @param {boolean} [props.colorBlind] - Badge the avatar with the suspect's shape and initial
+ * @param {number} [props.index] - Suspect's position in the puzzle, for the badge shape
  * @returns {JSX.Element}
  */
-function SuspectCard({ suspect, isSelected, isPlaced, onClick }) {
+function SuspectCard({
+  suspect,
+  isSelected,
+  isPlaced,
+  onClick,
+  candidateCount = null,
+  brokenClues = [],
+  colorBlind = false,
+  index = 0,
+}) {
+  const hasConflict = brokenClues.length > 0;
+
   return (
     <div
       className={`
@@ -23,19 +40,28 @@ function SuspectCard({ suspect, isSelected, isPlaced, onClick }) {
 				${
           isSelected
             ? 'ring-2 ring-yellow-400 scale-105 border-yellow-400'
+            : hasConflict
+            ? 'border-orange-500'
             : 'border-transparent'
         }
-				${isPlaced ? 'opacity-50' : 'hover:scale-105'}
+				${isPlaced && !hasConflict ? 'opacity-50' : 'hover:scale-105'}
 			`}
       style={{ backgroundColor: suspect.color + '33' }}
       onClick={() => onClick(suspect)}
     >
       <div className="flex items-center gap-3">
         <div
-          className="w-12 h-12 rounded-full flex items-center justify-center text-2xl border-2 border-white shadow-md"
+          className="relative w-12 h-12 rounded-full flex items-center justify-center text-2xl border-2 border-white shadow-md"
           style={{ backgroundColor: suspect.color }}
         >
           {suspect.avatar}
+          {colorBlind && (
+            <SuspectBadge
+              suspect={suspect}
+              index={index}
+              className="absolute -bottom-1 -right-1"
+            />
+          )}
         </div>
         <div className="flex-1">
           <h3
@@ -53,6 +79,26 @@ function SuspectCard({ suspect, isSelected, isPlaced, onClick }) {
           <p className="text-xs text-gray-300 mt-1 leading-tight">
             {suspect.clue}
           </p>
+          {brokenClues.map((clue) => (
+            <p
+              key={clue}
+              className="text-xs mt-1 font-semibold text-orange-400"
+            >
+              ⚠️ {suspect.name} {clue}
+            </p>
+          ))}
+          {candidateCount !== null && (
+            <p
+              className={`text-xs mt-1 font-semibold ${
+                candidateCount === 0
+                  ? 'text-red-400'
+                  : 'text-teal-300'
+              }`}
+            >
+              🔬 {candidateCount} possible cell
+              {candidateCount === 1 ? '' : 's'}
+            </p>
+          )}
         </div>
       </div>
 
@@ -54,23 +54,122 @@ export const MESSAGES = {
   INITIAL: 'Select a suspect, then click a cell to place them.',
   UNDO_SUCCESS: 'Undo successful.',
   UNDO_EMPTY: 'Nothing to undo.',
+  REDO_SUCCESS: 'Redo successful.',
+  REDO_EMPTY: 'Nothing to redo.',
   GAME_RESET: 'Game reset! Select a suspect to begin.',
+  GAME_RESUMED: 'Welcome back! Your game has been restored.',
+  SHARED_BOARD_OPENED: 'Opened a shared board.',
+  SHARE_LINK_COPIED: '🔗 Link to this board copied to the clipboard.',
   MARKS_CLEARED: 'All marks cleared.',
+  MARKS_FILL_NONE:
+    'Everyone is placed; there are no marks to fill in.',
+  AUTO_PRUNE_ON:
+    '✂️ Auto-prune on: possibility marks the solver rules out are removed as you place suspects.',
+  AUTO_PRUNE_OFF: 'Auto-prune off.',
+  LIVE_CHECK_ON:
+    '🔎 Live check on: suspects breaking their clue are highlighted as you play.',
+  LIVE_CHECK_OFF: 'Live check off.',
   SUSPECT_DESELECTED: 'Suspect deselected.',
+  KEYBOARD_PICK_SUSPECT:
+    'Pick a suspect first: press their number or initial, then Enter.',
+  KEYBOARD_POSSIBILITY_NEEDS_SUSPECT:
+    'Pick a suspect first to pencil in where they could be.',
+  KEYBOARD_SELECTION_CLEARED: 'Selection cleared.',
   ALL_PLACED:
     '🎉 All suspects are placed! Try checking your solution.',
   PUZZLE_SOLVED:
     '🎉 Congratulations! All suspects are correctly placed! You solved the Murdoku!',
 };
 
+// ============================================================================
+// Hint Ladder
+// ============================================================================
+
+/**
+ * Rungs of the hint ladder, in the order Get Hint climbs them. Each press
+ * reveals the next rung of the same hint, up to the player's chosen level.
+ */
+export const HINT_LEVELS = [
+  {
+    id: 'nudge',
+    label: 'Nudge',
+    description: 'Which suspect or area to look at',
+  },
+  {
+    id: 'technique',
+    label: 'Technique',
+    description: 'The deduction to use',
+  },
+  {
+    id: 'cells',
+    label: 'Cells',
+    description: 'Highlight the cells involved',
+  },
+  { id: 'place', label: 'Place', description: 'Place the suspect' },
+];
+
 // ============================================================================
 // Keyboard Shortcuts
 // ============================================================================
 
+/**
+ * Keys are matched against `KeyboardEvent.key` (letters lower-cased).
+ * Undo and redo need Ctrl/Cmd; the rest are plain keys for playing from
+ * the keyboard.
+ */
 export const KEYBOARD_SHORTCUTS = {
   UNDO: 'z',
+  // Redo is also Shift + the undo key
+  REDO: 'y',
+  MOVE_UP: 'ArrowUp',
+  MOVE_DOWN: 'ArrowDown',
+  MOVE_LEFT: 'ArrowLeft',
+  MOVE_RIGHT: 'ArrowRight',
+  PLACE: 'Enter',
+  TOGGLE_MARK: 'x',
+  TOGGLE_POSSIBILITY: 'p',
+  REMOVE: 'Backspace',
+  DESELECT: 'Escape',
+  HELP: '?',
 };
 
+/**
+ * Rows of the keyboard help overlay, in display order.
+ */
+export const KEYBOARD_HELP = [
+  {
+    keys: ['←', '↑', '→', '↓'],
+    description: 'Move the selected cell',
+  },
+  {
+    keys: ['1', '…', '9', '0'],
+    description: 'Pick the 1st … 9th or 10th suspect',
+  },
+  {
+    keys: ['A', '…', 'Z'],
+    description:
+      'Pick a suspect by initial (again for the next one); hold Shift for X or P',
+  },
+  {
+    keys: ['Enter'],
+    description: 'Place the suspect, or pick up the one in the cell',
+  },
+  { keys: ['X'], description: 'Mark or unmark the cell with an X' },
+  {
+    keys: ['P'],
+    description: "Toggle the selected suspect's possibility mark",
+  },
+  {
+    keys: ['Backspace'],
+    description:
+      'Remove the suspect, or clear the marks, in the cell',
+  },
+  { keys: ['Esc'], description: 'Clear the selection' },
+  { keys: ['Ctrl/Cmd', 'Z'], description: 'Undo' },
+  { keys: ['Ctrl/Cmd', 'Y'], description: 'Redo' },
+  { keys: ['?'], description: 'Show or hide this help' },
+];
+
 // ============================================================================
 // CSS Classes (commonly used)
 // ============================================================================
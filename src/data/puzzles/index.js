@@ -1,21 +1,87 @@
-import backyardGardenEasy from './backyard-garden-easy';
-import botanicalGardenHard from './botanical-garden-hard';
-import carRepairEasy from './car-repair-easy';
-import horseTrackHard from './horse-track-hard';
-import preppersMedium from './preppers-medium';
-
-export const puzzles = {
-  'backyard-garden-easy': backyardGardenEasy,
-  'botanical-garden-hard': botanicalGardenHard,
-  'car-repair-easy': carRepairEasy,
-  'horse-track-hard': horseTrackHard,
-  'preppers-medium': preppersMedium,
+import { loadPuzzleJson, formatLoadError } from './loader';
+import backyardGardenEasy from './backyard-garden-easy.json';
+import botanicalGardenHard from './botanical-garden-hard.json';
+import carRepairEasy from './car-repair-easy.json';
+import horseTrackHard from './horse-track-hard.json';
+import preppersMedium from './preppers-medium.json';
+import backyardGardenImage from '../backyard-garden.jpg';
+import botanicalGardenImage from '../the-botanical-garden-hard.jpg';
+import carRepairImage from '../car-repair-easy.jpg';
+import horseTrackImage from '../horse-track-hard.jpg';
+import preppersImage from '../preppers-medium.jpg';
+
+/**
+ * Background images of the built-in puzzles, by puzzle id. Bundled image
+ * URLs are only known at build time, so the JSON files leave
+ * backgroundImage null and the image is attached here.
+ */
+const backgroundImages = {
+  'backyard-garden-easy': backyardGardenImage,
+  'botanical-garden-hard': botanicalGardenImage,
+  'car-repair-easy': carRepairImage,
+  'horse-track-hard': horseTrackImage,
+  'preppers-medium': preppersImage,
 };
 
+/**
+ * Validates a built-in puzzle file as a dropped file would be, and
+ * attaches its background image.
+ *
+ * @param {Object} data - Parsed puzzle JSON
+ * @returns {import('../../types').Puzzle}
+ */
+function loadBuiltInPuzzle(data) {
+  const { puzzle, errors } = loadPuzzleJson(data);
+  if (!puzzle) {
+    throw new Error(
+      `Built-in puzzle "${data.id}" is invalid:\n${errors.map(formatLoadError).join('\n')}`,
+    );
+  }
+  return {
+    ...puzzle,
+    backgroundImage: backgroundImages[puzzle.id] || null,
+  };
+}
+
+export const puzzles = Object.fromEntries(
+  [
+    backyardGardenEasy,
+    botanicalGardenHard,
+    carRepairEasy,
+    horseTrackHard,
+    preppersMedium,
+  ].map((data) => {
+    const puzzle = loadBuiltInPuzzle(data);
+    return [puzzle.id, puzzle];
+  }),
+);
+
 export const puzzleList = Object.values(puzzles);
 
+const builtInIds = new Set(Object.keys(puzzles));
+
 export function getPuzzle(id) {
   return puzzles[id] || null;
 }
 
+/**
+ * Adds a puzzle loaded at runtime (e.g. from a dropped JSON file), replacing
+ * any runtime puzzle with the same id. Built-in puzzles are never replaced,
+ * since the saved games and stats under their ids belong to them.
+ *
+ * @param {import('../../types').Puzzle} puzzle - A puzzle from loadPuzzleJson
+ * @returns {boolean} False if the id belongs to a built-in puzzle
+ */
+export function registerPuzzle(puzzle) {
+  if (builtInIds.has(puzzle.id)) return false;
+  const index = puzzleList.findIndex((p) => p.id === puzzle.id);
+  if (index >= 0) {
+    puzzleList[index] = puzzle;
+  } else {
+    puzzleList.push(puzzle);
+  }
+  puzzles[puzzle.id] = puzzle;
+  return true;
+}
+
 export const defaultPuzzleId = 'backyard-garden-easy';
@@ -0,0 +1,399 @@
+/**
+ * Loads puzzles from JSON.
+ * Checks the data against puzzle.schema.json, then lints it for what the
+ * schema can't express (room and suspect ids, grid bounds, a solution that
+ * breaks its clues), and fills in defaults for optional fields.
+ *
+ * @fileoverview JSON text -> validated Puzzle object.
+ */
+
+import schema from '../puzzle.schema.json';
+import { lintPuzzle } from '../../engine/puzzleLint';
+
+/**
+ * @typedef {import('../../types').Puzzle} Puzzle
+ */
+
+/**
+ * @typedef {Object} LoadError
+ * @property {string} path - Offending field, e.g. 'boardLayout[3][4].room' ('' for the whole file)
+ * @property {string} message - What is wrong with it
+ */
+
+/**
+ * @typedef {Object} LoadResult
+ * @property {Puzzle|null} puzzle - The loaded puzzle, or null if there were errors
+ * @property {LoadError[]} errors - Every problem found, in document order
+ * @property {LoadError[]} warnings - Lint warnings that don't stop the puzzle loading
+ */
+
+/**
+ * Parses and validates a puzzle from JSON text or an already-parsed object.
+ *
+ * @param {string|Object} input - JSON text or parsed data
+ * @returns {LoadResult}
+ */
+export function loadPuzzleJson(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch (err) {
+      return {
+        puzzle: null,
+        errors: [
+          { path: '', message: `Invalid JSON: ${err.message}` },
+        ],
+        warnings: [],
+      };
+    }
+  }
+
+  const { errors, warnings } = validatePuzzleData(data);
+  if (errors.length > 0) return { puzzle: null, errors, warnings };
+  return { puzzle: applyDefaults(data), errors: [], warnings };
+}
+
+/**
+ * Checks puzzle data against the schema and, if its shape is valid, lints
+ * it. Lint errors count as load errors; lint warnings are passed on.
+ *
+ * @param {*} data - Parsed puzzle data
+ * @returns {{ errors: LoadError[], warnings: LoadError[] }}
+ */
+export function validatePuzzleData(data) {
+  const errors = [];
+  checkSchema(data, schema, '', errors);
+  // The linter assumes the shape is right
+  if (errors.length > 0) return { errors, warnings: [] };
+
+  const warnings = [];
+  for (const { severity, path, message } of lintPuzzle(
+    applyDefaults(data),
+  )) {
+    if (severity === 'error') errors.push({ path, message });
+    if (severity === 'warning') warnings.push({ path, message });
+  }
+  return { errors, warnings };
+}
+
+/**
+ * Formats a load error as "path: message".
+ *
+ * @param {LoadError} error
+ * @returns {string}
+ */
+export function formatLoadError({ path, message }) {
+  return path ? `${path}: ${message}` : message;
+}
+
+/**
+ * Serializes a puzzle as JSON in the loader's format, laid out like the
+ * built-in puzzle files. Bundled background images aren't portable, so
+ * only absolute image URLs are kept.
+ *
+ * @param {Puzzle} puzzle
+ * @returns {string}
+ */
+export function puzzleToJson(puzzle) {
+  const data = {
+    ...puzzle,
+    backgroundImage: /^https?:\/\//.test(puzzle.backgroundImage || '')
+      ? puzzle.backgroundImage
+      : null,
+  };
+  return `${formatJson(data, 0)}\n`;
+}
+
+/**
+ * Serializes one top-level puzzle field as it appears in a puzzle file,
+ * e.g. a drafted "hints" array to paste over the file's own.
+ *
+ * @param {string} key
+ * @param {*} value
+ * @returns {string}
+ */
+export function puzzleFieldToJson(key, value) {
+  return `  ${JSON.stringify(key)}: ${formatJson(value, 1)},`;
+}
+
+/**
+ * Widest line, indentation included, that an object or array is kept on.
+ */
+const INLINE_WIDTH = 90;
+
+/**
+ * Formats JSON two-space indented, with objects and arrays of plain
+ * values (cells, rooms, constraints) kept on one line where they fit.
+ *
+ * @param {*} value
+ * @param {number} depth - Nesting depth of the value
+ * @returns {string}
+ */
+function formatJson(value, depth) {
+  if (!value || typeof value !== 'object')
+    return JSON.stringify(value);
+
+  const isArray = Array.isArray(value);
+  // Undefined fields are left out, as JSON.stringify does
+  const entries = isArray
+    ? value.map((item) => [null, item])
+    : Object.entries(value).filter(([, item]) => item !== undefined);
+  const [open, close] = isArray ? ['[', ']'] : ['{', '}'];
+  if (entries.length === 0) return open + close;
+
+  const label = (key) =>
+    key === null ? '' : `${JSON.stringify(key)}: `;
+  if (
+    entries.every(([, item]) => !item || typeof item !== 'object')
+  ) {
+    const items = entries.map(
+      ([key, item]) => label(key) + JSON.stringify(item),
+    );
+    const inline = isArray
+      ? `[${items.join(', ')}]`
+      : `{ ${items.join(', ')} }`;
+    if ((depth + 1) * 2 + inline.length <= INLINE_WIDTH)
+      return inline;
+  }
+
+  const indent = '  '.repeat(depth + 1);
+  const lines = entries.map(
+    ([key, item]) =>
+      indent + label(key) + formatJson(item, depth + 1),
+  );
+  return `${open}\n${lines.join(',\n')}\n${'  '.repeat(depth)}${close}`;
+}
+
+// ============================================================================
+// Schema validation
+// ============================================================================
+
+/**
+ * Appends a property name or array index to a path.
+ *
+ * @param {string} path
+ * @param {string|number} key
+ * @returns {string}
+ */
+function childPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Resolves a local "#/definitions/Name" reference.
+ *
+ * @param {string} ref
+ * @returns {Object}
+ */
+function resolveRef(ref) {
+  return ref
+    .replace(/^#\//, '')
+    .split('/')
+    .reduce((node, key) => node[key], schema);
+}
+
+/**
+ * Returns the JSON Schema type name of a value.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Checks whether a value matches a schema "type" keyword.
+ *
+ * @param {*} value
+ * @param {string|string[]} type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return []
+    .concat(type)
+    .some(
+      (t) => t === actual || (t === 'number' && actual === 'integer'),
+    );
+}
+
+/**
+ * Validates a value against the subset of JSON Schema draft-07 used by
+ * puzzle.schema.json, appending one error per failing field.
+ *
+ * @param {*} value
+ * @param {Object} node - Schema node
+ * @param {string} path - Path of the value
+ * @param {LoadError[]} errors
+ */
+function checkSchema(value, node, path, errors) {
+  if (node.$ref) node = resolveRef(node.$ref);
+  const fail = (message) => errors.push({ path, message });
+
+  if (node.oneOf) {
+    checkOneOf(value, node.oneOf, path, errors);
+    return;
+  }
+  if ('const' in node && value !== node.const) {
+    fail(`must be ${JSON.stringify(node.const)}`);
+    return;
+  }
+  if (node.enum && !node.enum.includes(value)) {
+    fail(
+      `unknown value ${JSON.stringify(value)} (expected one of: ${node.enum.join(', ')})`,
+    );
+    return;
+  }
+  if (node.type && !matchesType(value, node.type)) {
+    fail(
+      `must be ${[].concat(node.type).join(' or ')}, found ${typeOf(value)}`,
+    );
+    return;
+  }
+
+  if (typeof value === 'string') {
+    if (node.minLength && value.length < node.minLength) {
+      fail('must not be empty');
+    }
+    if (node.pattern && !new RegExp(node.pattern).test(value)) {
+      fail(`"${value}" does not match ${node.pattern}`);
+    }
+  } else if (typeof value === 'number') {
+    if (node.minimum !== undefined && value < node.minimum) {
+      fail(`must be at least ${node.minimum}`);
+    }
+    if (node.maximum !== undefined && value > node.maximum) {
+      fail(`must be at most ${node.maximum}`);
+    }
+  } else if (Array.isArray(value)) {
+    if (node.minItems && value.length < node.minItems) {
+      fail(`must have at least ${node.minItems} item(s)`);
+    }
+    if (node.items) {
+      value.forEach((item, i) =>
+        checkSchema(item, node.items, childPath(path, i), errors),
+      );
+    }
+  } else if (value && typeof value === 'object') {
+    checkObject(value, node, path, errors);
+  }
+}
+
+/**
+ * Validates object keywords: required, properties, propertyNames and
+ * additionalProperties.
+ *
+ * @param {Object} value
+ * @param {Object} node
+ * @param {string} path
+ * @param {LoadError[]} errors
+ */
+function checkObject(value, node, path, errors) {
+  for (const key of node.required || []) {
+    if (!(key in value)) {
+      errors.push({
+        path: childPath(path, key),
+        message: 'is required',
+      });
+    }
+  }
+
+  for (const [key, item] of Object.entries(value)) {
+    const itemPath = childPath(path, key);
+    if (node.propertyNames?.pattern) {
+      if (!new RegExp(node.propertyNames.pattern).test(key)) {
+        errors.push({
+          path: itemPath,
+          message: `key "${key}" does not match ${node.propertyNames.pattern}`,
+        });
+        continue;
+      }
+    }
+    if (node.properties?.[key]) {
+      checkSchema(item, node.properties[key], itemPath, errors);
+    } else if (node.additionalProperties === false) {
+      errors.push({ path: itemPath, message: 'unknown field' });
+    } else if (typeof node.additionalProperties === 'object') {
+      checkSchema(item, node.additionalProperties, itemPath, errors);
+    }
+  }
+}
+
+/**
+ * Validates a oneOf. The branches are told apart by their "type" field,
+ * so errors come from the branch that accepts the value's type; if none
+ * does, the type itself is reported.
+ *
+ * @param {*} value
+ * @param {Object[]} branches
+ * @param {string} path
+ * @param {LoadError[]} errors
+ */
+function checkOneOf(value, branches, path, errors) {
+  const typePath = childPath(path, 'type');
+  let best = null;
+
+  for (const branch of branches) {
+    const branchErrors = [];
+    checkSchema(value, branch, path, branchErrors);
+    if (branchErrors.length === 0) return;
+    if (
+      branchErrors.some((e) => e.path === typePath || e.path === path)
+    ) {
+      continue;
+    }
+    if (!best || branchErrors.length < best.length)
+      best = branchErrors;
+  }
+
+  if (best) {
+    errors.push(...best);
+  } else if (value && typeof value === 'object' && 'type' in value) {
+    errors.push({
+      path: typePath,
+      message: `unknown type ${JSON.stringify(value.type)}`,
+    });
+  } else {
+    errors.push({ path, message: 'must be an object with a "type"' });
+  }
+}
+
+// ============================================================================
+// Defaults
+// ============================================================================
+
+/**
+ * Fills in optional fields the rest of the app expects.
+ *
+ * @param {Object} data - Validated puzzle data
+ * @returns {Puzzle}
+ */
+function applyDefaults(data) {
+  const puzzle = { ...data };
+  delete puzzle.$schema;
+  const victim = puzzle.suspects.find((s) => s.isVictim);
+
+  const defaults = {
+    subtitle: '',
+    difficulty: 'Unrated',
+    cellSize: Math.max(
+      40,
+      Math.min(70, Math.floor(450 / puzzle.gridSize)),
+    ),
+    imageBorder: { top: 0, right: 0, bottom: 0, left: 0 },
+    backgroundImage: null,
+    victim: victim?.id,
+    hints: [],
+  };
+  // Missing fields go after the file's own, so the file's order is kept
+  for (const [key, value] of Object.entries(defaults)) {
+    if (!(key in puzzle)) puzzle[key] = value;
+  }
+  return puzzle;
+}
@@ -0,0 +1,175 @@
+/**
+ * Puzzle codes
+ * @fileoverview Packs a whole puzzle (board, rooms, suspects, clues,
+ * solution) into a compressed, URL-safe string, so puzzles built in the
+ * grid editor can be shared without a source file
+ */
+
+import { loadPuzzleJson, puzzleToJson } from './loader';
+import { toBase64Url, fromBase64Url } from '../../utils/base64url';
+
+/**
+ * @typedef {import('../../types').Puzzle} Puzzle
+ * @typedef {import('./loader').LoadResult} LoadResult
+ */
+
+/**
+ * First character of a code: how the JSON after it is stored. Browsers
+ * without CompressionStream write uncompressed codes.
+ */
+const FORMAT_DEFLATE = 'Z';
+const FORMAT_PLAIN = 'J';
+
+const HASH_PARAM = 'puzzleCode';
+
+/**
+ * Start of the id given to puzzles opened from a code.
+ */
+const CODE_ID_PREFIX = 'code-';
+
+/**
+ * Hashes text with 32-bit FNV-1a.
+ *
+ * @param {string} text
+ * @returns {string} 8 hex digits
+ */
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * @param {string} text
+ * @returns {Promise<Uint8Array>}
+ */
+async function deflate(text) {
+  const stream = new Blob([text])
+    .stream()
+    .pipeThrough(new CompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {Promise<string>}
+ */
+async function inflate(bytes) {
+  const stream = new Blob([bytes])
+    .stream()
+    .pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Response(stream).text();
+}
+
+/**
+ * Encodes a puzzle as a code. Curated hints are left out to keep codes
+ * short; the solver-driven hints work without them. Like JSON export,
+ * only absolute background image URLs are kept.
+ *
+ * @param {Puzzle} puzzle
+ * @returns {Promise<string>}
+ */
+export async function encodePuzzleCode(puzzle) {
+  const data = JSON.parse(puzzleToJson(puzzle));
+  delete data.hints;
+  const json = JSON.stringify(data);
+
+  if (typeof CompressionStream === 'undefined') {
+    return FORMAT_PLAIN + toBase64Url(new TextEncoder().encode(json));
+  }
+  return FORMAT_DEFLATE + toBase64Url(await deflate(json));
+}
+
+/**
+ * Decodes and validates a puzzle code, with the same result and checks
+ * as loading a JSON puzzle file.
+ *
+ * A code carries the id of the puzzle it was made from, often a built-in
+ * one edited in the grid editor, so the decoded puzzle gets an id from a
+ * hash of its JSON instead. That keeps its saved game and stats apart
+ * from the original's, and gives the same puzzle the same id whichever
+ * format its code uses.
+ *
+ * @param {string} code
+ * @returns {Promise<LoadResult>}
+ */
+export async function decodePuzzleCode(code) {
+  const fail = (message) => ({
+    puzzle: null,
+    errors: [{ path: '', message }],
+    warnings: [],
+  });
+
+  const format = code.charAt(0);
+  let bytes;
+  try {
+    bytes = fromBase64Url(code.slice(1));
+  } catch {
+    return fail('The puzzle code is damaged.');
+  }
+
+  let json;
+  try {
+    if (format === FORMAT_PLAIN) {
+      json = new TextDecoder().decode(bytes);
+    } else if (format === FORMAT_DEFLATE) {
+      if (typeof DecompressionStream === 'undefined') {
+        return fail(
+          "This browser can't open compressed puzzle codes.",
+        );
+      }
+      json = await inflate(bytes);
+    } else {
+      return fail("That doesn't look like a puzzle code.");
+    }
+  } catch {
+    return fail('The puzzle code is damaged.');
+  }
+
+  const result = loadPuzzleJson(json);
+  if (result.puzzle) {
+    result.puzzle.id = CODE_ID_PREFIX + hashText(json);
+  }
+  return result;
+}
+
+/**
+ * Builds a link that opens a puzzle code.
+ *
+ * @param {string} code - From encodePuzzleCode
+ * @param {string} baseUrl - Page URL without a hash
+ * @returns {string}
+ */
+export function buildPuzzleCodeUrl(code, baseUrl) {
+  return `${baseUrl}#${new URLSearchParams({ [HASH_PARAM]: code })}`;
+}
+
+/**
+ * Reads the puzzle code from a URL hash.
+ *
+ * @param {string} hash - e.g. window.location.hash
+ * @returns {string|null}
+ */
+export function parsePuzzleCodeHash(hash) {
+  return new URLSearchParams(hash.replace(/^#/, '')).get(HASH_PARAM);
+}
+
+/**
+ * Extracts a puzzle code from pasted text: either the code itself or a
+ * link containing one.
+ *
+ * @param {string} text
+ * @returns {string|null}
+ */
+export function readPuzzleCode(text) {
+  const trimmed = text.trim();
+  const hashIndex = trimmed.indexOf('#');
+  if (hashIndex !== -1) {
+    return parsePuzzleCodeHash(trimmed.slice(hashIndex));
+  }
+  const code = trimmed.replace(/\s+/g, '');
+  return code || null;
+}
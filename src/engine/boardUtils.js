@@ -212,6 +212,31 @@ export function getCellsInRoom(board, room) {
 	return board.roomCells.get(room) || new Set();
 }
 
+/**
+ * Finds the wall segments between cells of different rooms, in cell
+ * units. Only right and bottom edges are checked so each wall is listed
+ * once; the board's outline is not included.
+ *
+ * @param {Array<Array<{room: string, type: string}>>} boardLayout
+ * @returns {{ x1: number, y1: number, x2: number, y2: number }[]}
+ */
+export function getRoomWalls(boardLayout) {
+	const walls = [];
+	boardLayout.forEach((row, r) => {
+		row.forEach((cell, c) => {
+			const right = row[c + 1];
+			if (right && right.room !== cell.room) {
+				walls.push({ x1: c + 1, y1: r, x2: c + 1, y2: r + 1 });
+			}
+			const below = boardLayout[r + 1]?.[c];
+			if (below && below.room !== cell.room) {
+				walls.push({ x1: c, y1: r + 1, x2: c + 1, y2: r + 1 });
+			}
+		});
+	});
+	return walls;
+}
+
 /**
  * Parses a cell key into row and column.
  *
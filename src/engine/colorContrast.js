@@ -0,0 +1,211 @@
+/**
+ * Color distinguishability checks for rooms and suspects. Colors are
+ * compared as seen with normal vision and as simulated for the three
+ * kinds of dichromacy, so two colors that only differ in red/green (or
+ * blue/yellow) are caught.
+ *
+ * @fileoverview Hex colors -> perceptual differences and clashes.
+ */
+
+/**
+ * @typedef {'normal'|'protanopia'|'deuteranopia'|'tritanopia'} Vision
+ */
+
+/**
+ * @typedef {Object} ColorClash
+ * @property {'rooms'|'suspects'} kind - What the two colors belong to
+ * @property {[string, string]} ids - Room or suspect IDs
+ * @property {number} deltaE - Smallest CIE76 color difference across visions
+ * @property {Vision} vision - The vision where the difference is smallest
+ */
+
+/**
+ * Colors closer than this (CIE76 ΔE) are treated as indistinguishable.
+ * Around 2 is a just-noticeable difference side by side, so this flags
+ * colors that read as the same one, like two neighbouring rooms sharing
+ * a hex value. Closer calls are left alone: rooms are also told apart by
+ * their walls, suspects by their avatars and initials, and color-blind
+ * mode adds room patterns and suspect badges. The built-in palettes'
+ * closest pairs sit at 4-6 in some simulated vision; a threshold of 10
+ * flagged most of them while they play fine.
+ */
+export const MIN_COLOR_DIFFERENCE = 3;
+
+/**
+ * Dichromacy simulation matrices for linear RGB (Machado, Oliveira and
+ * Fernandes 2009, severity 1.0).
+ */
+const VISION_MATRICES = {
+  protanopia: [
+    [0.152286, 1.052583, -0.204868],
+    [0.114503, 0.786281, 0.099216],
+    [-0.003882, -0.048116, 1.051998],
+  ],
+  deuteranopia: [
+    [0.367322, 0.860646, -0.227968],
+    [0.280085, 0.672501, 0.047413],
+    [-0.01182, 0.04294, 0.968881],
+  ],
+  tritanopia: [
+    [1.255528, -0.076749, -0.178779],
+    [-0.078411, 0.930809, 0.147602],
+    [0.004733, 0.691367, 0.3039],
+  ],
+};
+
+/**
+ * Compares two colors under normal vision and each simulated
+ * dichromacy, returning the smallest difference.
+ *
+ * @param {string} colorA - Hex color, e.g. '#d7bde2'
+ * @param {string} colorB - Hex color
+ * @returns {{ deltaE: number, vision: Vision }|null} Null if either color isn't a valid hex color
+ */
+export function compareColors(colorA, colorB) {
+  const a = _hexToLinearRgb(colorA);
+  const b = _hexToLinearRgb(colorB);
+  if (!a || !b) return null;
+
+  let closest = { deltaE: _deltaE(a, b), vision: 'normal' };
+  for (const [vision, matrix] of Object.entries(VISION_MATRICES)) {
+    const deltaE = _deltaE(
+      _simulate(a, matrix),
+      _simulate(b, matrix),
+    );
+    if (deltaE < closest.deltaE) closest = { deltaE, vision };
+  }
+  return closest;
+}
+
+/**
+ * Finds rooms that touch on the board and suspects (any two) whose colors
+ * are hard to tell apart.
+ *
+ * @param {Object} puzzle - The puzzle data
+ * @returns {ColorClash[]} Rooms first, then suspects, in puzzle order
+ */
+export function findColorClashes(puzzle) {
+  const clashes = [];
+  const check = (kind, idA, colorA, idB, colorB) => {
+    const result = compareColors(colorA, colorB);
+    if (result && result.deltaE < MIN_COLOR_DIFFERENCE) {
+      clashes.push({ kind, ids: [idA, idB], ...result });
+    }
+  };
+
+  const rooms = puzzle.rooms || {};
+  for (const [idA, idB] of getAdjacentRoomPairs(puzzle.boardLayout)) {
+    if (rooms[idA] && rooms[idB]) {
+      check('rooms', idA, rooms[idA].color, idB, rooms[idB].color);
+    }
+  }
+
+  const suspects = puzzle.suspects || [];
+  suspects.forEach((a, i) =>
+    suspects.slice(i + 1).forEach((b) => {
+      check('suspects', a.id, a.color, b.id, b.color);
+    }),
+  );
+
+  return clashes;
+}
+
+/**
+ * Lists each pair of rooms that share a wall, in board order.
+ *
+ * @param {Array<Array<{room: string}>>} boardLayout
+ * @returns {Array<[string, string]>}
+ */
+export function getAdjacentRoomPairs(boardLayout) {
+  const pairs = new Map();
+  const add = (a, b) => {
+    if (a === b) return;
+    const pair = a < b ? [a, b] : [b, a];
+    pairs.set(pair.join('|'), pair);
+  };
+  boardLayout.forEach((row, r) =>
+    row.forEach((cell, c) => {
+      if (row[c + 1]) add(cell.room, row[c + 1].room);
+      const below = boardLayout[r + 1]?.[c];
+      if (below) add(cell.room, below.room);
+    }),
+  );
+  return [...pairs.values()];
+}
+
+/**
+ * Parses '#rgb' or '#rrggbb' into linear RGB channels (0-1).
+ *
+ * @param {string} hex
+ * @returns {number[]|null}
+ * @private
+ */
+function _hexToLinearRgb(hex) {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(hex || '');
+  if (!match) return null;
+  const digits =
+    match[1].length === 3
+      ? [...match[1]].map((d) => d + d).join('')
+      : match[1];
+  return [0, 2, 4].map((i) => {
+    const v = parseInt(digits.slice(i, i + 2), 16) / 255;
+    return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+  });
+}
+
+/**
+ * Applies a vision simulation matrix to linear RGB.
+ *
+ * @param {number[]} rgb
+ * @param {number[][]} matrix
+ * @returns {number[]}
+ * @private
+ */
+function _simulate(rgb, matrix) {
+  return matrix.map((row) =>
+    Math.min(
+      1,
+      Math.max(
+        0,
+        row[0] * rgb[0] + row[1] * rgb[1] + row[2] * rgb[2],
+      ),
+    ),
+  );
+}
+
+/**
+ * CIE76 difference between two linear RGB colors.
+ *
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ * @private
+ */
+function _deltaE(a, b) {
+  const labA = _toLab(a);
+  const labB = _toLab(b);
+  return Math.hypot(
+    labA[0] - labB[0],
+    labA[1] - labB[1],
+    labA[2] - labB[2],
+  );
+}
+
+/**
+ * Converts linear sRGB to CIELAB (D65 white).
+ *
+ * @param {number[]} rgb
+ * @returns {number[]} [L, a, b]
+ * @private
+ */
+function _toLab([r, g, b]) {
+  const xyz = [
+    (0.4124 * r + 0.3576 * g + 0.1805 * b) / 0.95047,
+    0.2126 * r + 0.7152 * g + 0.0722 * b,
+    (0.0193 * r + 0.1192 * g + 0.9505 * b) / 1.08883,
+  ];
+  const [fx, fy, fz] = xyz.map((t) =>
+    t > 216 / 24389 ? Math.cbrt(t) : (841 / 108) * t + 4 / 29,
+  );
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
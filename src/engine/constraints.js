@@ -116,6 +116,203 @@ export function describeConstraint(constraint, puzzle) {
   }
 }
 
+/**
+ * @typedef {Object} Placement
+ * @property {Object} puzzle - Puzzle data, for genders and track positions
+ * @property {Object} board - Precomputed board info from boardUtils
+ * @property {Map<string, string>} positions - Placed suspects: suspectId -> cellKey
+ * @property {Map<string, string[]>} occupants - Room -> placed suspect IDs
+ * @property {Map<string, string>} genders - suspectId -> gender
+ * @property {boolean} complete - Every suspect is placed
+ */
+
+/**
+ * @typedef {Object} ConstraintEvaluation
+ * @property {'met'|'broken'|'open'} status - 'met' if the placed suspects
+ *   satisfy the constraint, 'broken' if no further placement can satisfy it,
+ *   'open' if it waits on someone unplaced (never on a complete board)
+ * @property {string[]} cells - The suspect's cell, plus the cells of anyone
+ *   else who breaks the constraint
+ */
+
+/**
+ * Gathers what evaluateConstraint needs to know about a set of placements.
+ *
+ * @param {Object} puzzle - Puzzle data
+ * @param {Object} board - Precomputed board info from boardUtils
+ * @param {Map<string, string>} positions - Placed suspects: suspectId -> cellKey (all on the board)
+ * @returns {Placement}
+ */
+export function createPlacement(puzzle, board, positions) {
+  const occupants = new Map();
+  for (const [sid, cellKey] of positions) {
+    const room = board.cellInfo.get(cellKey).room;
+    if (!occupants.has(room)) occupants.set(room, []);
+    occupants.get(room).push(sid);
+  }
+  return {
+    puzzle,
+    board,
+    positions,
+    occupants,
+    genders: new Map(puzzle.suspects.map((s) => [s.id, s.gender])),
+    complete: puzzle.suspects.every((s) => positions.has(s.id)),
+  };
+}
+
+/**
+ * Evaluates one constraint of a placed suspect. This is the single
+ * definition of what each constraint type means: the solver, the
+ * verifier and the live conflict check all go through it.
+ *
+ * @param {Constraint} constraint
+ * @param {string} suspectId - Suspect the constraint belongs to (must be placed)
+ * @param {Placement} placement - From createPlacement
+ * @returns {ConstraintEvaluation}
+ */
+export function evaluateConstraint(constraint, suspectId, placement) {
+  const evaluation = evaluate(constraint, suspectId, placement);
+  // Nobody is left to place, so what is still open can't be met
+  if (evaluation.status === 'open' && placement.complete) {
+    return { ...evaluation, status: 'broken' };
+  }
+  return evaluation;
+}
+
+/**
+ * evaluateConstraint, before open constraints on a complete board are
+ * counted as broken.
+ *
+ * @param {Constraint} c
+ * @param {string} suspectId
+ * @param {Placement} placement
+ * @returns {ConstraintEvaluation}
+ */
+function evaluate(c, suspectId, placement) {
+  const { puzzle, board, positions, genders } = placement;
+  const cellKey = positions.get(suspectId);
+  const info = board.cellInfo.get(cellKey);
+  const others = (placement.occupants.get(info.room) || []).filter(
+    (sid) => sid !== suspectId,
+  );
+  const otherKey = c.suspect ? positions.get(c.suspect) : undefined;
+
+  const met = () => ({ status: 'met', cells: [cellKey] });
+  const open = () => ({ status: 'open', cells: [cellKey] });
+  const broken = (sids = []) => ({
+    status: 'broken',
+    cells: [cellKey, ...sids.map((sid) => positions.get(sid))],
+  });
+
+  const staticFilter = STATIC_FILTERS[c.type];
+  if (staticFilter) {
+    return staticFilter(new Set([cellKey]), c, board).size > 0
+      ? met()
+      : broken();
+  }
+
+  switch (c.type) {
+    case 'alone':
+      return others.length === 0 ? met() : broken(others);
+
+    case 'aloneWith': {
+      const intruders = others.filter((sid) => sid !== c.suspect);
+      if (intruders.length > 0) return broken(intruders);
+      if (otherKey === undefined) return open();
+      return others.length === 1 ? met() : broken([c.suspect]);
+    }
+
+    case 'aloneWithGender':
+      if (others.length > 1) return broken(others);
+      if (others.length === 0) return open();
+      return genders.get(others[0]) === c.gender
+        ? met()
+        : broken(others);
+
+    case 'victim':
+      if (others.length > 1) return broken(others);
+      return others.length === 1 ? met() : open();
+
+    case 'withPerson':
+      if (info.room !== c.room) return broken();
+      if (otherKey === undefined) return open();
+      return board.cellInfo.get(otherKey).room === c.room
+        ? met()
+        : broken([c.suspect]);
+
+    case 'inRoomWithPersonOnCellType':
+      return others.some(
+        (sid) =>
+          genders.get(sid) === c.gender &&
+          board.cellInfo.get(positions.get(sid)).type === c.cellType,
+      )
+        ? met()
+        : open();
+
+    case 'inRoomWithPersonBesideCellType': {
+      const beside = besideCells(board, c.cellType);
+      return others.some((sid) => beside.has(positions.get(sid)))
+        ? met()
+        : open();
+    }
+
+    case 'onlyPersonOnCellType': {
+      if (info.type !== c.cellType) return broken();
+      const rivals = [...positions.keys()].filter(
+        (sid) =>
+          sid !== suspectId &&
+          board.cellInfo.get(positions.get(sid)).type === c.cellType,
+      );
+      return rivals.length === 0 ? met() : broken(rivals);
+    }
+
+    case 'relativeRow':
+      if (otherKey === undefined) return open();
+      return info.row === parseKey(otherKey).row + c.rowOffset
+        ? met()
+        : broken([c.suspect]);
+
+    case 'aheadOf': {
+      const track = puzzle.trackPositions;
+      if (!track || track[cellKey] === undefined) return broken();
+      if (otherKey === undefined) return open();
+      const theirs = track[otherKey];
+      return theirs !== undefined && track[cellKey] > theirs
+        ? met()
+        : broken([c.suspect]);
+    }
+
+    // Unknown types never pass, so no board that uses one is a solution
+    default:
+      return broken();
+  }
+}
+
+/**
+ * Finds a definite violation of a constraint on a partly filled board:
+ * one that placing more suspects can't fix. Constraints that still depend
+ * on someone unplaced never conflict; once everyone is placed, this agrees
+ * with verifyPlacements. Used for live conflict checking, so it never
+ * looks at the solution.
+ *
+ * @param {Constraint} constraint
+ * @param {string} suspectId - Suspect the constraint belongs to (must be placed)
+ * @param {Placement} placement - From createPlacement
+ * @returns {string[]|null} Cell keys involved in the conflict, or null
+ */
+export function findConstraintConflict(
+  constraint,
+  suspectId,
+  placement,
+) {
+  const { status, cells } = evaluateConstraint(
+    constraint,
+    suspectId,
+    placement,
+  );
+  return status === 'broken' ? cells : null;
+}
+
 // ============================================================================
 // Static constraint filters (don't depend on other suspects)
 // ============================================================================
@@ -178,11 +375,10 @@ const STATIC_FILTERS = {
    * Must be adjacent to a cell of given type (same room).
    */
   beside(candidates, constraint, board) {
-    const besideCells = getCellsBesideType(
-      board,
-      constraint.cellType,
+    return intersection(
+      candidates,
+      besideCells(board, constraint.cellType),
     );
-    return intersection(candidates, besideCells);
   },
 
   /**
@@ -217,13 +413,10 @@ const STATIC_FILTERS = {
    * Must NOT be adjacent to a cell of given type (same room).
    */
   notBeside(candidates, constraint, board) {
-    const besideCells = getCellsBesideType(
-      board,
-      constraint.cellType,
-    );
+    const beside = besideCells(board, constraint.cellType);
     const result = new Set();
     for (const key of candidates) {
-      if (!besideCells.has(key)) result.add(key);
+      if (!beside.has(key)) result.add(key);
     }
     return result;
   },
@@ -250,6 +443,25 @@ const DYNAMIC_TYPES = new Set([
 // Utility functions
 // ============================================================================
 
+/** @type {WeakMap<Object, Map<string, Set<string>>>} board -> cellType -> cells */
+const besideCache = new WeakMap();
+
+/**
+ * Memoized getCellsBesideType, per board.
+ *
+ * @param {Object} board
+ * @param {string} cellType
+ * @returns {Set<string>}
+ */
+function besideCells(board, cellType) {
+  if (!besideCache.has(board)) besideCache.set(board, new Map());
+  const cache = besideCache.get(board);
+  if (!cache.has(cellType)) {
+    cache.set(cellType, getCellsBesideType(board, cellType));
+  }
+  return cache.get(cellType);
+}
+
 /**
  * Returns the intersection of two sets.
  *
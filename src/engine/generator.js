@@ -0,0 +1,675 @@
+/**
+ * Procedural puzzle generator built on the solver.
+ * Places suspects on a board layout, then adds clues from the constraint
+ * vocabulary until MurdokuSolver can place everyone by logic alone.
+ *
+ * @fileoverview Board layout + rooms -> complete, uniquely solvable puzzle.
+ */
+
+import { MurdokuSolver } from './solver';
+import {
+  precomputeBoard,
+  getCellsBesideType,
+  parseKey,
+} from './boardUtils';
+import { ratePuzzle } from './difficulty';
+import { draftHints } from './hintAuthor';
+import { cellTypes } from '../data/gameData';
+
+/**
+ * @typedef {import('./constraints').Constraint} Constraint
+ */
+
+/**
+ * @typedef {Object} GeneratorOptions
+ * @property {Array<Array<{room: string, type: string}>>} boardLayout - Board to generate on
+ * @property {Object.<string, {name: string, color: string}>} rooms - Room definitions
+ * @property {string} [id='generated'] - Puzzle id
+ * @property {string} [name='Generated Puzzle'] - Puzzle name
+ * @property {string} [subtitle] - Puzzle subtitle
+ * @property {number} [cellSize=70] - Cell size in pixels
+ * @property {number} [seed] - Random seed, for reproducible output
+ * @property {number} [maxAttempts=20] - Placements to try before giving up
+ * @property {number} [sampleSize=4] - Clues evaluated per greedy step
+ * @property {number} [hypothesisDepth=0] - Contradiction nesting the solver may use while
+ *   picking clues; higher values give harder puzzles but are much slower
+ * @property {string} [tier] - Difficulty tier ('Easy' | 'Medium' | 'Hard') the puzzle must
+ *   rate as; other candidates are discarded and another placement is tried
+ */
+
+/**
+ * Fewest recorded solver steps a puzzle needs, as many as the simplest
+ * built-in puzzle takes. Candidates solved in one or two steps rate far
+ * below anything hand-made (scores under 15), so they are discarded.
+ */
+export const MIN_SOLVER_STEPS = 3;
+
+/**
+ * Names, genders and avatars for generated suspects. The first letters
+ * are distinct so possibility-mark initials stay readable.
+ */
+const SUSPECT_POOL = [
+  { name: 'Agatha', gender: 'female', avatar: '👩‍🦰' },
+  { name: 'Bernard', gender: 'male', avatar: '👨‍🦳' },
+  { name: 'Clara', gender: 'female', avatar: '👩' },
+  { name: 'Desmond', gender: 'male', avatar: '🧔' },
+  { name: 'Edith', gender: 'female', avatar: '👵' },
+  { name: 'Felix', gender: 'male', avatar: '👓' },
+  { name: 'Gloria', gender: 'female', avatar: '👩‍🦳' },
+  { name: 'Horace', gender: 'male', avatar: '👴' },
+  { name: 'Iris', gender: 'female', avatar: '👧' },
+  { name: 'Jasper', gender: 'male', avatar: '🧑' },
+  { name: 'Kitty', gender: 'female', avatar: '👱‍♀️' },
+  { name: 'Lionel', gender: 'male', avatar: '🧔‍♂️' },
+  { name: 'Mabel', gender: 'female', avatar: '👩‍🦱' },
+  { name: 'Nigel', gender: 'male', avatar: '👨' },
+];
+
+const POSITIONAL_TYPES = new Set(['inRow', 'inColumns']);
+
+// Order clues are listed in, so the clue text reads naturally
+const CLUE_ORDER = [
+  'victim',
+  'alone',
+  'inRoom',
+  'aloneWith',
+  'aloneWithGender',
+  'withPerson',
+  'onCellType',
+  'beside',
+  'inRow',
+  'inColumns',
+];
+
+const SUSPECT_COLORS = [
+  '#e69500',
+  '#4a86e8',
+  '#e06666',
+  '#6aa84f',
+  '#8e7cc3',
+  '#3c78d8',
+  '#c27ba0',
+  '#f1c232',
+  '#45818e',
+  '#cc4125',
+  '#76a5af',
+  '#a64d79',
+  '#93c47d',
+  '#b45f06',
+];
+
+/**
+ * Generates a puzzle on the given board. The result has the same shape as
+ * the hand-made puzzle modules (without a background image, and with
+ * drafted hints) and is solvable from an empty board by MurdokuSolver alone.
+ *
+ * @param {GeneratorOptions} options
+ * @returns {Object} The generated puzzle
+ */
+export function generatePuzzle(options) {
+  const {
+    boardLayout,
+    rooms,
+    id = 'generated',
+    name = 'Generated Puzzle',
+    subtitle = `The ${name} Mystery`,
+    cellSize = 70,
+    seed = Date.now(),
+    maxAttempts = 20,
+    sampleSize = 4,
+    hypothesisDepth = 0,
+    tier,
+  } = options;
+
+  // Every row and column holds exactly one suspect, as the solver assumes
+  const gridSize = boardLayout.length;
+  if (gridSize > SUSPECT_POOL.length) {
+    throw new Error(
+      `At most ${SUSPECT_POOL.length} suspects can be generated, board needs ${gridSize}`,
+    );
+  }
+
+  const random = createRandom(seed);
+  const board = precomputeBoard(boardLayout);
+  const base = {
+    id,
+    name,
+    subtitle,
+    difficulty: 'Unrated',
+    gridSize,
+    cellSize,
+    imageBorder: { top: 0, right: 0, bottom: 0, left: 0 },
+    backgroundImage: null,
+    rooms,
+  };
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const positions = _randomPlacement(board, gridSize, random);
+    if (!positions) continue;
+
+    const suspects = _createSuspects(positions, board, random);
+    if (!suspects) continue;
+
+    const puzzle = _selectClues(
+      { ...base, suspects, boardLayout },
+      board,
+      random,
+      { sampleSize, hypothesisDepth },
+    );
+    if (!puzzle) continue;
+
+    const rating = ratePuzzle(puzzle);
+    if (rating.stepCount < MIN_SOLVER_STEPS) continue;
+    if (tier && rating.tier !== tier) continue;
+
+    puzzle.difficulty = rating.tier;
+    puzzle.hints = draftHints(puzzle);
+    return puzzle;
+  }
+
+  const wanted = tier
+    ? `a puzzle rated ${tier}`
+    : 'a uniquely solvable puzzle';
+  throw new Error(
+    `Could not generate ${wanted} in ${maxAttempts} attempts`,
+  );
+}
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32).
+ *
+ * @param {number} seed
+ * @returns {function(): number} Returns floats in [0, 1)
+ */
+export function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ============================================================================
+// Placement
+// ============================================================================
+
+/**
+ * Picks cells for `count` suspects, one per row and column, all occupiable.
+ *
+ * @param {Object} board - Precomputed board
+ * @param {number} count
+ * @param {function(): number} random
+ * @returns {string[]|null} Cell keys, or null if the board has no such placement
+ * @private
+ */
+function _randomPlacement(board, count, random) {
+  const rows = _shuffle([...board.rowCells.keys()], random).slice(
+    0,
+    count,
+  );
+  if (rows.length < count) return null;
+  const usedCols = new Set();
+  const result = [];
+
+  const place = (i) => {
+    if (i === rows.length) return true;
+    const cells = _shuffle([...board.rowCells.get(rows[i])], random);
+    for (const key of cells) {
+      const { col } = parseKey(key);
+      if (usedCols.has(col)) continue;
+      usedCols.add(col);
+      result.push(key);
+      if (place(i + 1)) return true;
+      result.pop();
+      usedCols.delete(col);
+    }
+    return false;
+  };
+
+  return place(0) ? result : null;
+}
+
+/**
+ * Assigns suspects to the placed cells and picks the victim and murderer:
+ * the victim shares a room with exactly one other suspect.
+ *
+ * @param {string[]} positions - Cell keys from _randomPlacement
+ * @param {Object} board - Precomputed board
+ * @param {function(): number} random
+ * @returns {Object[]|null} Suspects with cellKey attached, or null if no room holds exactly two
+ * @private
+ */
+function _createSuspects(positions, board, random) {
+  const byRoom = new Map();
+  positions.forEach((key, i) => {
+    const room = board.cellInfo.get(key).room;
+    if (!byRoom.has(room)) byRoom.set(room, []);
+    byRoom.get(room).push(i);
+  });
+
+  const pairs = [...byRoom.values()].filter((p) => p.length === 2);
+  if (pairs.length === 0) return null;
+  const [victimIdx, murdererIdx] = _shuffle(
+    pairs[Math.floor(random() * pairs.length)],
+    random,
+  );
+
+  const people = _shuffle([...SUSPECT_POOL], random)
+    .slice(0, positions.length)
+    .sort((a, b) => a.name.localeCompare(b.name));
+  const colors = _shuffle([...SUSPECT_COLORS], random);
+
+  return positions.map((cellKey, i) => ({
+    id: people[i].name.toLowerCase(),
+    name: people[i].name,
+    gender: people[i].gender,
+    color: colors[i],
+    avatar: people[i].avatar,
+    cellKey,
+    isVictim: i === victimIdx || undefined,
+    isMurderer: i === murdererIdx,
+  }));
+}
+
+// ============================================================================
+// Clue selection
+// ============================================================================
+
+/**
+ * Lists every clue that holds for a suspect at their placed cell.
+ *
+ * @param {Object} suspect - Suspect with cellKey
+ * @param {Object[]} suspects - All suspects
+ * @param {Object} board - Precomputed board
+ * @returns {Constraint[]}
+ * @private
+ */
+function _trueClues(suspect, suspects, board) {
+  const { room, type } = board.cellInfo.get(suspect.cellKey);
+  const others = suspects.filter(
+    (s) =>
+      s !== suspect && board.cellInfo.get(s.cellKey).room === room,
+  );
+  const clues = [{ type: 'inRoom', room }];
+
+  if (type !== cellTypes.EMPTY) {
+    clues.push({ type: 'onCellType', cellType: type });
+  }
+  for (const cellType of board.typeCells.keys()) {
+    if (cellType === cellTypes.EMPTY) continue;
+    if (getCellsBesideType(board, cellType).has(suspect.cellKey)) {
+      clues.push({ type: 'beside', cellType });
+    }
+  }
+
+  // Person clues never mention the victim, so they can't give away the murderer
+  if (others.length === 0) {
+    clues.push({ type: 'alone' });
+  } else if (others.length === 1 && !others[0].isVictim) {
+    clues.push({ type: 'aloneWith', suspect: others[0].id });
+    clues.push({ type: 'aloneWithGender', gender: others[0].gender });
+  }
+  for (const other of others) {
+    if (other.isVictim) continue;
+    clues.push({ type: 'withPerson', suspect: other.id, room });
+  }
+
+  return clues;
+}
+
+/**
+ * Lists row and column clues that hold for a suspect, in the style of
+ * "She was in the bottom row" and "either in the first or the last column".
+ *
+ * @param {Object} suspect - Suspect with cellKey
+ * @param {number} gridSize
+ * @returns {Constraint[]}
+ * @private
+ */
+function _positionalClues(suspect, gridSize) {
+  const { row, col } = parseKey(suspect.cellKey);
+  const mirror = gridSize - 1 - col;
+  return [
+    { type: 'inRow', row },
+    {
+      type: 'inColumns',
+      columns:
+        mirror === col ? [col] : [col, mirror].sort((a, b) => a - b),
+    },
+  ];
+}
+
+/**
+ * Adds clues greedily until the solver places every suspect, then drops
+ * clues that turn out to be unnecessary.
+ *
+ * @param {Object} draft - Puzzle with suspects (cellKey attached) and no clues
+ * @param {Object} board - Precomputed board
+ * @param {function(): number} random
+ * @param {{ sampleSize: number, hypothesisDepth: number }} settings
+ * @returns {Object|null} Finished puzzle, or null if no clue set works
+ * @private
+ */
+function _selectClues(draft, board, random, settings) {
+  const { sampleSize, hypothesisDepth } = settings;
+  const { suspects } = draft;
+  const clues = new Map(suspects.map((s) => [s.id, []]));
+  const pool = [];
+
+  for (const s of suspects) {
+    if (s.isVictim) {
+      clues.get(s.id).push({ type: 'victim' });
+      continue;
+    }
+    const options = _shuffle(_trueClues(s, suspects, board), random);
+    // Everyone gets at least one clue to read
+    clues.get(s.id).push(options.pop());
+    for (const clue of options) pool.push({ sid: s.id, clue });
+  }
+
+  const evaluate = () => _evaluate(draft, clues, hypothesisDepth);
+  let state = evaluate();
+
+  // Positional clues are a fallback once the room and furniture ones run out
+  const fallback = _shuffle(
+    suspects
+      .filter((s) => !s.isVictim)
+      .flatMap((s) =>
+        _positionalClues(s, draft.gridSize).map((clue) => ({
+          sid: s.id,
+          clue,
+        })),
+      ),
+    random,
+  );
+
+  while (!state.solved && (pool.length > 0 || fallback.length > 0)) {
+    const source = pool.length > 0 ? pool : fallback;
+    let best = null;
+    for (const i of _sampleIndices(
+      source.length,
+      sampleSize,
+      random,
+    )) {
+      const { sid, clue } = source[i];
+      clues.get(sid).push(clue);
+      const result = evaluate();
+      clues.get(sid).pop();
+      if (!best || result.remaining < best.result.remaining) {
+        best = { i, result };
+      }
+    }
+    const [{ sid, clue }] = source.splice(best.i, 1);
+    clues.get(sid).push(clue);
+    state = best.result;
+  }
+  if (!state.solved) return null;
+
+  // Prune clues the solver can do without, keeping one per suspect.
+  // Positional clues go first so the room and furniture ones survive.
+  const order = _shuffle([...suspects], random);
+  for (const positional of [true, false]) {
+    for (const s of order) {
+      const list = clues.get(s.id);
+      for (let i = list.length - 1; i >= 0 && list.length > 1; i--) {
+        if (POSITIONAL_TYPES.has(list[i].type) !== positional)
+          continue;
+        const [removed] = list.splice(i, 1);
+        if (!evaluate().solved) list.splice(i, 0, removed);
+      }
+    }
+  }
+
+  for (const list of clues.values()) {
+    list.sort(
+      (a, b) =>
+        CLUE_ORDER.indexOf(a.type) - CLUE_ORDER.indexOf(b.type),
+    );
+  }
+  const puzzle = _buildPuzzle(draft, clues);
+  const solver = new MurdokuSolver(puzzle);
+  solver.initialize({});
+  if (!solver.hasUniqueSolution()) return null;
+  return puzzle;
+}
+
+/**
+ * Runs the solver on the draft with the current clues.
+ *
+ * @param {Object} draft
+ * @param {Map<string, Constraint[]>} clues
+ * @param {number} hypothesisDepth
+ * @returns {{ solved: boolean, remaining: number }} remaining = candidate cells left for unplaced suspects
+ * @private
+ */
+function _evaluate(draft, clues, hypothesisDepth) {
+  const solver = new MurdokuSolver(
+    {
+      ...draft,
+      suspects: draft.suspects.map((s) => ({
+        id: s.id,
+        gender: s.gender,
+        name: s.name,
+        constraints: clues.get(s.id),
+      })),
+    },
+    { maxHypothesisDepth: hypothesisDepth },
+  );
+  solver.initialize({});
+  solver.solve();
+
+  let remaining = 0;
+  let correct = true;
+  for (const s of draft.suspects) {
+    const placed = solver.placed.get(s.id);
+    if (placed && placed !== s.cellKey) correct = false;
+    if (!placed) remaining += solver.getCandidates(s.id).size;
+  }
+
+  return {
+    solved: solver.isSolved() && correct,
+    remaining: correct ? remaining : Infinity,
+  };
+}
+
+/**
+ * Assembles the final puzzle object in the puzzle-module shape.
+ *
+ * @param {Object} draft
+ * @param {Map<string, Constraint[]>} clues
+ * @returns {Object}
+ * @private
+ */
+function _buildPuzzle(draft, clues) {
+  const board = precomputeBoard(draft.boardLayout);
+  const victim = draft.suspects.find((s) => s.isVictim);
+  const murderer = draft.suspects.find((s) => s.isMurderer);
+  const names = new Map(draft.suspects.map((s) => [s.id, s.name]));
+
+  // Victim last, as in the hand-made puzzles
+  const ordered = [
+    ...draft.suspects.filter((s) => !s.isVictim),
+    victim,
+  ];
+  const suspects = ordered.map((s) => ({
+    id: s.id,
+    name: s.name,
+    gender: s.gender,
+    color: s.color,
+    clue: describeClues(s, clues.get(s.id), {
+      rooms: draft.rooms,
+      names,
+      gridSize: draft.gridSize,
+    }),
+    avatar: s.avatar,
+    isVictim: s.isVictim,
+    constraints: clues.get(s.id),
+  }));
+
+  const solution = {};
+  for (const s of ordered) {
+    const { row, col } = parseKey(s.cellKey);
+    solution[s.id] = { row, col };
+  }
+
+  return {
+    ...draft,
+    suspects,
+    solution,
+    victim: victim.id,
+    murderer: murderer.id,
+    crimeRoom: board.cellInfo.get(victim.cellKey).room,
+    hints: [],
+  };
+}
+
+/**
+ * Writes clue text for a suspect's constraints, in the style of the
+ * hand-made puzzles ("She was alone in the Waiting Area.").
+ *
+ * @param {{ gender: string }} suspect
+ * @param {Constraint[]} constraints
+ * @param {{ rooms: Object, names: Map<string, string>, gridSize: number }} ctx
+ * @returns {string}
+ */
+export function describeClues(suspect, constraints, ctx) {
+  const pronoun = suspect.gender === 'female' ? 'She' : 'He';
+  const roomName = (r) => ctx.rooms[r]?.name || r;
+  const name = (id) => ctx.names.get(id) || id;
+
+  if (constraints.some((c) => c.type === 'victim')) {
+    return `The Victim. ${pronoun} was alone with the murderer.`;
+  }
+
+  const alone = constraints.some((c) => c.type === 'alone');
+  const phrases = [];
+  for (const c of constraints) {
+    switch (c.type) {
+      case 'inRoom':
+        phrases.push(
+          `${alone ? 'alone ' : ''}in the ${roomName(c.room)}`,
+        );
+        break;
+      case 'onCellType':
+        phrases.push(`on ${typeLabel(c.cellType)}`);
+        break;
+      case 'beside':
+        phrases.push(`beside ${typeLabel(c.cellType)}`);
+        break;
+      case 'alone':
+        if (!constraints.some((o) => o.type === 'inRoom')) {
+          phrases.push('alone');
+        }
+        break;
+      case 'aloneWith':
+        phrases.push(`alone with ${name(c.suspect)}`);
+        break;
+      case 'aloneWithGender':
+        phrases.push(
+          `alone with a ${c.gender === 'female' ? 'woman' : 'man'}`,
+        );
+        break;
+      case 'withPerson':
+        phrases.push(
+          `with ${name(c.suspect)} in the ${roomName(c.room)}`,
+        );
+        break;
+      case 'inRow':
+        phrases.push(`in ${rowLabel(c.row, ctx.gridSize)}`);
+        break;
+      case 'inColumns':
+        phrases.push(
+          c.columns.length === 1
+            ? `in column ${c.columns[0] + 1}`
+            : `either in ${c.columns.map((col) => columnLabel(col, ctx.gridSize)).join(' or in ')}`,
+        );
+        break;
+      default:
+        break;
+    }
+  }
+
+  const last = phrases.pop();
+  const text = phrases.length
+    ? `${phrases.join(', ')} and ${last}`
+    : last;
+  return `${pronoun} was ${text}.`;
+}
+
+/**
+ * Names a row: 'the top row', 'the bottom row' or 'row 4'.
+ *
+ * @param {number} row
+ * @param {number} gridSize
+ * @returns {string}
+ */
+function rowLabel(row, gridSize) {
+  if (row === 0) return 'the top row';
+  if (row === gridSize - 1) return 'the bottom row';
+  return `row ${row + 1}`;
+}
+
+/**
+ * Names a column: 'the first column', 'the last column' or 'column 4'.
+ *
+ * @param {number} col
+ * @param {number} gridSize
+ * @returns {string}
+ */
+function columnLabel(col, gridSize) {
+  if (col === 0) return 'the first column';
+  if (col === gridSize - 1) return 'the last column';
+  return `column ${col + 1}`;
+}
+
+/**
+ * Turns a cellType value into words with an article:
+ * 'oilSlick' -> 'an oil slick', 'flowers' -> 'flowers'.
+ *
+ * @param {string} cellType
+ * @returns {string}
+ */
+function typeLabel(cellType) {
+  if (cellType === cellTypes.TV) return 'a TV';
+  const words = cellType.replace(/([A-Z])/g, ' $1').toLowerCase();
+  if (words.endsWith('s') || words.endsWith('water')) return words;
+  return /^[aeiou]/.test(words) ? `an ${words}` : `a ${words}`;
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Shuffles an array in place (Fisher-Yates).
+ *
+ * @template T
+ * @param {T[]} arr
+ * @param {function(): number} random
+ * @returns {T[]} The same array
+ * @private
+ */
+function _shuffle(arr, random) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+/**
+ * Picks up to `count` distinct indices below `length`.
+ *
+ * @param {number} length
+ * @param {number} count
+ * @param {function(): number} random
+ * @returns {number[]}
+ * @private
+ */
+function _sampleIndices(length, count, random) {
+  const indices = Array.from({ length }, (_, i) => i);
+  return _shuffle(indices, random).slice(0, count);
+}
@@ -0,0 +1,18 @@
+/**
+ * Web worker that runs generatePuzzle off the main thread. Generating on a
+ * big board takes seconds, which would freeze the editor.
+ *
+ * Receives GeneratorOptions; posts back { puzzle } or { error }.
+ *
+ * @fileoverview Worker entry for usePuzzleGenerator.
+ */
+
+import { generatePuzzle } from './generator';
+
+self.onmessage = ({ data }) => {
+  try {
+    self.postMessage({ puzzle: generatePuzzle(data) });
+  } catch (err) {
+    self.postMessage({ error: err.message });
+  }
+};
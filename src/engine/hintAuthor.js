@@ -0,0 +1,276 @@
+/**
+ * Drafts a puzzle's curated hints array from a solver run.
+ * Each placement the solver makes becomes one hint, with prerequisites set
+ * to the smallest group of earlier placements that step depended on.
+ *
+ * @fileoverview Solver steps -> hints in the schema _findCuratedHint consumes.
+ */
+
+import { MurdokuSolver } from './solver';
+import { getStepWeight } from './difficulty';
+
+/**
+ * @typedef {import('./solver').SolveStep} SolveStep
+ */
+
+/**
+ * @typedef {Object} CuratedHint
+ * @property {string} suspect - Suspect the hint places
+ * @property {number} order - Position in the hint sequence (1-based)
+ * @property {string[]} prerequisites - Suspects that must be placed first
+ * @property {Object} target - Cell filter, e.g. { type: 'room', room: 'garage' }
+ * @property {{ single: string, multiple: string }} messages
+ */
+
+/**
+ * What to look for, by the hardest technique behind a placement.
+ */
+const TECHNIQUE_TIPS = {
+  nakedSingle:
+    'rule out the rows and columns of the suspects already placed',
+  rowSingle: 'find the row that nobody else can fill',
+  colSingle: 'find the column that nobody else can fill',
+  rowClaiming:
+    'look for a suspect whose options all sit in one row, which nobody else can then use',
+  colClaiming:
+    'look for a suspect whose options all sit in one column, which nobody else can then use',
+  nakedRowSet:
+    'look for a group of suspects who between them must fill the same rows',
+  nakedColSet:
+    'look for a group of suspects who between them must fill the same columns',
+  pointingRow:
+    'look for a room whose remaining options all share one row',
+  pointingCol:
+    'look for a room whose remaining options all share one column',
+  aloneElimination: 'think about who can be alone in each room',
+  aloneWithElimination: 'think about who can share a room with whom',
+  aloneWithGenderElimination:
+    'think about who can share a room with whom',
+  withPersonElimination:
+    'think about which rooms can hold both people in the clue',
+  victimElimination:
+    'think about which rooms can hold exactly two people',
+  inRoomWithPersonOnCellType:
+    'think about who else could be in the same room',
+  inRoomWithPersonBesideCellType:
+    'think about who else could be in the same room',
+  onlyPersonOnType: 'think about who else could be on that cell type',
+  relativeRowElimination:
+    'compare rows with the suspect the clue refers to',
+  aheadOfElimination:
+    'compare track positions with the suspect the clue refers to',
+  contradiction:
+    'try each remaining cell and see which one leads to an impossible board',
+};
+
+/**
+ * Drafts the hints array for a puzzle. Runs the solver from an empty
+ * board, so the puzzle must be solvable by logic alone for every suspect
+ * to get a hint.
+ *
+ * @param {Object} puzzle - The puzzle data
+ * @returns {CuratedHint[]}
+ */
+export function draftHints(puzzle) {
+  const placements = _tracePlacements(puzzle);
+  const suspectMap = new Map(puzzle.suspects.map((s) => [s.id, s]));
+
+  return placements.map((placement, i) => {
+    const earlier = placements.slice(0, i);
+    const prerequisites = _minimalPrerequisites(
+      puzzle,
+      placement.suspectId,
+      earlier,
+    );
+    const suspect = suspectMap.get(placement.suspectId);
+
+    return {
+      suspect: placement.suspectId,
+      order: i + 1,
+      prerequisites,
+      target: _targetFor(suspect),
+      messages: _messagesFor(
+        suspect,
+        prerequisites.map((id) => suspectMap.get(id).name),
+        placement.technique,
+      ),
+    };
+  });
+}
+
+/**
+ * Runs the solver from an empty board and records each placement in order,
+ * with the hardest technique used since the previous placement.
+ *
+ * @param {Object} puzzle
+ * @returns {{ suspectId: string, cellKey: string, technique: string }[]}
+ * @private
+ */
+function _tracePlacements(puzzle) {
+  const solver = new MurdokuSolver(puzzle);
+  solver.initialize({});
+
+  const result = [];
+  const seen = new Set();
+  let hardest = null;
+
+  // Only the first placement of a step used its technique; the rest of
+  // the cascade are naked singles
+  const collect = (technique) => {
+    for (const [sid, cellKey] of solver.placed) {
+      if (seen.has(sid)) continue;
+      seen.add(sid);
+      result.push({ suspectId: sid, cellKey, technique });
+      technique = 'nakedSingle';
+    }
+  };
+
+  collect('nakedSingle');
+  let safety = 200;
+  while (!solver.isSolved() && safety-- > 0) {
+    const step = solver.solveStep();
+    if (!step) break;
+    if (!hardest || getStepWeight(step) > getStepWeight(hardest)) {
+      hardest = step;
+    }
+    const before = seen.size;
+    collect(hardest.technique);
+    // Placements start a fresh segment for the next technique
+    if (seen.size > before) hardest = null;
+  }
+
+  return result;
+}
+
+/**
+ * Finds the smallest set of earlier placements from which the solver places
+ * `sid` before anyone else. Drops the earliest placements first, so hints
+ * chain off the most recent ones, as hand-written hints do.
+ *
+ * @param {Object} puzzle
+ * @param {string} sid
+ * @param {{ suspectId: string, cellKey: string }[]} earlier - Placements made before sid, in order
+ * @returns {string[]} Suspect ids
+ * @private
+ */
+function _minimalPrerequisites(puzzle, sid, earlier) {
+  let kept = [...earlier];
+  if (!_placesFirst(puzzle, sid, kept)) {
+    return kept.map((p) => p.suspectId);
+  }
+
+  for (const candidate of earlier) {
+    const without = kept.filter((p) => p !== candidate);
+    if (_placesFirst(puzzle, sid, without)) kept = without;
+  }
+  return kept.map((p) => p.suspectId);
+}
+
+/**
+ * Checks whether the solver, starting from the given placements, places
+ * `sid` before any other suspect (placement order within a step counts).
+ *
+ * @param {Object} puzzle
+ * @param {string} sid
+ * @param {{ suspectId: string, cellKey: string }[]} given
+ * @returns {boolean}
+ * @private
+ */
+function _placesFirst(puzzle, sid, given) {
+  const placements = {};
+  for (const p of given) placements[p.cellKey] = p.suspectId;
+
+  const givenIds = new Set(given.map((p) => p.suspectId));
+  const solver = new MurdokuSolver(puzzle);
+  solver.initialize(placements);
+
+  let safety = 200;
+  while (safety-- > 0) {
+    for (const placedId of solver.placed.keys()) {
+      if (!givenIds.has(placedId)) return placedId === sid;
+    }
+    if (!solver.solveStep()) return false;
+  }
+  return false;
+}
+
+/**
+ * Picks the hint target from the suspect's most specific location clue.
+ *
+ * @param {Object} suspect
+ * @returns {Object}
+ * @private
+ */
+function _targetFor(suspect) {
+  const find = (type) =>
+    (suspect.constraints || []).find((c) => c.type === type);
+  const room = find('inRoom');
+
+  const onType = find('onCellType');
+  if (onType) {
+    return room
+      ? {
+          type: 'cellType',
+          cellType: onType.cellType,
+          room: room.room,
+        }
+      : { type: 'cellType', cellType: onType.cellType };
+  }
+  const beside = find('beside');
+  if (beside)
+    return { type: 'adjacentTo', cellType: beside.cellType };
+  if (room) return { type: 'room', room: room.room };
+  const rooms = find('inRooms');
+  if (rooms) return { type: 'rooms', rooms: [...rooms.rooms] };
+  const row = find('inRow');
+  if (row) return { type: 'row', row: row.row };
+  return { type: 'any' };
+}
+
+/**
+ * Writes the single/multiple messages for a hint from the suspect's clue.
+ *
+ * @param {Object} suspect
+ * @param {string[]} prerequisiteNames
+ * @param {string} technique - Hardest technique behind the placement
+ * @returns {{ single: string, multiple: string }}
+ * @private
+ */
+function _messagesFor(suspect, prerequisiteNames, technique) {
+  const pronoun = /(^|\. )(He|She|They)\b/;
+  const clue = pronoun.test(suspect.clue || '')
+    ? suspect.clue.replace(pronoun, `$1${suspect.name}`)
+    : `${suspect.name}: “${suspect.clue || ''}”`;
+  const object =
+    suspect.gender === 'female'
+      ? 'her'
+      : suspect.gender === 'male'
+        ? 'him'
+        : 'them';
+  const prefix = prerequisiteNames.length
+    ? `With ${_joinNames(prerequisiteNames)} placed, `
+    : '';
+  const sentence = (text) =>
+    prefix
+      ? `${prefix}${text}`
+      : text[0].toUpperCase() + text.slice(1);
+  const tip =
+    TECHNIQUE_TIPS[technique] || 'narrow down the remaining cells';
+
+  return {
+    single: `💡 ${clue} ${sentence(`only one cell is left for ${object}.`)}`,
+    multiple: `💡 ${clue} ${sentence(`${tip}.`)}`,
+  };
+}
+
+/**
+ * Joins names as "A", "A and B" or "A, B and C".
+ *
+ * @param {string[]} names
+ * @returns {string}
+ * @private
+ */
+function _joinNames(names) {
+  if (names.length === 1) return names[0];
+  return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+}
@@ -8,6 +8,7 @@
 
 import { MurdokuSolver } from './solver';
 import { getCellsBesideType } from './boardUtils';
+import { explainStep, describeTrace } from './stepExplainer';
 import { createCellKey } from '../constants';
 
 /**
@@ -16,6 +17,10 @@ import { createCellKey } from '../constants';
  * @property {string[]} highlightCells - Cell keys to highlight on the board
  * @property {string} [suspect] - Suspect ID this hint relates to
  * @property {string} [action] - Optional action: 'place' or 'eliminate'
+ * @property {string} [technique] - Solver technique behind the deduction, e.g. 'rowClaiming'
+ * @property {string} [placement] - Cell key where the suspect belongs, when the solver can tell
+ * @property {import('./solver').FailedAssumption[]} [trace] - For contradiction hints: each ruled-out cell, what assuming it forced, and why it failed
+ * @property {string} [reasoning] - The trace as a short "if X were here, then ... impossible" narrative
  * @property {Object} [debugState] - Debug info about solver state
  */
 
@@ -42,7 +47,9 @@ export function getNextHint(puzzle, placements) {
   // Create two solver instances:
   // rawSolver: only player placements propagated (for skipIfMoreThan checks)
   // solvedSolver: fully solved (for narrowed candidate highlighting)
-  const rawSolver = new MurdokuSolver(puzzle);
+  const rawSolver = new MurdokuSolver(puzzle, {
+    traceContradictions: true,
+  });
   rawSolver.initialize(placements);
 
   const solvedSolver = new MurdokuSolver(puzzle);
@@ -52,6 +59,10 @@ export function getNextHint(puzzle, placements) {
   // Build set of placed suspect IDs from the player's current state
   const placedIds = new Set(Object.values(placements));
 
+  // Where the hint's suspect ends up, for hints that place them
+  const placementOf = (suspectId) =>
+    suspectId ? solvedSolver.placed.get(suspectId) : undefined;
+
   // If the puzzle has curated hints, use them
   if (puzzle.hints && puzzle.hints.length > 0) {
     const result = _findCuratedHint(
@@ -60,21 +71,98 @@ export function getNextHint(puzzle, placements) {
       solvedSolver,
       placedIds,
     );
-    if (result) return result;
+    if (result) {
+      const step = _findStepFor(puzzle, placements, result.suspect);
+      return {
+        ...result,
+        technique: step?.technique,
+        placement: placementOf(result.suspect),
+        ..._traceOf(step, result.suspect, puzzle),
+      };
+    }
   }
 
   // Fallback: use solver step directly
   const step = rawSolver.solveStep();
   if (step) {
     return {
-      message: step.message,
+      message: explainStep(step, puzzle),
       highlightCells: step.highlightCells || [],
       suspect: step.suspectId,
       action: step.cellKey ? 'place' : 'eliminate',
+      technique: step.technique,
+      placement: placementOf(step.suspectId),
+      ..._traceOf(step, step.suspectId, puzzle),
     };
   }
 
-  return _fallbackHint(puzzle, rawSolver);
+  const fallback = _fallbackHint(puzzle, rawSolver);
+  return { ...fallback, placement: placementOf(fallback.suspect) };
+}
+
+/**
+ * Turns a technique ID like 'rowClaiming' into 'Row claiming'.
+ *
+ * @param {string} technique
+ * @returns {string}
+ */
+export function formatTechnique(technique) {
+  const words = technique.replace(/([A-Z])/g, ' $1').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Finds the solver step behind a curated hint: the solver's first step
+ * about the hint's suspect. A suspect with only one cell left from the
+ * start gets a bare naked single step. If a step about someone else
+ * places them first, there is no step of their own, and the hint goes
+ * without a technique rather than borrow that one.
+ *
+ * @param {Object} puzzle - The puzzle data
+ * @param {Object} placements - Current placements (cellKey -> suspectId)
+ * @param {string} suspectId - The hint's suspect
+ * @returns {import('./solver').SolveStep|null}
+ * @private
+ */
+function _findStepFor(puzzle, placements, suspectId) {
+  const solver = new MurdokuSolver(puzzle, {
+    traceContradictions: true,
+  });
+  solver.initialize(placements);
+  if (solver.placed.has(suspectId)) {
+    return { technique: 'nakedSingle', suspectId, message: '' };
+  }
+
+  let maxIterations = 200;
+  while (!solver.isSolved() && maxIterations-- > 0) {
+    const step = solver.solveStep();
+    if (!step) break;
+    if (step.suspectId === suspectId) return step;
+    if (solver.placed.has(suspectId)) break;
+  }
+  return null;
+}
+
+/**
+ * The HintResult trace fields for a contradiction step about the hinted
+ * suspect. A step about anyone else gives none, since its narrative
+ * would be about the wrong person.
+ *
+ * @param {import('./solver').SolveStep|null} step
+ * @param {string} suspectId - The hint's suspect
+ * @param {Object} puzzle - The puzzle data
+ * @returns {{ trace?: import('./solver').FailedAssumption[], reasoning?: string }}
+ * @private
+ */
+function _traceOf(step, suspectId, puzzle) {
+  if (!step?.contradictions?.length || step.suspectId !== suspectId) {
+    return {};
+  }
+  const suspect = puzzle.suspects.find((s) => s.id === suspectId);
+  return {
+    trace: step.contradictions,
+    reasoning: describeTrace(step.contradictions, suspect, puzzle),
+  };
 }
 
 /**
@@ -227,6 +315,19 @@ function _checkRoomBlocking(hint, solver, puzzle) {
   return null;
 }
 
+/**
+ * Hint target types _filterByTarget understands. Any other type falls
+ * through to 'any', so the linter rejects it.
+ */
+export const HINT_TARGET_TYPES = new Set([
+  'any',
+  'room',
+  'rooms',
+  'cellType',
+  'adjacentTo',
+  'row',
+]);
+
 /**
  * Filters candidate cells using the hint's target specification.
  * This handles dynamic constraints that the solver hasn't applied yet
@@ -324,13 +425,77 @@ export function solveFromState(puzzle, placements = {}) {
   };
 }
 
+/**
+ * @typedef {Object} ReplayFrame
+ * @property {import('./solver').SolveStep|null} step - Step that led here, or null for the starting position
+ * @property {string|null} explanation - The step explained in words (see explainStep)
+ * @property {Object.<string, string>} placements - Board after the step (cellKey -> suspectId)
+ * @property {string[]} newlyPlaced - Cells filled by the step, including follow-on placements from propagation
+ */
+
+/**
+ * Solves the puzzle from the current state, keeping the board after each
+ * step so the solve can be replayed. Frame 0 is the starting position
+ * after initial propagation.
+ *
+ * @param {Object} puzzle - The puzzle data
+ * @param {Object} placements - Current placements (cellKey -> suspectId)
+ * @returns {{ frames: ReplayFrame[], solved: boolean, unplaced: string[] }}
+ */
+export function buildSolveReplay(puzzle, placements = {}) {
+  const solver = new MurdokuSolver(puzzle, {
+    traceContradictions: true,
+  });
+  solver.initialize(placements);
+
+  const boardOf = () =>
+    Object.fromEntries(
+      [...solver.placed].map(([sid, cellKey]) => [cellKey, sid]),
+    );
+  const frames = [
+    {
+      step: null,
+      explanation: null,
+      placements: boardOf(),
+      newlyPlaced: [],
+    },
+  ];
+
+  let maxIterations = 200;
+  while (!solver.isSolved() && maxIterations-- > 0) {
+    const step = solver.solveStep();
+    if (!step) break;
+    const before = frames[frames.length - 1].placements;
+    const after = boardOf();
+    frames.push({
+      step,
+      explanation: explainStep(step, puzzle),
+      placements: after,
+      newlyPlaced: Object.keys(after).filter((key) => !before[key]),
+    });
+  }
+
+  const unplaced = puzzle.suspects
+    .filter((s) => !solver.placed.has(s.id))
+    .map((s) => s.name);
+
+  return { frames, solved: solver.isSolved(), unplaced };
+}
+
+/**
+ * @typedef {Object} DebugState
+ * @property {Object.<string, string[]>} cellCandidates - Cell key -> suspect IDs that could go there
+ * @property {Object.<string, string[]>} suspectCandidates - Suspect ID -> cell keys it could go in (suspects the player hasn't placed)
+ * @property {Object.<string, string>} placed - Suspect ID -> cell key, including suspects the solver placed itself
+ */
+
 /**
  * Gets the full candidate state for debug mode visualization.
  * Returns which suspects can go in each cell, and which cells each suspect can go in.
  *
  * @param {Object} puzzle - The puzzle data
  * @param {Object} placements - Current placements (cellKey -> suspectId)
- * @returns {Object} Debug state with candidateMap and cellCandidates
+ * @returns {DebugState}
  */
 export function getDebugState(puzzle, placements = {}) {
   const solver = new MurdokuSolver(puzzle);
@@ -359,6 +524,14 @@ export function getDebugState(puzzle, placements = {}) {
     }
   }
 
+  // Suspects the solver placed because only one cell was left are still
+  // candidates for that cell until the player places them
+  for (const [sid, key] of solver.placed) {
+    if (placements[key] === sid) continue;
+    cellCandidates[key] = [...(cellCandidates[key] || []), sid];
+    suspectCandidates[sid] = [key];
+  }
+
   return {
     cellCandidates,
     suspectCandidates,
@@ -366,6 +539,34 @@ export function getDebugState(puzzle, placements = {}) {
   };
 }
 
+/**
+ * Builds possibility marks from the solver's candidates: after basic
+ * propagation from the player's placements, every cell each suspect
+ * could still occupy. Suspects the player has placed get no marks.
+ *
+ * @param {Object} puzzle - The puzzle data
+ * @param {Object} placements - Current placements (cellKey -> suspectId)
+ * @param {string[]} [suspectIds] - Suspects to mark (default: all)
+ * @returns {Object.<string, string[]>} Cell key -> sorted suspect IDs
+ */
+export function getCandidateMarks(puzzle, placements, suspectIds) {
+  const { suspectCandidates } = getDebugState(puzzle, placements);
+  const ids = suspectIds || puzzle.suspects.map((s) => s.id);
+  const marks = {};
+
+  for (const sid of ids) {
+    for (const key of suspectCandidates[sid] || []) {
+      if (!marks[key]) marks[key] = [];
+      marks[key].push(sid);
+    }
+  }
+  for (const key of Object.keys(marks)) {
+    marks[key].sort();
+  }
+
+  return marks;
+}
+
 /**
  * Provides a fallback hint when the solver can't make progress.
  * Lists unplaced suspects with the fewest remaining candidates.
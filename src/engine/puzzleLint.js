@@ -0,0 +1,784 @@
+/**
+ * Static checks for puzzle definitions.
+ * Finds broken references (rooms, suspects, cell types), layout and
+ * solution mistakes, and story/hint inconsistencies, without running the
+ * solver.
+ *
+ * @fileoverview Puzzle definition -> list of issues with severities.
+ */
+
+import { cellTypes, occupiableTypes } from '../data/gameData';
+import { parseKey } from './boardUtils';
+import { verifyPlacements, solutionToPlacements } from './verifier';
+import { findColorClashes } from './colorContrast';
+import { HINT_TARGET_TYPES } from './hintEngine';
+
+/**
+ * @typedef {'error'|'warning'|'info'} LintSeverity
+ */
+
+/**
+ * @typedef {Object} LintIssue
+ * @property {LintSeverity} severity - error: the puzzle is broken; warning: likely a mistake; info: worth knowing
+ * @property {string} path - Offending field, e.g. 'boardLayout[3][4].room' ('' for the whole puzzle)
+ * @property {string} message - What is wrong
+ */
+
+/**
+ * Severities from most to least serious.
+ */
+export const LINT_SEVERITIES = ['error', 'warning', 'info'];
+
+/**
+ * Fields each constraint type needs.
+ */
+const CONSTRAINT_FIELDS = {
+  inRoom: ['room'],
+  inRooms: ['rooms'],
+  onCellType: ['cellType'],
+  notOnCellType: ['cellType'],
+  beside: ['cellType'],
+  notBeside: ['cellType'],
+  inColumns: ['columns'],
+  inRow: ['row'],
+  alone: [],
+  aloneWith: ['suspect'],
+  aloneWithGender: ['gender'],
+  withPerson: ['suspect', 'room'],
+  inRoomWithPersonOnCellType: ['gender', 'cellType'],
+  inRoomWithPersonBesideCellType: ['cellType'],
+  onlyPersonOnCellType: ['cellType'],
+  relativeRow: ['suspect', 'rowOffset'],
+  aheadOf: ['suspect'],
+  victim: [],
+};
+
+const KNOWN_CELL_TYPES = new Set(Object.values(cellTypes));
+// Horses stand on the track in the horse-track puzzle
+const TRACK_TYPES = new Set([
+  cellTypes.TRACK,
+  cellTypes.FINISHING_LINE,
+  cellTypes.HORSE,
+]);
+
+/**
+ * Checks a puzzle definition and reports every problem found.
+ *
+ * @param {Object} puzzle - The puzzle data (module or loaded JSON)
+ * @returns {LintIssue[]} Issues in puzzle order
+ */
+export function lintPuzzle(puzzle) {
+  const issues = [];
+  const report = (severity, path, message) =>
+    issues.push({ severity, path, message });
+  const ctx = {
+    puzzle,
+    report,
+    gridSize: puzzle.gridSize,
+    rooms: puzzle.rooms || {},
+    suspects: Array.isArray(puzzle.suspects) ? puzzle.suspects : [],
+  };
+  ctx.suspectIds = new Set(ctx.suspects.map((s) => s.id));
+
+  const gridOk = _lintGrid(ctx);
+  if (gridOk) _lintRooms(ctx);
+  const suspectsOk = _lintSuspects(ctx);
+  if (gridOk) _lintColors(ctx);
+  const solutionOk = _lintSolution(ctx, gridOk);
+  if (gridOk && suspectsOk && solutionOk) _verifySolution(ctx);
+  _lintStory(ctx, gridOk && solutionOk);
+  _lintTrack(ctx);
+  _lintHints(ctx);
+
+  return issues;
+}
+
+/**
+ * Counts issues by severity.
+ *
+ * @param {LintIssue[]} issues
+ * @returns {{ error: number, warning: number, info: number }}
+ */
+export function summarizeLint(issues) {
+  const counts = { error: 0, warning: 0, info: 0 };
+  for (const issue of issues) counts[issue.severity]++;
+  return counts;
+}
+
+/**
+ * Formats an issue as "severity path: message".
+ *
+ * @param {LintIssue} issue
+ * @returns {string}
+ */
+export function formatLintIssue({ severity, path, message }) {
+  return `${severity} ${path ? `${path}: ` : ''}${message}`;
+}
+
+/**
+ * Checks gridSize, the board dimensions and each cell's room and type.
+ *
+ * @param {Object} ctx - Lint context
+ * @returns {boolean} True if the board is a gridSize x gridSize grid
+ * @private
+ */
+function _lintGrid(ctx) {
+  const { puzzle, report, gridSize, rooms } = ctx;
+  let ok = true;
+
+  if (!Number.isInteger(gridSize) || gridSize < 2) {
+    report('error', 'gridSize', 'must be an integer of at least 2');
+    return false;
+  }
+  if (!Array.isArray(puzzle.boardLayout)) {
+    report('error', 'boardLayout', 'is missing');
+    return false;
+  }
+  if (puzzle.boardLayout.length !== gridSize) {
+    report(
+      'error',
+      'boardLayout',
+      `has ${puzzle.boardLayout.length} rows, but gridSize is ${gridSize}`,
+    );
+    ok = false;
+  }
+
+  puzzle.boardLayout.forEach((row, r) => {
+    if (!Array.isArray(row) || row.length !== gridSize) {
+      report(
+        'error',
+        `boardLayout[${r}]`,
+        `has ${row?.length ?? 0} cells, but gridSize is ${gridSize}`,
+      );
+      ok = false;
+      return;
+    }
+    row.forEach((cell, c) => {
+      const path = `boardLayout[${r}][${c}]`;
+      if (!(cell?.room in rooms)) {
+        report(
+          'error',
+          `${path}.room`,
+          `unknown room "${cell?.room}"`,
+        );
+      }
+      if (!KNOWN_CELL_TYPES.has(cell?.type)) {
+        report(
+          'error',
+          `${path}.type`,
+          `unknown cell type "${cell?.type}"`,
+        );
+      }
+    });
+  });
+
+  return ok;
+}
+
+/**
+ * Checks that every room is used, in one piece, and has somewhere to
+ * stand.
+ *
+ * @param {Object} ctx - Lint context
+ * @private
+ */
+function _lintRooms(ctx) {
+  const { puzzle, report, rooms } = ctx;
+  const cellsByRoom = new Map();
+  puzzle.boardLayout.forEach((row, r) =>
+    row.forEach((cell, c) => {
+      if (!cellsByRoom.has(cell.room)) cellsByRoom.set(cell.room, []);
+      cellsByRoom.get(cell.room).push({ r, c, type: cell.type });
+    }),
+  );
+
+  for (const [id, room] of Object.entries(rooms)) {
+    const path = `rooms.${id}`;
+    if (!room?.name) report('warning', `${path}.name`, 'is missing');
+    if (!room?.color)
+      report('warning', `${path}.color`, 'is missing');
+    const cells = cellsByRoom.get(id);
+    if (!cells) {
+      report('warning', path, 'is not used by any cell');
+      continue;
+    }
+    if (!cells.some((cell) => occupiableTypes.includes(cell.type))) {
+      report('warning', path, 'has no occupiable cells');
+    }
+    const areas = _countAreas(cells);
+    if (areas > 1) {
+      report(
+        'warning',
+        path,
+        `is split into ${areas} separate areas`,
+      );
+    }
+  }
+}
+
+/**
+ * Warns about neighbouring rooms, or any two suspects, whose colors are
+ * hard to tell apart, including for color-blind players.
+ *
+ * @param {Object} ctx - Lint context
+ * @private
+ */
+function _lintColors(ctx) {
+  const { puzzle, report, rooms, suspects } = ctx;
+  const visionNote = (vision) =>
+    vision === 'normal' ? '' : ` with ${vision}`;
+
+  for (const { kind, ids, deltaE, vision } of findColorClashes(
+    puzzle,
+  )) {
+    const difference = `ΔE ${deltaE.toFixed(1)}${visionNote(vision)}`;
+    if (kind === 'rooms') {
+      const [a, b] = ids;
+      report(
+        'warning',
+        `rooms.${a}.color`,
+        `is hard to tell apart from neighbouring room "${rooms[b].name || b}" (${difference})`,
+      );
+    } else {
+      const i = suspects.findIndex((s) => s.id === ids[0]);
+      const other = suspects.find((s) => s.id === ids[1]);
+      report(
+        'warning',
+        `suspects[${i}].color`,
+        `is hard to tell apart from ${other.name || other.id}'s (${difference})`,
+      );
+    }
+  }
+}
+
+/**
+ * Counts the orthogonally connected areas a set of cells forms.
+ *
+ * @param {{ r: number, c: number }[]} cells
+ * @returns {number}
+ * @private
+ */
+function _countAreas(cells) {
+  const remaining = new Set(cells.map(({ r, c }) => `${r}-${c}`));
+  let areas = 0;
+  while (remaining.size > 0) {
+    areas++;
+    const queue = [remaining.values().next().value];
+    remaining.delete(queue[0]);
+    while (queue.length > 0) {
+      const { row, col } = parseKey(queue.pop());
+      for (const [dr, dc] of [
+        [-1, 0],
+        [1, 0],
+        [0, -1],
+        [0, 1],
+      ]) {
+        const key = `${row + dr}-${col + dc}`;
+        if (remaining.delete(key)) queue.push(key);
+      }
+    }
+  }
+  return areas;
+}
+
+/**
+ * Checks suspect ids, clues and constraint references.
+ *
+ * @param {Object} ctx - Lint context
+ * @returns {boolean} True if every constraint is well-formed
+ * @private
+ */
+function _lintSuspects(ctx) {
+  const { puzzle, report, gridSize, rooms, suspects } = ctx;
+  let ok = true;
+
+  if (!Array.isArray(puzzle.suspects) || suspects.length === 0) {
+    report('error', 'suspects', 'must list at least one suspect');
+    return false;
+  }
+  if (suspects.length !== gridSize) {
+    report(
+      'warning',
+      'suspects',
+      `has ${suspects.length} suspects for a ${gridSize}x${gridSize} grid; the solver expects one per row and column`,
+    );
+  }
+
+  const seen = new Set();
+  suspects.forEach((suspect, i) => {
+    const path = `suspects[${i}]`;
+    if (!suspect.id) {
+      report('error', `${path}.id`, 'is missing');
+      ok = false;
+    } else if (seen.has(suspect.id)) {
+      report('error', `${path}.id`, `duplicate id "${suspect.id}"`);
+      ok = false;
+    }
+    seen.add(suspect.id);
+    if (!suspect.clue) report('warning', `${path}.clue`, 'is empty');
+
+    if (!Array.isArray(suspect.constraints)) {
+      report('error', `${path}.constraints`, 'is missing');
+      ok = false;
+      return;
+    }
+    if (suspect.constraints.length === 0) {
+      report(
+        'warning',
+        `${path}.constraints`,
+        'is empty, so the solver ignores the clue',
+      );
+    }
+    suspect.constraints.forEach((constraint, j) => {
+      if (
+        !_lintConstraint(
+          ctx,
+          suspect,
+          constraint,
+          `${path}.constraints[${j}]`,
+        )
+      ) {
+        ok = false;
+      }
+    });
+  });
+
+  const genderNeeded = suspects.some((s) =>
+    (s.constraints || []).some((c) => c.gender),
+  );
+  if (genderNeeded) {
+    suspects.forEach((suspect, i) => {
+      if (!suspect.gender) {
+        report(
+          'warning',
+          `suspects[${i}].gender`,
+          'is missing, but gender-based clues need it',
+        );
+      }
+    });
+  }
+
+  if (
+    Object.keys(rooms).length > 0 &&
+    !suspects.some((s) => s.isVictim)
+  ) {
+    report('info', 'suspects', 'no suspect is marked isVictim');
+  }
+
+  return ok;
+}
+
+/**
+ * Checks one constraint's type, required fields and references.
+ *
+ * @param {Object} ctx - Lint context
+ * @param {Object} suspect - Suspect the constraint belongs to
+ * @param {Object} constraint
+ * @param {string} path
+ * @returns {boolean} True if the constraint is well-formed
+ * @private
+ */
+function _lintConstraint(ctx, suspect, constraint, path) {
+  const { puzzle, report, gridSize, rooms, suspectIds } = ctx;
+  const fields = CONSTRAINT_FIELDS[constraint?.type];
+  if (!fields) {
+    report(
+      'error',
+      `${path}.type`,
+      `unknown constraint type "${constraint?.type}"`,
+    );
+    return false;
+  }
+
+  let ok = true;
+  const fail = (field, message) => {
+    report('error', `${path}.${field}`, message);
+    ok = false;
+  };
+  for (const field of fields) {
+    if (constraint[field] === undefined) fail(field, 'is required');
+  }
+  if (!ok) return false;
+
+  if (constraint.room !== undefined && !(constraint.room in rooms)) {
+    fail('room', `unknown room "${constraint.room}"`);
+  }
+  (constraint.rooms || []).forEach((room, k) => {
+    if (!(room in rooms))
+      fail(`rooms[${k}]`, `unknown room "${room}"`);
+  });
+  if (
+    constraint.cellType !== undefined &&
+    !KNOWN_CELL_TYPES.has(constraint.cellType)
+  ) {
+    fail('cellType', `unknown cell type "${constraint.cellType}"`);
+  }
+  if (constraint.suspect !== undefined) {
+    if (!suspectIds.has(constraint.suspect)) {
+      fail('suspect', `unknown suspect "${constraint.suspect}"`);
+    } else if (constraint.suspect === suspect.id) {
+      fail('suspect', 'refers to the suspect it belongs to');
+    }
+  }
+  (constraint.columns || []).forEach((col, k) => {
+    if (!(col >= 0 && col < gridSize)) {
+      fail(`columns[${k}]`, `column ${col} is off the board`);
+    }
+  });
+  if (
+    constraint.row !== undefined &&
+    !(constraint.row >= 0 && constraint.row < gridSize)
+  ) {
+    fail('row', `row ${constraint.row} is off the board`);
+  }
+  if (constraint.type === 'aheadOf' && !puzzle.trackPositions) {
+    report(
+      'error',
+      path,
+      'aheadOf needs the puzzle to define trackPositions',
+    );
+    ok = false;
+  }
+  return ok;
+}
+
+/**
+ * Checks that every suspect has one in-range solution position.
+ *
+ * @param {Object} ctx - Lint context
+ * @param {boolean} gridOk - Whether cell types can be looked up
+ * @returns {boolean} True if the solution can be verified
+ * @private
+ */
+function _lintSolution(ctx, gridOk) {
+  const { puzzle, report, gridSize, suspects, suspectIds } = ctx;
+  const solution = puzzle.solution;
+  if (!solution || typeof solution !== 'object') {
+    report('error', 'solution', 'is missing');
+    return false;
+  }
+
+  let ok = true;
+  for (const suspect of suspects) {
+    if (!solution[suspect.id]) {
+      report(
+        'error',
+        'solution',
+        `missing position for suspect "${suspect.id}"`,
+      );
+      ok = false;
+    }
+  }
+
+  const taken = new Map();
+  for (const [id, pos] of Object.entries(solution)) {
+    const path = `solution.${id}`;
+    if (!suspectIds.has(id)) {
+      report('error', path, `unknown suspect "${id}"`);
+      ok = false;
+      continue;
+    }
+    const { row, col } = pos || {};
+    if (
+      !(Number.isInteger(row) && row >= 0 && row < gridSize) ||
+      !(Number.isInteger(col) && col >= 0 && col < gridSize)
+    ) {
+      report(
+        'error',
+        path,
+        `position (${row}, ${col}) is off the board`,
+      );
+      ok = false;
+      continue;
+    }
+    const key = `${row}-${col}`;
+    if (taken.has(key)) {
+      report('error', path, `shares a cell with "${taken.get(key)}"`);
+      ok = false;
+    }
+    taken.set(key, id);
+    const type = gridOk && puzzle.boardLayout[row][col].type;
+    if (KNOWN_CELL_TYPES.has(type)) {
+      if (!occupiableTypes.includes(type)) {
+        report(
+          'error',
+          path,
+          `is on a ${type} cell, which cannot be occupied`,
+        );
+      }
+    }
+  }
+
+  // One suspect per row and column
+  for (const axis of ['row', 'col']) {
+    const byLine = new Map();
+    for (const [id, pos] of Object.entries(solution)) {
+      if (!suspectIds.has(id) || !pos) continue;
+      const line = pos[axis];
+      if (!byLine.has(line)) byLine.set(line, []);
+      byLine.get(line).push(id);
+    }
+    for (const [line, ids] of byLine) {
+      if (ids.length < 2) continue;
+      report(
+        'error',
+        'solution',
+        `${ids.join(', ')} share ${axis === 'row' ? 'row' : 'column'} ${line}`,
+      );
+    }
+  }
+
+  return ok;
+}
+
+/**
+ * Checks the solution against every clue.
+ *
+ * @param {Object} ctx - Lint context
+ * @private
+ */
+function _verifySolution(ctx) {
+  const { puzzle, report, suspects } = ctx;
+  const result = verifyPlacements(
+    puzzle,
+    solutionToPlacements(puzzle.solution),
+  );
+
+  suspects.forEach((suspect, i) => {
+    result.suspects[suspect.id].constraints.forEach((check, j) => {
+      if (check.passed) return;
+      report(
+        'error',
+        `suspects[${i}].constraints[${j}]`,
+        `the solution breaks this clue: ${check.reason}`,
+      );
+    });
+  });
+}
+
+/**
+ * Checks victim, murderer and crimeRoom against the suspects and solution.
+ *
+ * @param {Object} ctx - Lint context
+ * @param {boolean} solutionOk - Whether solution positions can be used
+ * @private
+ */
+function _lintStory(ctx, solutionOk) {
+  const { puzzle, report, rooms, suspects, suspectIds } = ctx;
+  const { victim, murderer, crimeRoom } = puzzle;
+
+  if (victim === undefined) {
+    report('warning', 'victim', 'is missing');
+  } else if (!suspectIds.has(victim)) {
+    report('error', 'victim', `unknown suspect "${victim}"`);
+  } else {
+    const flagged = suspects.find((s) => s.isVictim);
+    if (flagged && flagged.id !== victim) {
+      report(
+        'warning',
+        'victim',
+        `is "${victim}", but "${flagged.id}" is marked isVictim`,
+      );
+    }
+  }
+
+  if (murderer === undefined) {
+    report('warning', 'murderer', 'is missing');
+  } else if (!suspectIds.has(murderer)) {
+    report('error', 'murderer', `unknown suspect "${murderer}"`);
+  } else if (murderer === victim) {
+    report('error', 'murderer', 'is the victim');
+  }
+
+  if (crimeRoom === undefined) {
+    report('warning', 'crimeRoom', 'is missing');
+    return;
+  }
+  if (!(crimeRoom in rooms)) {
+    report('error', 'crimeRoom', `unknown room "${crimeRoom}"`);
+    return;
+  }
+  if (!solutionOk) return;
+
+  const roomOf = (id) => {
+    const pos = puzzle.solution[id];
+    return pos && puzzle.boardLayout[pos.row][pos.col].room;
+  };
+  for (const [field, id] of [
+    ['victim', victim],
+    ['murderer', murderer],
+  ]) {
+    if (!suspectIds.has(id)) continue;
+    if (roomOf(id) !== crimeRoom) {
+      report(
+        'error',
+        'crimeRoom',
+        `is "${crimeRoom}", but the ${field} is in "${roomOf(id)}" in the solution`,
+      );
+    }
+  }
+}
+
+/**
+ * Checks trackPositions keys and values.
+ *
+ * @param {Object} ctx - Lint context
+ * @private
+ */
+function _lintTrack(ctx) {
+  const { puzzle, report, gridSize } = ctx;
+  if (!puzzle.trackPositions) return;
+
+  const seen = new Map();
+  for (const [key, position] of Object.entries(
+    puzzle.trackPositions,
+  )) {
+    const path = `trackPositions.${key}`;
+    if (!/^\d+-\d+$/.test(key)) {
+      report('error', path, 'key must be a "row-col" cell key');
+      continue;
+    }
+    const { row, col } = parseKey(key);
+    if (row >= gridSize || col >= gridSize) {
+      report('error', path, 'cell is off the board');
+      continue;
+    }
+    if (!Number.isInteger(position) || position < 1) {
+      report('error', path, 'position must be a positive integer');
+    } else if (seen.has(position)) {
+      report(
+        'warning',
+        path,
+        `position ${position} is also used by ${seen.get(position)}`,
+      );
+    }
+    seen.set(position, key);
+
+    const type = puzzle.boardLayout?.[row]?.[col]?.type;
+    if (type && !TRACK_TYPES.has(type)) {
+      report(
+        'warning',
+        path,
+        `cell is a ${type}, not part of the track`,
+      );
+    }
+  }
+}
+
+/**
+ * Checks curated hints' suspects, prerequisites, targets and messages.
+ *
+ * @param {Object} ctx - Lint context
+ * @private
+ */
+function _lintHints(ctx) {
+  const { puzzle, report, gridSize, rooms, suspectIds } = ctx;
+  if (!puzzle.hints || puzzle.hints.length === 0) {
+    report(
+      'info',
+      'hints',
+      'none defined, so hints come from the solver',
+    );
+    return;
+  }
+
+  const orders = new Map();
+  puzzle.hints.forEach((hint, i) => {
+    const path = `hints[${i}]`;
+    if (!suspectIds.has(hint.suspect)) {
+      report(
+        'error',
+        `${path}.suspect`,
+        `unknown suspect "${hint.suspect}"`,
+      );
+    }
+    (hint.prerequisites || []).forEach((id, k) => {
+      if (!suspectIds.has(id)) {
+        report(
+          'error',
+          `${path}.prerequisites[${k}]`,
+          `unknown suspect "${id}"`,
+        );
+      } else if (id === hint.suspect) {
+        report(
+          'warning',
+          `${path}.prerequisites[${k}]`,
+          'is the suspect the hint places',
+        );
+      }
+    });
+
+    if (orders.has(hint.order)) {
+      report(
+        'warning',
+        `${path}.order`,
+        `${hint.order} is also used by hints[${orders.get(hint.order)}]`,
+      );
+    }
+    orders.set(hint.order, i);
+
+    const target = hint.target;
+    if (!target || !HINT_TARGET_TYPES.has(target.type)) {
+      report(
+        'error',
+        `${path}.target.type`,
+        `unknown target type "${target?.type}"`,
+      );
+    } else {
+      if (target.room !== undefined && !(target.room in rooms)) {
+        report(
+          'error',
+          `${path}.target.room`,
+          `unknown room "${target.room}"`,
+        );
+      }
+      (target.rooms || []).forEach((room, k) => {
+        if (!(room in rooms)) {
+          report(
+            'error',
+            `${path}.target.rooms[${k}]`,
+            `unknown room "${room}"`,
+          );
+        }
+      });
+      if (
+        target.cellType !== undefined &&
+        !KNOWN_CELL_TYPES.has(target.cellType)
+      ) {
+        report(
+          'error',
+          `${path}.target.cellType`,
+          `unknown cell type "${target.cellType}"`,
+        );
+      }
+      if (
+        target.row !== undefined &&
+        !(target.row >= 0 && target.row < gridSize)
+      ) {
+        report(
+          'error',
+          `${path}.target.row`,
+          `row ${target.row} is off the board`,
+        );
+      }
+    }
+
+    if (!hint.messages?.single || !hint.messages?.multiple) {
+      report(
+        'warning',
+        `${path}.messages`,
+        'should have both single and multiple messages',
+      );
+    }
+  });
+
+  const hinted = new Set(puzzle.hints.map((h) => h.suspect));
+  const missing = [...suspectIds].filter((id) => !hinted.has(id));
+  if (missing.length > 0) {
+    report(
+      'info',
+      'hints',
+      `no curated hint for ${missing.join(', ')}`,
+    );
+  }
+}
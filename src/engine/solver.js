@@ -10,6 +10,8 @@ import { precomputeBoard, parseKey } from './boardUtils';
 import {
   computeInitialCandidates,
   describeConstraint,
+  createPlacement,
+  evaluateConstraint,
 } from './constraints';
 
 /**
@@ -20,14 +22,62 @@ import {
  * @property {string} message - Human-readable explanation
  * @property {string[]} [eliminatedCells] - Cells eliminated this step
  * @property {string[]} [highlightCells] - Cells to highlight for this hint
+ * @property {number} [depth] - Hypothesis nesting for 'contradiction' steps (1 = single assumption, 2 = nested)
+ * @property {string[]} [suspects] - Every suspect the deduction involves, suspectId first
+ * @property {Object} [constraint] - The clue constraint the step applies, when it comes from one
+ * @property {string} [room] - Room the deduction is about
+ * @property {number[]} [rows] - Rows the deduction is about
+ * @property {number[]} [cols] - Columns the deduction is about
+ * @property {FailedAssumption[]} [contradictions] - For 'contradiction' steps, why each eliminated cell fails
+ */
+
+/**
+ * What went wrong after assuming a placement: a suspect left with nowhere
+ * to go, or a row or column nobody can fill.
+ *
+ * @typedef {Object} Contradiction
+ * @property {'noCandidates' | 'emptyRow' | 'emptyCol'} type
+ * @property {string} [suspectId] - Suspect with no cells left ('noCandidates')
+ * @property {number} [row] - Row nobody can fill ('emptyRow')
+ * @property {number} [col] - Column nobody can fill ('emptyCol')
+ * @property {ForcedPlacement[]} [forced] - What the assumption forced before this, in order (only when tracing contradictions)
+ * @property {number} depth - Hypothesis nesting it took (1 = the assumption alone, 2 = with a nested assumption)
+ */
+
+/**
+ * @typedef {Object} ForcedPlacement
+ * @property {string} suspectId - Suspect that had to be placed
+ * @property {string} cellKey - Where they had to go
+ * @property {string} technique - Technique of the step that placed them
+ */
+
+/**
+ * @typedef {Object} FailedAssumption
+ * @property {string} cellKey - Cell the suspect was assumed to be in
+ * @property {Contradiction} reason - What that assumption led to
+ */
+
+/**
+ * @typedef {Object} SolutionCount
+ * @property {number} count - Number of solutions found (never more than the limit)
+ * @property {boolean} capped - True if the search stopped at the limit, so more may exist
+ * @property {Object.<string, {row: number, col: number}>[]} solutions - Example solutions, in puzzle.solution shape
  */
 
 export class MurdokuSolver {
   /**
    * @param {Object} puzzle - The puzzle data
+   * @param {Object} [options]
+   * @param {number} [options.maxHypothesisDepth=2] - Nesting allowed for contradiction testing (0 disables it)
+   * @param {boolean} [options.traceContradictions=false] - Record what each failed assumption forced (Contradiction.forced)
    */
-  constructor(puzzle) {
+  constructor(
+    puzzle,
+    { maxHypothesisDepth = 2, traceContradictions = false } = {},
+  ) {
     this.puzzle = puzzle;
+    this.maxHypothesisDepth = maxHypothesisDepth;
+    this.traceContradictions = traceContradictions;
     this.board = precomputeBoard(puzzle.boardLayout);
     this.suspectIds = puzzle.suspects.map((s) => s.id);
     this.suspectMap = new Map(puzzle.suspects.map((s) => [s.id, s]));
@@ -61,8 +111,9 @@ export class MurdokuSolver {
    * Places already-placed suspects and computes initial candidates for unplaced ones.
    *
    * @param {Object} placements - Map of cellKey -> suspectId for already-placed suspects
+   * @param {string[]} [emptyCells] - Cells nobody may be placed on, e.g. the player's X marks
    */
-  initialize(placements = {}) {
+  initialize(placements = {}, emptyCells = []) {
     this.placed.clear();
     this.candidates.clear();
     this.steps = [];
@@ -74,6 +125,7 @@ export class MurdokuSolver {
         constraints,
         this.board,
       );
+      for (const cellKey of emptyCells) initial.delete(cellKey);
       this.candidates.set(sid, initial);
     }
 
@@ -137,6 +189,37 @@ export class MurdokuSolver {
     return this.steps;
   }
 
+  /**
+   * Counts the complete assignments reachable from the current state that
+   * satisfy every constraint, using backtracking search rather than logic.
+   * Solver state is restored afterwards, so this can be called at any point.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.limit=2] - Stop searching once this many solutions are found
+   * @param {number} [options.maxExamples=1] - Maximum number of example solutions to return
+   * @returns {SolutionCount}
+   */
+  countSolutions({ limit = 2, maxExamples = 1 } = {}) {
+    const snapshot = this._saveState();
+    const result = { count: 0, capped: false, solutions: [] };
+
+    this._searchSolutions(result, limit, maxExamples);
+
+    this._restoreState(snapshot);
+    return result;
+  }
+
+  /**
+   * Returns whether exactly one solution exists from the current state.
+   *
+   * @returns {boolean}
+   */
+  hasUniqueSolution() {
+    return (
+      this.countSolutions({ limit: 2, maxExamples: 0 }).count === 1
+    );
+  }
+
   /**
    * Performs one logical deduction step.
    * Returns the step taken, or null if no progress can be made.
@@ -287,6 +370,8 @@ export class MurdokuSolver {
           technique: 'nakedSingle',
           suspectId: sid,
           cellKey,
+          suspects: [sid],
+          room,
           message: `💡 ${suspect.name} can only go at R${row + 1}C${col + 1} (${roomName}). Clue: "${suspect.clue}" — ${constraintDesc}. All other cells eliminated by row/column constraints.`,
           highlightCells: [cellKey],
         };
@@ -366,6 +451,9 @@ export class MurdokuSolver {
             technique: 'rowSingle',
             suspectId: sid,
             cellKey,
+            suspects: [sid],
+            room,
+            rows: [row],
             message: `💡 Only ${suspect.name} can go in row ${row + 1}, at R${row + 1}C${col + 1} (${roomName}). "${suspect.clue}"`,
             highlightCells: [cellKey],
           };
@@ -378,6 +466,8 @@ export class MurdokuSolver {
           const step = {
             technique: 'rowSingle',
             suspectId: sid,
+            suspects: [sid],
+            rows: [r],
             message: `💡 Only ${suspect.name} can go in row ${r + 1}. Eliminated ${eliminated.length} candidate(s) from other rows.`,
             highlightCells: candsInRow,
             eliminatedCells: eliminated,
@@ -447,6 +537,9 @@ export class MurdokuSolver {
             technique: 'colSingle',
             suspectId: sid,
             cellKey,
+            suspects: [sid],
+            room,
+            cols: [col],
             message: `💡 Only ${suspect.name} can go in column ${col + 1}, at R${row + 1}C${col + 1} (${roomName}). "${suspect.clue}"`,
             highlightCells: [cellKey],
           };
@@ -459,6 +552,8 @@ export class MurdokuSolver {
           const step = {
             technique: 'colSingle',
             suspectId: sid,
+            suspects: [sid],
+            cols: [c],
             message: `💡 Only ${suspect.name} can go in column ${c + 1}. Eliminated ${eliminated.length} candidate(s) from other columns.`,
             highlightCells: candsInCol,
             eliminatedCells: eliminated,
@@ -516,6 +611,8 @@ export class MurdokuSolver {
         const step = {
           technique: 'rowClaiming',
           suspectId: sid,
+          suspects: [sid],
+          rows: [claimedRow],
           message: `💡 ${suspect.name} must be in row ${claimedRow + 1}. Eliminated ${totalEliminated} candidate(s) from other suspects in that row.`,
           highlightCells: [...cands],
         };
@@ -567,6 +664,8 @@ export class MurdokuSolver {
         const step = {
           technique: 'colClaiming',
           suspectId: sid,
+          suspects: [sid],
+          cols: [claimedCol],
           message: `💡 ${suspect.name} must be in column ${claimedCol + 1}. Eliminated ${totalEliminated} candidate(s) from other suspects in that column.`,
           highlightCells: [...cands],
         };
@@ -684,6 +783,9 @@ export class MurdokuSolver {
         const step = {
           technique: 'nakedRowSet',
           suspectId: group[0],
+          // group is reused by the search once this returns
+          suspects: [...group],
+          rows: rowList.map((r) => r - 1),
           message: `💡 ${names.join(', ')} must occupy rows ${rowList.join(', ')}. Eliminated ${totalEliminated} candidate(s) from other suspects.`,
           highlightCells: [],
         };
@@ -811,6 +913,8 @@ export class MurdokuSolver {
         const step = {
           technique: 'nakedColSet',
           suspectId: group[0],
+          suspects: [...group],
+          cols: colList.map((c) => c - 1),
           message: `💡 ${names.join(', ')} must occupy columns ${colList.join(', ')}. Eliminated ${totalEliminated} candidate(s) from other suspects.`,
           highlightCells: [],
         };
@@ -905,7 +1009,14 @@ export class MurdokuSolver {
             break;
         }
 
-        if (result) return result;
+        if (result) {
+          // Record the clue behind the step for explanations
+          result.constraint = constraint;
+          result.suspects = constraint.suspect
+            ? [sid, constraint.suspect]
+            : [sid];
+          return result;
+        }
       }
     }
     return null;
@@ -1258,6 +1369,7 @@ export class MurdokuSolver {
       const step = {
         technique: 'withPersonElimination',
         suspectId: sid,
+        room,
         message: `💡 ${suspect.name} must be with ${other.name} in the ${roomName}.`,
         highlightCells: [...cands],
         eliminatedCells: [...eliminated, ...otherEliminated],
@@ -1681,6 +1793,8 @@ export class MurdokuSolver {
           const step = {
             technique: 'onlyPersonOnType',
             suspectId: sid,
+            suspects: [sid],
+            constraint,
             message: `💡 ${suspect.name} is the only person allowed on a ${cellType}. Eliminated ${totalEliminated} ${cellType} cell(s) from other suspects.`,
             highlightCells: [...this.candidates.get(sid)],
           };
@@ -1763,6 +1877,8 @@ export class MurdokuSolver {
           const step = {
             technique: 'relativeRowElimination',
             suspectId: sid,
+            suspects: [sid, otherSid],
+            constraint,
             message: `💡 ${suspect.name} must be ${Math.abs(offset)} row(s) ${offset < 0 ? 'north' : 'south'} of ${other.name}. Eliminated incompatible positions.`,
             highlightCells: [...myCands],
             eliminatedCells: eliminated,
@@ -1827,6 +1943,9 @@ export class MurdokuSolver {
             const step = {
               technique: 'pointingRow',
               suspectId: sid,
+              suspects: [sid],
+              room,
+              rows: [sharedRow],
               message: `💡 ${suspect.name}'s candidates in the ${roomName} are all in row ${sharedRow + 1}. Eliminated from other rooms in that row.`,
               highlightCells: roomKeys,
               eliminatedCells: eliminated,
@@ -1858,6 +1977,9 @@ export class MurdokuSolver {
             const step = {
               technique: 'pointingCol',
               suspectId: sid,
+              suspects: [sid],
+              room,
+              cols: [sharedCol],
               message: `💡 ${suspect.name}'s candidates in the ${roomName} are all in column ${sharedCol + 1}. Eliminated from other rooms in that column.`,
               highlightCells: roomKeys,
               eliminatedCells: eliminated,
@@ -1885,6 +2007,8 @@ export class MurdokuSolver {
    * @private
    */
   _findByContradiction() {
+    if (this.maxHypothesisDepth < 1) return null;
+
     // Try all unplaced suspects sorted by candidate count (smallest first)
     const sorted = this.suspectIds
       .filter(
@@ -1899,10 +2023,19 @@ export class MurdokuSolver {
     for (const testSid of sorted) {
       const testKeys = [...this.candidates.get(testSid)];
       const eliminated = [];
+      const contradictions = [];
+      let depth = 0;
 
       for (const testKey of testKeys) {
-        if (this._leadsToContradiction(testSid, testKey)) {
+        const reason = this._leadsToContradiction(
+          testSid,
+          testKey,
+          this.maxHypothesisDepth - 1,
+        );
+        if (reason) {
+          depth = Math.max(depth, reason.depth);
           eliminated.push(testKey);
+          contradictions.push({ cellKey: testKey, reason });
         }
       }
 
@@ -1918,6 +2051,9 @@ export class MurdokuSolver {
           message: `💡 By testing possibilities for ${suspect.name}, eliminated ${eliminated.length} cell(s) that lead to contradictions.`,
           highlightCells: [...cands],
           eliminatedCells: eliminated,
+          depth,
+          suspects: [testSid],
+          contradictions,
         };
         this.steps.push(step);
         this._propagateBasic();
@@ -1931,30 +2067,49 @@ export class MurdokuSolver {
   /**
    * Tests if placing suspect at cellKey leads to a contradiction.
    * Creates a snapshot, places the suspect, runs full solver techniques,
-   * and checks if any suspect ends up with 0 candidates.
+   * and checks if any suspect ends up with 0 candidates. Nested
+   * assumptions are only tried once the other techniques stall, so the
+   * depth on the contradiction is the least nesting that finds it. When
+   * tracing, the placements made along the way are kept on the
+   * contradiction.
    *
    * @param {string} sid
    * @param {string} cellKey
-   * @returns {boolean} true if contradiction found
+   * @param {number} [depth=1] - Levels of nested hypotheses allowed inside this one
+   * @returns {Contradiction|null} The contradiction found, or null
    * @private
    */
   _leadsToContradiction(sid, cellKey, depth = 1) {
-    // Snapshot current state
-    const savedCandidates = new Map();
-    for (const [s, c] of this.candidates) {
-      savedCandidates.set(s, new Set(c));
-    }
-    const savedPlaced = new Map(this.placed);
-    const savedSteps = this.steps.length;
+    const snapshot = this._saveState();
 
     // Try placing
     this._placeSuspect(sid, cellKey, false);
 
+    // Placements forced by the assumption, in the order they happen
+    const forced = [];
+    const recordForced = (technique) => {
+      for (const [placedSid, placedKey] of this.placed) {
+        if (
+          placedSid === sid ||
+          snapshot.placed.has(placedSid) ||
+          forced.some((f) => f.suspectId === placedSid)
+        ) {
+          continue;
+        }
+        forced.push({
+          suspectId: placedSid,
+          cellKey: placedKey,
+          technique,
+        });
+      }
+    };
+
     // Run full solver techniques
-    let contradiction = false;
+    let contradiction = null;
+    let nestedDepth = 0;
     let safety = 100;
     while (!contradiction && safety-- > 0) {
-      contradiction = this._hasContradiction();
+      contradiction = this._findContradiction();
       if (contradiction) break;
 
       // Room constraints FIRST to eliminate invalid candidates before placement
@@ -1974,22 +2129,23 @@ export class MurdokuSolver {
       // At depth > 0, also try nested contradiction testing
       if (!step && depth > 0) {
         step = this._findByContradictionAtDepth(depth - 1);
+        if (step) nestedDepth = Math.max(nestedDepth, step.depth);
       }
 
       if (!step) break;
+      if (this.traceContradictions) recordForced(step.technique);
     }
 
     // Final contradiction check
     if (!contradiction) {
-      contradiction = this._hasContradiction();
+      contradiction = this._findContradiction();
     }
-
-    // Restore state
-    for (const [s, c] of savedCandidates) {
-      this.candidates.set(s, c);
+    if (contradiction) {
+      contradiction = { ...contradiction, depth: nestedDepth + 1 };
+      if (this.traceContradictions) contradiction.forced = forced;
     }
-    this.placed = savedPlaced;
-    this.steps.length = savedSteps;
+
+    this._restoreState(snapshot);
 
     return contradiction;
   }
@@ -2016,10 +2172,19 @@ export class MurdokuSolver {
       if (this.candidates.get(testSid).size > 6) break; // limit search space
       const testKeys = [...this.candidates.get(testSid)];
       const eliminated = [];
+      const contradictions = [];
+      let stepDepth = 0;
 
       for (const testKey of testKeys) {
-        if (this._leadsToContradiction(testSid, testKey, depth)) {
+        const reason = this._leadsToContradiction(
+          testSid,
+          testKey,
+          depth,
+        );
+        if (reason) {
+          stepDepth = Math.max(stepDepth, reason.depth);
           eliminated.push(testKey);
+          contradictions.push({ cellKey: testKey, reason });
         }
       }
 
@@ -2035,6 +2200,9 @@ export class MurdokuSolver {
           message: `💡 Deep testing for ${suspect.name}: eliminated ${eliminated.length} cell(s).`,
           highlightCells: [...cands],
           eliminatedCells: eliminated,
+          depth: stepDepth,
+          suspects: [testSid],
+          contradictions,
         };
         this.steps.push(step);
         this._propagateBasic();
@@ -2045,19 +2213,31 @@ export class MurdokuSolver {
   }
 
   /**
-   * Checks if the current state has any contradiction:
+   * Checks if the current state has any contradiction.
+   *
+   * @returns {boolean}
+   * @private
+   */
+  _hasContradiction() {
+    return this._findContradiction() !== null;
+  }
+
+  /**
+   * Finds the first contradiction in the current state:
    * - Any unplaced suspect with 0 candidates
    * - Any unfilled row with no unplaced suspect having candidates in it
    * - Any unfilled column with no unplaced suspect having candidates in it
    *
-   * @returns {boolean}
+   * @returns {Contradiction|null}
    * @private
    */
-  _hasContradiction() {
+  _findContradiction() {
     // Check for 0-candidate suspects
     for (const sid of this.suspectIds) {
       if (this.placed.has(sid)) continue;
-      if (this.candidates.get(sid).size === 0) return true;
+      if (this.candidates.get(sid).size === 0) {
+        return { type: 'noCandidates', suspectId: sid };
+      }
     }
 
     // Check for orphaned rows (unfilled rows with no candidates)
@@ -2082,7 +2262,7 @@ export class MurdokuSolver {
         }
         if (hasCand) break;
       }
-      if (!hasCand) return true;
+      if (!hasCand) return { type: 'emptyRow', row: r };
     }
 
     for (let c = 0; c < this.board.cols; c++) {
@@ -2098,16 +2278,156 @@ export class MurdokuSolver {
         }
         if (hasCand) break;
       }
-      if (!hasCand) return true;
+      if (!hasCand) return { type: 'emptyCol', col: c };
+    }
+
+    return null;
+  }
+
+  // =========================================================================
+  // Solution counting (backtracking search)
+  // =========================================================================
+
+  /**
+   * Depth-first search over placements. Branches on the unplaced suspect with
+   * the fewest candidates and verifies every constraint at the leaves.
+   *
+   * @param {SolutionCount} result - Accumulator, mutated in place
+   * @param {number} limit
+   * @param {number} maxExamples
+   * @private
+   */
+  _searchSolutions(result, limit, maxExamples) {
+    if (result.count >= limit) return;
+    if (
+      this._hasContradiction() ||
+      this._violatesPlacedConstraints()
+    ) {
+      return;
+    }
+
+    if (this.isSolved()) {
+      if (!this._satisfiesAllConstraints()) return;
+      result.count++;
+      if (result.solutions.length < maxExamples) {
+        const solution = {};
+        for (const [sid, key] of this.placed) {
+          solution[sid] = parseKey(key);
+        }
+        result.solutions.push(solution);
+      }
+      if (result.count >= limit) result.capped = true;
+      return;
+    }
+
+    let branchSid = null;
+    for (const sid of this.suspectIds) {
+      if (this.placed.has(sid)) continue;
+      if (
+        !branchSid ||
+        this.candidates.get(sid).size <
+          this.candidates.get(branchSid).size
+      ) {
+        branchSid = sid;
+      }
     }
 
+    for (const cellKey of [...this.candidates.get(branchSid)]) {
+      const snapshot = this._saveState();
+      this._placeSuspect(branchSid, cellKey, false);
+      this._searchSolutions(result, limit, maxExamples);
+      this._restoreState(snapshot);
+      if (result.count >= limit) return;
+    }
+  }
+
+  /**
+   * Checks constraints that can already be proven broken by the suspects placed
+   * so far. Adding more suspects can never repair these, so the branch is dead.
+   *
+   * @returns {boolean} true if some placed suspect's constraint is already violated
+   * @private
+   */
+  _violatesPlacedConstraints() {
+    const placement = this._createPlacement();
+    for (const sid of this.placed.keys()) {
+      for (const c of this.constraintMap.get(sid) || []) {
+        if (
+          evaluateConstraint(c, sid, placement).status === 'broken'
+        ) {
+          return true;
+        }
+      }
+    }
     return false;
   }
 
+  /**
+   * Checks every constraint of every suspect against the current placements.
+   * Only meaningful once all suspects are placed.
+   *
+   * @returns {boolean}
+   * @private
+   */
+  _satisfiesAllConstraints() {
+    const placement = this._createPlacement();
+    for (const sid of this.suspectIds) {
+      for (const c of this.constraintMap.get(sid) || []) {
+        if (evaluateConstraint(c, sid, placement).status !== 'met') {
+          return false;
+        }
+      }
+    }
+    return true;
+  }
+
+  /**
+   * The current placements, in the form evaluateConstraint reads.
+   *
+   * @returns {import('./constraints').Placement}
+   * @private
+   */
+  _createPlacement() {
+    return createPlacement(this.puzzle, this.board, this.placed);
+  }
+
   // =========================================================================
   // Helpers
   // =========================================================================
 
+  /**
+   * Captures candidates, placements and step count so a hypothetical
+   * line of reasoning can be undone.
+   *
+   * @returns {{ candidates: Map<string, Set<string>>, placed: Map<string, string>, stepCount: number }}
+   * @private
+   */
+  _saveState() {
+    const candidates = new Map();
+    for (const [s, c] of this.candidates) {
+      candidates.set(s, new Set(c));
+    }
+    return {
+      candidates,
+      placed: new Map(this.placed),
+      stepCount: this.steps.length,
+    };
+  }
+
+  /**
+   * Restores state captured by _saveState().
+   *
+   * @param {{ candidates: Map<string, Set<string>>, placed: Map<string, string>, stepCount: number }} snapshot
+   * @private
+   */
+  _restoreState(snapshot) {
+    for (const [s, c] of snapshot.candidates) {
+      this.candidates.set(s, c);
+    }
+    this.placed = snapshot.placed;
+    this.steps.length = snapshot.stepCount;
+  }
+
   /**
    * Gets the set of rooms where a suspect has candidates.
    *
@@ -0,0 +1,258 @@
+/**
+ * Turns solver steps into explanations a player can act on, quoting the
+ * clue behind each deduction instead of just counting eliminated cells.
+ *
+ * @fileoverview SolveStep structured data -> readable hint text.
+ */
+
+import { parseKey } from './boardUtils';
+import { describeConstraint } from './constraints';
+
+/**
+ * @typedef {import('./solver').SolveStep} SolveStep
+ * @typedef {import('./solver').Contradiction} Contradiction
+ * @typedef {import('./solver').FailedAssumption} FailedAssumption
+ */
+
+/**
+ * Forced placements named per failed assumption before summarising.
+ */
+const MAX_FORCED = 3;
+
+/**
+ * What a clue-driven step rules out, by technique.
+ */
+const CLUE_CONSEQUENCES = {
+  aloneElimination:
+    'Rooms where they could not be alone are ruled out.',
+  aloneWithElimination:
+    'Rooms where the two of them could not be alone together are ruled out.',
+  aloneWithGenderElimination:
+    'Rooms where that pairing is impossible are ruled out.',
+  withPersonElimination:
+    'Both of them are ruled out everywhere else.',
+  victimElimination:
+    'Rooms that could not hold exactly the two of them are ruled out.',
+  inRoomWithPersonOnCellType:
+    'Rooms where nobody suitable can be on one are ruled out.',
+  inRoomWithPersonBesideCellType:
+    'Rooms where nobody else can be beside one are ruled out.',
+  onlyPersonOnType: 'Nobody else can use those cells.',
+  relativeRowElimination: 'Rows that do not line up are ruled out.',
+  aheadOfElimination:
+    'Track positions that break this are ruled out.',
+};
+
+/**
+ * Explains a solver step in words, using its structured data (the clue
+ * constraint, suspects, room, rows/columns and failed assumptions). Steps
+ * without enough data keep the solver's own message.
+ *
+ * @param {SolveStep} step
+ * @param {Object} puzzle - The puzzle data
+ * @returns {string}
+ */
+export function explainStep(step, puzzle) {
+  const suspect = puzzle.suspects.find(
+    (s) => s.id === step.suspectId,
+  );
+  if (!suspect) return step.message;
+
+  const explanation = _explain(step, suspect, puzzle);
+  return explanation ? `💡 ${explanation}` : step.message;
+}
+
+/**
+ * Builds the explanation for one step, or null if the technique or its
+ * data isn't covered.
+ *
+ * @param {SolveStep} step
+ * @param {Object} suspect - The step's suspect
+ * @param {Object} puzzle
+ * @returns {string|null}
+ * @private
+ */
+function _explain(step, suspect, puzzle) {
+  const { name } = suspect;
+  const [row] = step.rows || [];
+  const [col] = step.cols || [];
+  const roomName = step.room ? _roomName(puzzle, step.room) : null;
+  const at = step.cellKey
+    ? `${_cellName(step.cellKey)} in the ${roomName}`
+    : null;
+
+  if (step.constraint) {
+    const clue = _quoteClue(suspect, [step.constraint], puzzle);
+    const consequence =
+      CLUE_CONSEQUENCES[step.technique] ||
+      'Cells where that is impossible are ruled out.';
+    return `${clue} ${consequence}`;
+  }
+
+  switch (step.technique) {
+    case 'nakedSingle':
+      if (!at) return null;
+      return `${_quoteClue(suspect, suspect.constraints || [], puzzle)} With the rows and columns already taken, the only cell left is ${at}.`;
+    case 'rowSingle':
+      if (row === undefined) return null;
+      return at
+        ? `Nobody else can go in row ${row + 1}, so ${name} must, and their only cell there is ${at}.`
+        : `Nobody else can go in row ${row + 1}, so ${name} must be in it. Their cells in other rows are ruled out.`;
+    case 'colSingle':
+      if (col === undefined) return null;
+      return at
+        ? `Nobody else can go in column ${col + 1}, so ${name} must, and their only cell there is ${at}.`
+        : `Nobody else can go in column ${col + 1}, so ${name} must be in it. Their cells in other columns are ruled out.`;
+    case 'rowClaiming':
+      if (row === undefined) return null;
+      return `Every cell left for ${name} is in row ${row + 1}, so they fill it. Nobody else can go in row ${row + 1}.`;
+    case 'colClaiming':
+      if (col === undefined) return null;
+      return `Every cell left for ${name} is in column ${col + 1}, so they fill it. Nobody else can go in column ${col + 1}.`;
+    case 'nakedRowSet':
+    case 'nakedColSet': {
+      const lines =
+        step.technique === 'nakedRowSet'
+          ? ['rows', step.rows]
+          : ['columns', step.cols];
+      if (!step.suspects || !lines[1]) return null;
+      const names = _suspectNames(puzzle, step.suspects);
+      const numbers = lines[1].map((n) => n + 1);
+      return `${_list(names)} only have cells in ${lines[0]} ${_list(numbers)} between them, so they must fill those ${lines[0]}. Nobody else can go there.`;
+    }
+    case 'pointingRow':
+      if (row === undefined || !roomName) return null;
+      return `${name}'s cells in the ${roomName} all lie in row ${row + 1}, so their cells elsewhere in row ${row + 1} are ruled out.`;
+    case 'pointingCol':
+      if (col === undefined || !roomName) return null;
+      return `${name}'s cells in the ${roomName} all lie in column ${col + 1}, so their cells elsewhere in column ${col + 1} are ruled out.`;
+    case 'contradiction': {
+      if (!step.contradictions?.length) return null;
+      const count = step.contradictions.length;
+      return `${describeTrace(step.contradictions, suspect, puzzle)} So ${name} can't be in ${count === 1 ? 'that cell' : `those ${count} cells`}.`;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Narrates failed assumptions, one sentence each: "If Brock were at R6C2,
+ * then Diane goes to R3C4, and Edna would have nowhere left to go —
+ * impossible." The forced placements only appear for traced contradictions
+ * (MurdokuSolver's traceContradictions option).
+ *
+ * @param {FailedAssumption[]} failures
+ * @param {Object} suspect - The suspect that was assumed into each cell
+ * @param {Object} puzzle
+ * @returns {string}
+ */
+export function describeTrace(failures, suspect, puzzle) {
+  return failures
+    .map(({ cellKey, reason }) => {
+      const forced = (reason.forced || []).slice(0, MAX_FORCED);
+      const more = (reason.forced?.length || 0) - forced.length;
+      const chain = forced.map(
+        (f) =>
+          `${_suspectNames(puzzle, [f.suspectId])[0]} goes to ${_cellName(f.cellKey)}`,
+      );
+      if (more > 0) {
+        chain.push(
+          `${more} more ${more === 1 ? 'is' : 'are'} placed`,
+        );
+      }
+      const then =
+        chain.length > 0 ? `then ${_list(chain)}, and ` : '';
+      return `If ${suspect.name} were at ${_cellName(cellKey)}, ${then}${_describeContradiction(reason, puzzle)} — impossible.`;
+    })
+    .join(' ');
+}
+
+/**
+ * Quotes a suspect's clue and what it requires, e.g.
+ * 'Elyse's clue: "I was sitting down." (Elyse must be on a Chair)'.
+ *
+ * @param {Object} suspect
+ * @param {Object[]} constraints - The constraints the step relies on
+ * @param {Object} puzzle
+ * @returns {string}
+ * @private
+ */
+function _quoteClue(suspect, constraints, puzzle) {
+  const rules = constraints
+    .map((c) => `${suspect.name} ${describeConstraint(c, puzzle)}`)
+    .join('; ');
+  const clue = suspect.clue
+    ? `${suspect.name}'s clue: "${suspect.clue}"`
+    : `${suspect.name} has no clue`;
+  return rules ? `${clue} (${rules}).` : `${clue}.`;
+}
+
+/**
+ * Describes what went wrong after an assumed placement.
+ *
+ * @param {Contradiction} reason
+ * @param {Object} puzzle
+ * @returns {string}
+ * @private
+ */
+function _describeContradiction(reason, puzzle) {
+  switch (reason.type) {
+    case 'noCandidates': {
+      const [other] = _suspectNames(puzzle, [reason.suspectId]);
+      return `${other} would have nowhere left to go`;
+    }
+    case 'emptyRow':
+      return `nobody could go in row ${reason.row + 1}`;
+    case 'emptyCol':
+      return `nobody could go in column ${reason.col + 1}`;
+    default:
+      return 'the board could not be completed';
+  }
+}
+
+/**
+ * Formats a cell key the way solver messages do, e.g. 'R3C5'.
+ *
+ * @param {string} cellKey
+ * @returns {string}
+ * @private
+ */
+function _cellName(cellKey) {
+  const { row, col } = parseKey(cellKey);
+  return `R${row + 1}C${col + 1}`;
+}
+
+/**
+ * @param {Object} puzzle
+ * @param {string} room - Room ID
+ * @returns {string}
+ * @private
+ */
+function _roomName(puzzle, room) {
+  return puzzle.rooms[room]?.name || room;
+}
+
+/**
+ * @param {Object} puzzle
+ * @param {string[]} suspectIds
+ * @returns {string[]}
+ * @private
+ */
+function _suspectNames(puzzle, suspectIds) {
+  return suspectIds.map(
+    (id) => puzzle.suspects.find((s) => s.id === id)?.name || id,
+  );
+}
+
+/**
+ * Joins items as 'A, B and C'.
+ *
+ * @param {Array<string|number>} items
+ * @returns {string}
+ * @private
+ */
+function _list(items) {
+  if (items.length <= 1) return items.join('');
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
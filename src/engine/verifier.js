@@ -0,0 +1,386 @@
+/**
+ * Full-assignment verifier for Murdoku puzzles.
+ * Checks an arbitrary set of placements against the board rules and every
+ * suspect's constraints, without relying on the solver's deductions.
+ *
+ * @fileoverview Independent oracle for "is this a valid solution?".
+ */
+
+import {
+  precomputeBoard,
+  getCellsBesideType,
+  parseKey,
+} from './boardUtils';
+import { createPlacement, evaluateConstraint } from './constraints';
+import { createCellKey } from '../constants';
+
+/**
+ * @typedef {import('./constraints').Constraint} Constraint
+ */
+
+/**
+ * @typedef {Object} ConstraintResult
+ * @property {Constraint} constraint - The constraint that was checked
+ * @property {boolean} passed - Whether the placements satisfy it
+ * @property {string} reason - Human-readable explanation of the outcome
+ */
+
+/**
+ * @typedef {Object} SuspectVerification
+ * @property {string} suspectId - Suspect ID
+ * @property {string|null} cellKey - Where the suspect is placed, or null
+ * @property {boolean} passed - True if no rule or constraint failed
+ * @property {string[]} ruleViolations - Board-rule failures (unplaced, unoccupiable cell, shared row/column)
+ * @property {ConstraintResult[]} constraints - One result per constraint, in puzzle order
+ */
+
+/**
+ * @typedef {Object} VerificationResult
+ * @property {boolean} valid - Every suspect placed and every rule and constraint satisfied
+ * @property {boolean} complete - Every suspect placed exactly once
+ * @property {Object.<string, SuspectVerification>} suspects - Per-suspect results keyed by ID
+ * @property {string[]} errors - Problems with the placements map itself (unknown suspects, duplicates)
+ */
+
+/**
+ * Converts a puzzle.solution-shaped object into a placements map.
+ *
+ * @param {Object.<string, {row: number, col: number}>} solution - suspectId -> position
+ * @returns {Object.<string, string>} cellKey -> suspectId
+ */
+export function solutionToPlacements(solution) {
+  const placements = {};
+  for (const [suspectId, pos] of Object.entries(solution || {})) {
+    placements[createCellKey(pos.row, pos.col)] = suspectId;
+  }
+  return placements;
+}
+
+/**
+ * Verifies placements against the puzzle's rules and clues.
+ * Constraints that depend on an unplaced suspect fail with a reason saying so.
+ *
+ * @param {Object} puzzle - The puzzle data
+ * @param {Object.<string, string>} placements - cellKey -> suspectId
+ * @returns {VerificationResult}
+ */
+export function verifyPlacements(puzzle, placements) {
+  const board = precomputeBoard(puzzle.boardLayout);
+  const suspectMap = new Map(puzzle.suspects.map((s) => [s.id, s]));
+  const errors = [];
+
+  /** @type {Map<string, string>} suspectId -> cellKey */
+  const positions = new Map();
+  for (const [cellKey, suspectId] of Object.entries(placements)) {
+    if (!suspectMap.has(suspectId)) {
+      errors.push(`Unknown suspect "${suspectId}" at ${cellKey}`);
+      continue;
+    }
+    if (!board.cellInfo.has(cellKey)) {
+      errors.push(
+        `${suspectMap.get(suspectId).name} is placed off the board at ${cellKey}`,
+      );
+      continue;
+    }
+    if (positions.has(suspectId)) {
+      errors.push(
+        `${suspectMap.get(suspectId).name} is placed more than once`,
+      );
+      continue;
+    }
+    positions.set(suspectId, cellKey);
+  }
+
+  const ctx = {
+    puzzle,
+    board,
+    positions,
+    placement: createPlacement(puzzle, board, positions),
+    name: (id) => suspectMap.get(id)?.name || id,
+    roomName: (room) => puzzle.rooms[room]?.name || room,
+  };
+
+  const suspects = {};
+  for (const suspect of puzzle.suspects) {
+    const ruleViolations = _checkBoardRules(suspect.id, ctx);
+    const constraints = (suspect.constraints || []).map(
+      (constraint) => {
+        if (!positions.has(suspect.id)) {
+          return {
+            constraint,
+            passed: false,
+            reason: `${suspect.name} is not placed`,
+          };
+        }
+        return {
+          constraint,
+          ..._checkConstraint(suspect.id, constraint, ctx),
+        };
+      },
+    );
+
+    suspects[suspect.id] = {
+      suspectId: suspect.id,
+      cellKey: positions.get(suspect.id) || null,
+      passed:
+        ruleViolations.length === 0 &&
+        constraints.every((r) => r.passed),
+      ruleViolations,
+      constraints,
+    };
+  }
+
+  const complete =
+    errors.length === 0 && positions.size === puzzle.suspects.length;
+
+  return {
+    valid: complete && Object.values(suspects).every((s) => s.passed),
+    complete,
+    suspects,
+    errors,
+  };
+}
+
+/**
+ * Checks the board-level rules for one suspect: placed, on an occupiable
+ * cell, and alone in their row and column.
+ *
+ * @param {string} sid
+ * @param {Object} ctx - Verification context
+ * @returns {string[]} Violations (empty if none)
+ * @private
+ */
+function _checkBoardRules(sid, ctx) {
+  const cellKey = ctx.positions.get(sid);
+  if (!cellKey) return [`${ctx.name(sid)} is not placed`];
+
+  const violations = [];
+  const { row, col, type } = ctx.board.cellInfo.get(cellKey);
+
+  if (!ctx.board.occupiableCells.has(cellKey)) {
+    violations.push(
+      `R${row + 1}C${col + 1} is a ${type}, which cannot be occupied`,
+    );
+  }
+
+  for (const [other, otherKey] of ctx.positions) {
+    if (other === sid) continue;
+    const pos = parseKey(otherKey);
+    if (pos.row === row) {
+      violations.push(
+        `Shares row ${row + 1} with ${ctx.name(other)}`,
+      );
+    }
+    if (pos.col === col) {
+      violations.push(
+        `Shares column ${col + 1} with ${ctx.name(other)}`,
+      );
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Checks one constraint for a placed suspect. Whether it passes is up to
+ * evaluateConstraint; this only explains the outcome.
+ *
+ * @param {string} sid
+ * @param {Constraint} c
+ * @param {Object} ctx - Verification context
+ * @returns {{ passed: boolean, reason: string }}
+ * @private
+ */
+function _checkConstraint(sid, c, ctx) {
+  const { board, positions, name, roomName } = ctx;
+  const passed =
+    evaluateConstraint(c, sid, ctx.placement).status === 'met';
+  const cellKey = positions.get(sid);
+  const info = board.cellInfo.get(cellKey);
+  const here = `R${info.row + 1}C${info.col + 1}`;
+  const others = (
+    ctx.placement.occupants.get(info.room) || []
+  ).filter((s) => s !== sid);
+  const othersText = others.map(name).join(', ');
+  const room = roomName(info.room);
+  const result = (reason) => ({ passed, reason });
+
+  // Constraints that refer to another suspect need them on the board
+  if (c.suspect && !positions.has(c.suspect)) {
+    return result(`${name(c.suspect)} is not placed`);
+  }
+  const otherKey = c.suspect ? positions.get(c.suspect) : null;
+
+  switch (c.type) {
+    case 'inRoom':
+      return result(
+        passed
+          ? `In the ${roomName(c.room)}`
+          : `In the ${room}, not the ${roomName(c.room)}`,
+      );
+
+    case 'inRooms':
+      return result(
+        passed
+          ? `In the ${room}`
+          : `In the ${room}, not ${c.rooms.map(roomName).join(' or ')}`,
+      );
+
+    case 'onCellType':
+      return result(
+        passed
+          ? `On a ${c.cellType} at ${here}`
+          : `On a ${info.type} at ${here}, not a ${c.cellType}`,
+      );
+
+    case 'notOnCellType':
+      return result(
+        passed
+          ? `On a ${info.type}, not a ${c.cellType}`
+          : `On a ${c.cellType} at ${here}`,
+      );
+
+    case 'beside':
+      return result(
+        passed
+          ? `Beside a ${c.cellType}`
+          : `${here} is not beside a ${c.cellType} in the same room`,
+      );
+
+    case 'notBeside':
+      return result(
+        passed
+          ? `Not beside a ${c.cellType}`
+          : `${here} is beside a ${c.cellType}`,
+      );
+
+    case 'inColumns':
+      return result(
+        passed
+          ? `In column ${info.col + 1}`
+          : `In column ${info.col + 1}, not ${c.columns.map((col) => col + 1).join(' or ')}`,
+      );
+
+    case 'inRow':
+      return result(
+        passed
+          ? `In row ${info.row + 1}`
+          : `In row ${info.row + 1}, not ${c.row + 1}`,
+      );
+
+    case 'alone':
+      return result(
+        passed
+          ? `Alone in the ${room}`
+          : `Shares the ${room} with ${othersText}`,
+      );
+
+    case 'aloneWith':
+      if (passed) {
+        return result(`Alone with ${name(c.suspect)} in the ${room}`);
+      }
+      return result(
+        others.length === 0
+          ? `Alone in the ${room}, without ${name(c.suspect)}`
+          : `The ${room} holds ${othersText}, not just ${name(c.suspect)}`,
+      );
+
+    case 'aloneWithGender':
+      if (passed) return result(`Alone with ${othersText}`);
+      return result(
+        others.length === 0
+          ? `Alone in the ${room}`
+          : `The ${room} holds ${othersText}, not a single ${c.gender}`,
+      );
+
+    case 'victim':
+      if (passed) return result(`Alone with ${othersText}`);
+      return result(
+        others.length === 0
+          ? `Alone in the ${room}, with no murderer`
+          : `The ${room} holds ${othersText}, more than one other person`,
+      );
+
+    case 'withPerson':
+      return result(
+        passed
+          ? `With ${name(c.suspect)} in the ${roomName(c.room)}`
+          : `In the ${room} while ${name(c.suspect)} is in the ${roomName(board.cellInfo.get(otherKey).room)}; both must be in the ${roomName(c.room)}`,
+      );
+
+    case 'inRoomWithPersonOnCellType': {
+      if (!passed) {
+        return result(
+          `No ${c.gender} is on a ${c.cellType} in the ${room}`,
+        );
+      }
+      const match = others.find(
+        (s) =>
+          ctx.placement.genders.get(s) === c.gender &&
+          board.cellInfo.get(positions.get(s)).type === c.cellType,
+      );
+      return result(
+        `${name(match)} is on a ${c.cellType} in the ${room}`,
+      );
+    }
+
+    case 'inRoomWithPersonBesideCellType': {
+      if (!passed) {
+        return result(
+          `Nobody else is beside a ${c.cellType} in the ${room}`,
+        );
+      }
+      const beside = getCellsBesideType(board, c.cellType);
+      const match = others.find((s) => beside.has(positions.get(s)));
+      return result(
+        `${name(match)} is beside a ${c.cellType} in the ${room}`,
+      );
+    }
+
+    case 'onlyPersonOnCellType': {
+      if (passed) return result(`Nobody else is on a ${c.cellType}`);
+      const rivals = [...positions]
+        .filter(
+          ([other, key]) =>
+            other !== sid &&
+            board.cellInfo.get(key).type === c.cellType,
+        )
+        .map(([other]) => name(other));
+      return result(
+        rivals.length === 0
+          ? `On a ${info.type} at ${here}, not a ${c.cellType}`
+          : `${rivals.join(', ')} also on a ${c.cellType}`,
+      );
+    }
+
+    case 'relativeRow': {
+      const otherRow = parseKey(otherKey).row;
+      return result(
+        passed
+          ? `In row ${info.row + 1}, ${name(c.suspect)} is in row ${otherRow + 1}`
+          : `In row ${info.row + 1}, but ${name(c.suspect)} is in row ${otherRow + 1} so row ${otherRow + c.rowOffset + 1} was required`,
+      );
+    }
+
+    case 'aheadOf': {
+      const track = ctx.puzzle.trackPositions;
+      if (!track) return result('Puzzle has no trackPositions');
+      const mine = track[cellKey];
+      const theirs = track[otherKey];
+      if (mine === undefined) {
+        return result(`${here} is not on the track`);
+      }
+      if (theirs === undefined) {
+        return result(`${name(c.suspect)} is not on the track`);
+      }
+      return result(
+        passed
+          ? `Track position ${mine}, ahead of ${name(c.suspect)} at ${theirs}`
+          : `Track position ${mine}, not ahead of ${name(c.suspect)} at ${theirs}`,
+      );
+    }
+
+    default:
+      return result(`Unknown constraint type "${c.type}"`);
+  }
+}
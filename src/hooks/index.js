@@ -1,3 +1,9 @@
 export { useGameState } from './useGameState';
 export { useHints } from './useHints';
 export { useValidation } from './useValidation';
+export { useSavedGame } from './useSavedGame';
+export { useSolverReplay } from './useSolverReplay';
+export { useKeyboardPlay } from './useKeyboardPlay';
+export { useStats } from './useStats';
+export { usePuzzleRatings } from './usePuzzleRatings';
+export { usePuzzleGenerator } from './usePuzzleGenerator';
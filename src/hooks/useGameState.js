@@ -1,6 +1,19 @@
-import { useState, useCallback, useEffect, useMemo } from 'react';
+import {
+  useState,
+  useCallback,
+  useEffect,
+  useMemo,
+  useRef,
+} from 'react';
 import { occupiableTypes } from '../data/gameData';
-import { createCellKey, parseCellKey, MESSAGES } from '../constants';
+import { getCandidateMarks } from '../engine/hintEngine';
+import { loadPreference, savePreference } from '../utils/saveGame';
+import {
+  createCellKey,
+  parseCellKey,
+  MESSAGES,
+  KEYBOARD_SHORTCUTS,
+} from '../constants';
 
 /**
  * @typedef {import('../types').Placements} Placements
@@ -32,9 +45,10 @@ import { createCellKey, parseCellKey, MESSAGES } from '../constants';
  * Custom hook for managing game state including placements, marks, history, and selection.
  *
  * @param {Puzzle} puzzle - The current puzzle
+ * @param {function(string): void} [onAction] - Told of each move for the stats: 'place', 'undo', or 'edit' for any other board change
  * @returns {Object} Game state and actions
  */
-export function useGameState(puzzle) {
+export function useGameState(puzzle, onAction) {
   const { suspects, boardLayout, gridSize } = puzzle;
 
   /** @type {[Placements, Function]} */
@@ -53,6 +67,20 @@ export function useGameState(puzzle) {
   const [message, setMessage] = useState(MESSAGES.INITIAL);
   /** @type {[HistoryEntry[], Function]} */
   const [history, setHistory] = useState([]);
+  /** @type {[HistoryEntry[], Function]} */
+  const [future, setFuture] = useState([]);
+  /** @type {[boolean, Function]} */
+  const [autoPrune, setAutoPrune] = useState(() =>
+    loadPreference('autoPrune')
+  );
+
+  // Open history group: while set, only the first saveToHistory counts
+  const historyGroupRef = useRef(null);
+  // Latest onAction, so the actions below don't change with it
+  const onActionRef = useRef(onAction);
+  useEffect(() => {
+    onActionRef.current = onAction;
+  });
 
   /**
    * Computed markedCells - combines autoMarks and manualMarks.
@@ -76,22 +104,61 @@ export function useGameState(puzzle) {
     return combined;
   }, [autoMarks, manualMarks]);
 
+  /**
+   * Copies the current state into a history entry.
+   *
+   * @returns {HistoryEntry}
+   */
+  const captureState = useCallback(
+    () => ({
+      placements: { ...placements },
+      autoMarks: JSON.parse(JSON.stringify(autoMarks)),
+      manualMarks: { ...manualMarks },
+      possibilityMarks: JSON.parse(JSON.stringify(possibilityMarks)),
+    }),
+    [placements, autoMarks, manualMarks, possibilityMarks]
+  );
+
+  /**
+   * Applies a history entry to the board.
+   *
+   * @param {HistoryEntry} entry
+   */
+  const applyState = useCallback((entry) => {
+    setPlacements(entry.placements);
+    setAutoMarks(entry.autoMarks);
+    setManualMarks(entry.manualMarks);
+    setPossibilityMarks(entry.possibilityMarks || {});
+  }, []);
+
   /**
    * Saves current state to history for undo functionality.
+   * Taking a new action discards anything that could be redone.
+   * Inside a history group, only the first call saves.
    */
   const saveToHistory = useCallback(() => {
-    setHistory((prev) => [
-      ...prev,
-      {
-        placements: { ...placements },
-        autoMarks: JSON.parse(JSON.stringify(autoMarks)),
-        manualMarks: { ...manualMarks },
-        possibilityMarks: JSON.parse(
-          JSON.stringify(possibilityMarks)
-        ),
-      },
-    ]);
-  }, [placements, autoMarks, manualMarks, possibilityMarks]);
+    const group = historyGroupRef.current;
+    if (group?.saved) return;
+    if (group) group.saved = true;
+    setHistory((prev) => [...prev, captureState()]);
+    setFuture([]);
+    onActionRef.current?.('edit');
+  }, [captureState]);
+
+  /**
+   * Starts grouping saves into one undo step, e.g. for a drag that
+   * marks many cells.
+   */
+  const beginHistoryGroup = useCallback(() => {
+    historyGroupRef.current = { saved: false };
+  }, []);
+
+  /**
+   * Ends the current history group.
+   */
+  const endHistoryGroup = useCallback(() => {
+    historyGroupRef.current = null;
+  }, []);
 
   /**
    * Undoes the last action.
@@ -101,26 +168,48 @@ export function useGameState(puzzle) {
       setMessage(MESSAGES.UNDO_EMPTY);
       return;
     }
-    const lastState = history[history.length - 1];
-    setPlacements(lastState.placements);
-    setAutoMarks(lastState.autoMarks);
-    setManualMarks(lastState.manualMarks);
-    setPossibilityMarks(lastState.possibilityMarks || {});
+    const current = captureState();
+    applyState(history[history.length - 1]);
     setHistory((prev) => prev.slice(0, -1));
+    setFuture((prev) => [...prev, current]);
     setMessage(MESSAGES.UNDO_SUCCESS);
-  }, [history]);
+    onActionRef.current?.('undo');
+  }, [history, captureState, applyState]);
 
-  // Keyboard shortcut for undo (Ctrl/Cmd + Z)
+  /**
+   * Redoes the last undone action.
+   */
+  const handleRedo = useCallback(() => {
+    if (future.length === 0) {
+      setMessage(MESSAGES.REDO_EMPTY);
+      return;
+    }
+    const current = captureState();
+    applyState(future[future.length - 1]);
+    setFuture((prev) => prev.slice(0, -1));
+    setHistory((prev) => [...prev, current]);
+    setMessage(MESSAGES.REDO_SUCCESS);
+  }, [future, captureState, applyState]);
+
+  // Keyboard shortcuts: undo (Ctrl/Cmd + Z), redo (Ctrl/Cmd + Shift + Z or Ctrl/Cmd + Y)
   useEffect(() => {
     function handleKeyDown(e) {
-      if ((e.metaKey || e.ctrlKey) && e.key === 'z') {
+      if (!e.metaKey && !e.ctrlKey) return;
+      const key = e.key.toLowerCase();
+      if (key === KEYBOARD_SHORTCUTS.UNDO && !e.shiftKey) {
         e.preventDefault();
         handleUndo();
+      } else if (
+        (key === KEYBOARD_SHORTCUTS.UNDO && e.shiftKey) ||
+        key === KEYBOARD_SHORTCUTS.REDO
+      ) {
+        e.preventDefault();
+        handleRedo();
       }
     }
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [handleUndo]);
+  }, [handleUndo, handleRedo]);
 
   /**
    * Gets the suspect at a specific cell position.
@@ -283,6 +372,159 @@ export function useGameState(puzzle) {
     [selectedSuspect, isSuspectPlaced]
   );
 
+  /**
+   * Places a suspect on an empty cell, moving them if already placed.
+   * Updates their auto X marks and clears their possibility marks.
+   *
+   * @param {Suspect} suspect - The suspect to place
+   * @param {number} row - Row index
+   * @param {number} col - Column index
+   */
+  const placeSuspect = useCallback(
+    (suspect, row, col) => {
+      const cellKey = createCellKey(row, col);
+      saveToHistory();
+      const newPlacements = { ...placements };
+      const oldPosition = getPlacementPosition(suspect.id);
+      if (oldPosition) {
+        delete newPlacements[
+          createCellKey(oldPosition.row, oldPosition.col)
+        ];
+      }
+      newPlacements[cellKey] = suspect.id;
+      setPlacements(newPlacements);
+      onActionRef.current?.('place');
+      // Remove old auto-marks (if moving) and add new ones
+      let newAutoMarks = removeAutoMarksForSuspect(
+        suspect.id,
+        autoMarks
+      );
+      newAutoMarks = addAutoMarksForSuspect(
+        suspect.id,
+        row,
+        col,
+        newAutoMarks,
+        newPlacements
+      );
+      setAutoMarks(newAutoMarks);
+
+      // Clear possibility marks for this suspect
+      setPossibilityMarks((prev) => {
+        const newMarks = {};
+        for (const [cellKey, suspectIds] of Object.entries(prev)) {
+          const filtered = suspectIds.filter(
+            (id) => id !== suspect.id
+          );
+          if (filtered.length > 0) {
+            newMarks[cellKey] = filtered;
+          }
+        }
+        return newMarks;
+      });
+
+      setMessage(`${suspect.name} placed!`);
+      setSelectedSuspect(null);
+    },
+    [
+      placements,
+      autoMarks,
+      getPlacementPosition,
+      addAutoMarksForSuspect,
+      removeAutoMarksForSuspect,
+      saveToHistory,
+    ]
+  );
+
+  /**
+   * Takes a placed suspect off the board, along with their auto X marks.
+   *
+   * @param {Suspect} suspect - The suspect to remove
+   */
+  const removeSuspect = useCallback(
+    (suspect) => {
+      const position = getPlacementPosition(suspect.id);
+      if (!position) return;
+      saveToHistory();
+      const newPlacements = { ...placements };
+      delete newPlacements[createCellKey(position.row, position.col)];
+      setPlacements(newPlacements);
+      setAutoMarks(removeAutoMarksForSuspect(suspect.id, autoMarks));
+      setMessage(`${suspect.name} removed from the board.`);
+      setSelectedSuspect(null);
+    },
+    [
+      placements,
+      autoMarks,
+      getPlacementPosition,
+      removeAutoMarksForSuspect,
+      saveToHistory,
+    ]
+  );
+
+  /**
+   * Toggles the manual X mark on an empty cell.
+   *
+   * @param {number} row - Row index
+   * @param {number} col - Column index
+   */
+  const toggleManualMark = useCallback(
+    (row, col) => {
+      if (getSuspectAt(row, col)) return;
+      const cellKey = createCellKey(row, col);
+      saveToHistory();
+      setManualMarks((prev) => {
+        const newMarks = { ...prev };
+        if (newMarks[cellKey]) {
+          delete newMarks[cellKey];
+        } else {
+          newMarks[cellKey] = true;
+        }
+        return newMarks;
+      });
+    },
+    [getSuspectAt, saveToHistory]
+  );
+
+  /**
+   * Clears a cell: removes the suspect placed there, or else its manual X
+   * mark and possibility marks. Auto X marks stay, since they follow from
+   * the placements.
+   *
+   * @param {number} row - Row index
+   * @param {number} col - Column index
+   */
+  const clearCell = useCallback(
+    (row, col) => {
+      const existingSuspect = getSuspectAt(row, col);
+      if (existingSuspect) {
+        removeSuspect(existingSuspect);
+        return;
+      }
+
+      const cellKey = createCellKey(row, col);
+      if (!manualMarks[cellKey] && !possibilityMarks[cellKey]) return;
+      saveToHistory();
+      setManualMarks((prev) => {
+        const newMarks = { ...prev };
+        delete newMarks[cellKey];
+        return newMarks;
+      });
+      setPossibilityMarks((prev) => {
+        const newMarks = { ...prev };
+        delete newMarks[cellKey];
+        return newMarks;
+      });
+      setMessage(`Marks cleared from R${row + 1}C${col + 1}.`);
+    },
+    [
+      getSuspectAt,
+      removeSuspect,
+      manualMarks,
+      possibilityMarks,
+      saveToHistory,
+    ]
+  );
+
   /**
    * Handles left-click on a cell.
    *
@@ -306,21 +548,7 @@ export function useGameState(puzzle) {
           selectedSuspect &&
           selectedSuspect.id === existingSuspect.id
         ) {
-          // Remove the suspect from the board
-          saveToHistory();
-          const newPlacements = { ...placements };
-          delete newPlacements[cellKey];
-          setPlacements(newPlacements);
-          // Remove auto-marks for this suspect
-          const newAutoMarks = removeAutoMarksForSuspect(
-            existingSuspect.id,
-            autoMarks
-          );
-          setAutoMarks(newAutoMarks);
-          setMessage(
-            `${existingSuspect.name} removed from the board.`
-          );
-          setSelectedSuspect(null);
+          removeSuspect(existingSuspect);
         } else if (selectedSuspect) {
           // Swap: move selected suspect to this cell (displacing existing)
           saveToHistory();
@@ -336,6 +564,7 @@ export function useGameState(puzzle) {
           delete newPlacements[cellKey];
           newPlacements[cellKey] = selectedSuspect.id;
           setPlacements(newPlacements);
+          onActionRef.current?.('place');
           // Remove old auto-marks for the moving suspect, then add new ones
           let newAutoMarks = removeAutoMarksForSuspect(
             selectedSuspect.id,
@@ -370,58 +599,9 @@ export function useGameState(puzzle) {
           );
           return;
         }
-        saveToHistory();
-        const newPlacements = { ...placements };
-        const oldPosition = getPlacementPosition(selectedSuspect.id);
-        if (oldPosition) {
-          delete newPlacements[
-            createCellKey(oldPosition.row, oldPosition.col)
-          ];
-        }
-        newPlacements[cellKey] = selectedSuspect.id;
-        setPlacements(newPlacements);
-        // Remove old auto-marks (if moving) and add new ones
-        let newAutoMarks = removeAutoMarksForSuspect(
-          selectedSuspect.id,
-          autoMarks
-        );
-        newAutoMarks = addAutoMarksForSuspect(
-          selectedSuspect.id,
-          row,
-          col,
-          newAutoMarks,
-          newPlacements
-        );
-        setAutoMarks(newAutoMarks);
-
-        // Clear possibility marks for this suspect
-        setPossibilityMarks((prev) => {
-          const newMarks = {};
-          for (const [cellKey, suspectIds] of Object.entries(prev)) {
-            const filtered = suspectIds.filter(
-              (id) => id !== selectedSuspect.id
-            );
-            if (filtered.length > 0) {
-              newMarks[cellKey] = filtered;
-            }
-          }
-          return newMarks;
-        });
-
-        setMessage(`${selectedSuspect.name} placed!`);
-        setSelectedSuspect(null);
+        placeSuspect(selectedSuspect, row, col);
       } else {
-        // Toggle manual mark
-        saveToHistory();
-        setManualMarks((prev) => {
-          const newMarks = { ...prev };
-          if (newMarks[cellKey]) {
-            delete newMarks[cellKey];
-          } else {
-            newMarks[cellKey] = true;
-          }
-          return newMarks;
-        });
+        toggleManualMark(row, col);
       }
     },
     [
@@ -434,6 +614,9 @@ export function useGameState(puzzle) {
       addAutoMarksForSuspect,
       removeAutoMarksForSuspect,
       saveToHistory,
+      placeSuspect,
+      removeSuspect,
+      toggleManualMark,
     ]
   );
 
@@ -487,20 +670,101 @@ export function useGameState(puzzle) {
       }
 
       // No suspect selected - toggle manual X mark
+      toggleManualMark(row, col);
+    },
+    [getSuspectAt, selectedSuspect, saveToHistory, toggleManualMark]
+  );
+
+  /**
+   * Fills possibility marks from the solver's candidates, replacing the
+   * suspect's existing marks. Placed suspects are skipped.
+   *
+   * @param {Suspect|null} [suspect] - Suspect to fill; all unplaced suspects when omitted
+   */
+  const fillPossibilityMarks = useCallback(
+    (suspect) => {
+      const suspectIds = (suspect ? [suspect] : suspects)
+        .map((s) => s.id)
+        .filter((id) => !isSuspectPlaced(id));
+      if (suspectIds.length === 0) {
+        setMessage(
+          suspect
+            ? `${suspect.name} is already placed.`
+            : MESSAGES.MARKS_FILL_NONE
+        );
+        return;
+      }
+
       saveToHistory();
-      setManualMarks((prev) => {
-        const newMarks = { ...prev };
-        if (newMarks[cellKey]) {
-          delete newMarks[cellKey];
-        } else {
-          newMarks[cellKey] = true;
+      const filled = getCandidateMarks(
+        puzzle,
+        placements,
+        suspectIds
+      );
+      setPossibilityMarks((prev) => {
+        const newMarks = {};
+        for (const [cellKey, ids] of Object.entries(prev)) {
+          const kept = ids.filter((id) => !suspectIds.includes(id));
+          if (kept.length > 0) {
+            newMarks[cellKey] = kept;
+          }
+        }
+        for (const [cellKey, ids] of Object.entries(filled)) {
+          newMarks[cellKey] = [
+            ...(newMarks[cellKey] || []),
+            ...ids,
+          ].sort();
         }
         return newMarks;
       });
+
+      if (suspect) {
+        const count = Object.keys(filled).length;
+        setMessage(
+          `✏️ Marked ${suspect.name}'s ${count} possible cell${count === 1 ? '' : 's'}.`
+        );
+      } else {
+        setMessage(
+          `✏️ Marked the possible cells for ${suspectIds.length} unplaced suspect${suspectIds.length === 1 ? '' : 's'}.`
+        );
+      }
     },
-    [getSuspectAt, selectedSuspect, saveToHistory]
+    [suspects, puzzle, placements, isSuspectPlaced, saveToHistory]
   );
 
+  /**
+   * Turns automatic pruning of possibility marks on or off.
+   */
+  const toggleAutoPrune = useCallback(() => {
+    const enabled = !autoPrune;
+    setAutoPrune(enabled);
+    savePreference('autoPrune', enabled);
+    setMessage(
+      enabled ? MESSAGES.AUTO_PRUNE_ON : MESSAGES.AUTO_PRUNE_OFF
+    );
+  }, [autoPrune]);
+
+  // Auto-prune: drop possibility marks the solver rules out whenever the
+  // placements change. Pruning never adds marks back.
+  useEffect(() => {
+    if (!autoPrune) return;
+    const allowed = getCandidateMarks(puzzle, placements);
+    setPossibilityMarks((prev) => {
+      const newMarks = {};
+      let changed = false;
+      for (const [cellKey, ids] of Object.entries(prev)) {
+        const kept = ids.filter((id) =>
+          (allowed[cellKey] || []).includes(id)
+        );
+        if (kept.length !== ids.length) changed = true;
+        if (kept.length > 0) {
+          newMarks[cellKey] = kept;
+        }
+      }
+      return changed ? newMarks : prev;
+    });
+  }, [autoPrune, puzzle, placements]);
+
   /**
    * Resets the game state.
    */
@@ -512,9 +776,51 @@ export function useGameState(puzzle) {
     setSelectedSuspect(null);
     setSelectedCell(null);
     setHistory([]);
+    setFuture([]);
     setMessage(MESSAGES.GAME_RESET);
   }, []);
 
+  /**
+   * Everything needed to save and later restore the game.
+   * @type {import('../utils/saveGame').GameSnapshot}
+   */
+  const snapshot = useMemo(
+    () => ({
+      placements,
+      autoMarks,
+      manualMarks,
+      possibilityMarks,
+      history,
+      future,
+    }),
+    [
+      placements,
+      autoMarks,
+      manualMarks,
+      possibilityMarks,
+      history,
+      future,
+    ]
+  );
+
+  /**
+   * Restores a saved or shared game.
+   *
+   * @param {import('../utils/saveGame').GameSnapshot} saved - Snapshot to restore
+   * @param {string} [restoredMessage] - Message to show instead of GAME_RESUMED
+   */
+  const restoreState = useCallback((saved, restoredMessage) => {
+    setPlacements(saved.placements);
+    setAutoMarks(saved.autoMarks);
+    setManualMarks(saved.manualMarks);
+    setPossibilityMarks(saved.possibilityMarks);
+    setHistory(saved.history);
+    setFuture(saved.future);
+    setSelectedSuspect(null);
+    setSelectedCell(null);
+    setMessage(restoredMessage || MESSAGES.GAME_RESUMED);
+  }, []);
+
   /**
    * Clears all X marks (both auto and manual).
    */
@@ -534,6 +840,37 @@ export function useGameState(puzzle) {
     setSelectedSuspect(suspect);
   }, []);
 
+  /**
+   * Selects a cell, or clears the selection.
+   *
+   * @param {CellPosition|null} cell - The cell to select or null to deselect
+   */
+  const selectCell = useCallback((cell) => {
+    setSelectedCell(cell);
+  }, []);
+
+  /**
+   * Moves the selected cell by the given offset, staying on the board.
+   * Starts in the top-left corner when no cell is selected.
+   *
+   * @param {number} rowDelta - Rows to move (negative is up)
+   * @param {number} colDelta - Columns to move (negative is left)
+   */
+  const moveSelectedCell = useCallback(
+    (rowDelta, colDelta) => {
+      const clamp = (n) => Math.min(gridSize - 1, Math.max(0, n));
+      setSelectedCell((prev) =>
+        prev
+          ? {
+              row: clamp(prev.row + rowDelta),
+              col: clamp(prev.col + colDelta),
+            }
+          : { row: 0, col: 0 }
+      );
+    },
+    [gridSize]
+  );
+
   /**
    * Adds a manual X mark to a cell (for drag operations).
    * @param {number} row - Row index
@@ -659,6 +996,9 @@ export function useGameState(puzzle) {
     selectedCell,
     message,
     history,
+    future,
+    snapshot,
+    autoPrune,
 
     // Derived values
     placedCount: Object.keys(placements).length,
@@ -669,10 +1009,19 @@ export function useGameState(puzzle) {
     handleCellClick,
     handleCellRightClick,
     handleUndo,
+    handleRedo,
     handleReset,
     handleClearMarks,
     selectSuspect,
+    selectCell,
+    moveSelectedCell,
+    toggleManualMark,
+    clearCell,
     setMessage,
+    restoreState,
+    fillPossibilityMarks,
+    toggleAutoPrune,
+    placeSuspect,
 
     // Drag helpers
     addManualMark,
@@ -682,6 +1031,8 @@ export function useGameState(puzzle) {
     hasManualMark,
     hasPossibilityMark,
     saveToHistory,
+    beginHistoryGroup,
+    endHistoryGroup,
 
     // Helpers
     getSuspectAt,
@@ -1,7 +1,11 @@
 import { useState, useCallback, useRef } from 'react';
-import { getNextHint } from '../engine/hintEngine';
-import { validateCurrentState } from '../utils/validation';
-import { createCellKey } from '../constants';
+import { getNextHint, formatTechnique } from '../engine/hintEngine';
+import { validateByClues } from '../utils/validation';
+import {
+  createCellKey,
+  parseCellKey,
+  HINT_LEVELS,
+} from '../constants';
 
 /**
  * @typedef {import('../types').Placements} Placements
@@ -10,60 +14,123 @@ import { createCellKey } from '../constants';
  * @typedef {import('../types').Puzzle} Puzzle
  * @typedef {import('../types').Suspect} Suspect
  * @typedef {import('../types').Hint} Hint
+ * @typedef {import('../types').HintUsage} HintUsage
  */
 
+/** @type {HintUsage} */
+const NO_HINTS_USED = Object.fromEntries(
+  HINT_LEVELS.map((level) => [level.id, 0]),
+);
+
+/**
+ * Names the area a set of cells share, for a nudge: their room, row or
+ * column.
+ *
+ * @param {Puzzle} puzzle
+ * @param {string[]} cellKeys
+ * @returns {string|null} e.g. 'the Kitchen', or null if they share none
+ */
+function describeArea(puzzle, cellKeys) {
+  if (cellKeys.length === 0) return null;
+  const cells = cellKeys.map(parseCellKey);
+  const rooms = new Set(
+    cells.map(({ row, col }) => puzzle.boardLayout[row][col].room),
+  );
+  if (rooms.size === 1) {
+    const [room] = rooms;
+    return `the ${puzzle.rooms[room]?.name || room}`;
+  }
+  if (cells.every((c) => c.row === cells[0].row)) {
+    return `row ${cells[0].row + 1}`;
+  }
+  if (cells.every((c) => c.col === cells[0].col)) {
+    return `column ${cells[0].col + 1}`;
+  }
+  return null;
+}
+
 /**
  * Custom hook for managing hints and error/hint cell highlighting.
  *
+ * Hints climb a ladder (HINT_LEVELS): each Get Hint reveals the next rung
+ * of the same hint until maxLevel, and any board change starts over.
+ *
  * @param {Puzzle} puzzle - The current puzzle
+ * @param {number} [maxLevel] - Highest rung to climb to (1-based)
  * @returns {Object} Hint state and actions
  */
-export function useHints(puzzle) {
-  const { suspects, solution } = puzzle;
+export function useHints(puzzle, maxLevel = HINT_LEVELS.length) {
+  const { suspects } = puzzle;
 
   /** @type {[HighlightedCells, Function]} */
   const [errorCells, setErrorCells] = useState({});
   /** @type {[HighlightedCells, Function]} */
   const [hintCells, setHintCells] = useState({});
+  /** @type {[{ puzzleId: string, counts: HintUsage }, Function]} */
+  const [usage, setUsage] = useState({
+    puzzleId: puzzle.id,
+    counts: NO_HINTS_USED,
+  });
+
+  // Hint being climbed and the rung last shown: { hint, level }
+  const ladderRef = useRef(null);
 
-  // Tracks a pending hint waiting for the second click to reveal cells
-  const pendingHintRef = useRef(null);
+  // Rungs revealed on this puzzle, by level
+  const hintUsage =
+    usage.puzzleId === puzzle.id ? usage.counts : NO_HINTS_USED;
 
   /**
-   * Clears all highlights (error and hint cells) and any pending hint.
+   * Clears all highlights (error and hint cells) and the hint ladder.
    */
   const clearHighlights = useCallback(() => {
     setErrorCells({});
     setHintCells({});
-    pendingHintRef.current = null;
+    ladderRef.current = null;
   }, []);
 
+  /**
+   * Forgets hint usage, e.g. when the game is reset, or restores the
+   * counts of a resumed game.
+   *
+   * @param {HintUsage} [counts] - Usage to restore; none when omitted
+   */
+  const resetHintUsage = useCallback(
+    (counts = NO_HINTS_USED) => {
+      setUsage({ puzzleId: puzzle.id, counts });
+    },
+    [puzzle.id],
+  );
+
   /**
    * Gets a hint based on current game state.
-   * Returns validation errors if any exist, otherwise returns a solving hint.
+   * Returns validation errors if any exist, otherwise the next rung of
+   * the current hint (or the first rung of a new one).
    *
    * @param {Placements} placements - Current suspect placements
    * @param {MarkedCells} markedCells - Current X marks
-   * @returns {{ hint: Hint|null, error: { type: 'wrongPlacement' | 'wrongMarks', data: any } | null, suspectToSelect: Suspect|null }}
+   * @returns {{ hint: Hint|null, level: string|null, message: string|null, placement: { suspect: Suspect, row: number, col: number }|null, error: { type: 'wrongPlacement' | 'wrongMarks', data: any } | null, suspectToSelect: Suspect|null }}
    */
   const getHint = useCallback(
     (placements, markedCells) => {
-      // Save pending hint before clearHighlights wipes it
-      const pendingHint = pendingHintRef.current;
+      // Save the ladder before clearHighlights wipes it
+      const ladder = ladderRef.current;
       clearHighlights();
+      const noHint = {
+        hint: null,
+        level: null,
+        message: null,
+        placement: null,
+      };
 
-      const errors = validateCurrentState(
-        placements,
-        markedCells,
-        solution,
-        suspects,
-      );
+      // Any board that can still be solved is fine, whether or not it
+      // is heading for puzzle.solution
+      const errors = validateByClues(puzzle, placements, markedCells);
 
       // Check for wrong placements first
       if (errors.wrongPlacements.length > 0) {
         const first = errors.wrongPlacements[0];
         return {
-          hint: null,
+          ...noHint,
           error: {
             type: 'wrongPlacement',
             data: first,
@@ -81,7 +148,7 @@ export function useHints(puzzle) {
         setErrorCells(highlightedCells);
 
         return {
-          hint: null,
+          ...noHint,
           error: {
             type: 'wrongMarks',
             data: errors.wrongMarks,
@@ -90,53 +157,98 @@ export function useHints(puzzle) {
         };
       }
 
-      // Stage 2: if there's a pending hint, reveal its highlighted cells
-      if (pendingHint) {
-        if (
-          pendingHint.highlightCells &&
-          pendingHint.highlightCells.length > 0
-        ) {
-          const highlighted = {};
-          for (const cellKey of pendingHint.highlightCells) {
-            highlighted[cellKey] = true;
-          }
-          setHintCells(highlighted);
-        }
-
-        let suspectToSelect = null;
-        if (pendingHint.suspect && pendingHint.action !== 'mark') {
-          suspectToSelect =
-            suspects.find((s) => s.id === pendingHint.suspect) ||
-            null;
-        }
+      // Climb the current hint one rung; once it has placed the suspect,
+      // start a new one. At maxLevel the top rung repeats.
+      let hint = ladder?.hint;
+      let level = ladder ? Math.min(ladder.level + 1, maxLevel) : 1;
+      if (!ladder || HINT_LEVELS[ladder.level - 1].id === 'place') {
+        hint = getNextHint(puzzle, placements);
+        level = 1;
+      }
+      const levelId = HINT_LEVELS[level - 1].id;
+      const suspect = hint.suspect
+        ? suspects.find((s) => s.id === hint.suspect) || null
+        : null;
 
+      // Hints about no one in particular have a single rung
+      if (!suspect) {
         return {
-          hint: pendingHint,
+          ...noHint,
+          hint,
+          message: hint.message,
           error: null,
-          suspectToSelect,
+          suspectToSelect: null,
         };
       }
 
-      // Stage 1: generate a new hint, show message only (no cell highlights)
-      const hint = getNextHint(puzzle, placements);
-      pendingHintRef.current = hint;
+      ladderRef.current = { hint, level };
+      if (hint !== ladder?.hint || level > ladder.level) {
+        setUsage((prev) => {
+          const counts =
+            prev.puzzleId === puzzle.id ? prev.counts : NO_HINTS_USED;
+          return {
+            puzzleId: puzzle.id,
+            counts: { ...counts, [levelId]: counts[levelId] + 1 },
+          };
+        });
+      }
 
-      return {
+      const result = {
+        ...noHint,
         hint,
+        level: levelId,
         error: null,
         suspectToSelect: null,
       };
+
+      if (levelId === 'nudge') {
+        const area = describeArea(puzzle, hint.highlightCells || []);
+        result.message = `👀 Look at ${suspect.name}${
+          area ? `, around ${area}` : ''
+        }.`;
+      } else if (levelId === 'technique') {
+        // Contradiction hints tell the story of the failed assumption
+        const detail = hint.reasoning || hint.message;
+        result.message = hint.technique
+          ? `🧠 Technique: ${formatTechnique(hint.technique)}. ${detail}`
+          : detail;
+      } else if (levelId === 'cells') {
+        result.message = hint.message;
+        const highlighted = {};
+        for (const cellKey of hint.highlightCells || []) {
+          highlighted[cellKey] = true;
+        }
+        setHintCells(highlighted);
+        if (hint.action !== 'mark') {
+          result.suspectToSelect = suspect;
+        }
+      } else {
+        // Place: where the solver puts them, or where the solution the
+        // board can reach has them if it can't
+        const target = hint.placement
+          ? parseCellKey(hint.placement)
+          : errors.solution[suspect.id];
+        result.message = `✅ ${suspect.name} goes here.`;
+        result.placement = { suspect, ...target };
+        setHintCells({
+          [createCellKey(target.row, target.col)]: true,
+        });
+      }
+
+      return result;
     },
-    [puzzle, solution, suspects, clearHighlights],
+    [puzzle, suspects, clearHighlights, maxLevel],
   );
 
   return {
     // State
     errorCells,
     hintCells,
+    hintUsage,
 
     // Actions
     getHint,
     clearHighlights,
+    resetHintUsage,
   };
 }
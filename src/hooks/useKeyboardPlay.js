@@ -0,0 +1,208 @@
+import { useEffect } from 'react';
+import { KEYBOARD_SHORTCUTS, MESSAGES } from '../constants';
+
+/**
+ * @typedef {import('../types').Puzzle} Puzzle
+ * @typedef {import('../types').Suspect} Suspect
+ */
+
+/**
+ * Row and column offsets for each arrow key.
+ */
+const MOVES = {
+  [KEYBOARD_SHORTCUTS.MOVE_UP]: [-1, 0],
+  [KEYBOARD_SHORTCUTS.MOVE_DOWN]: [1, 0],
+  [KEYBOARD_SHORTCUTS.MOVE_LEFT]: [0, -1],
+  [KEYBOARD_SHORTCUTS.MOVE_RIGHT]: [0, 1],
+};
+
+/**
+ * Letters that trigger an action rather than picking a suspect by
+ * initial, unless Shift is held.
+ */
+const ACTION_LETTERS = [
+  KEYBOARD_SHORTCUTS.TOGGLE_MARK,
+  KEYBOARD_SHORTCUTS.TOGGLE_POSSIBILITY,
+];
+
+/**
+ * Whether a key event comes from a form field, which keeps its own keys.
+ *
+ * @param {KeyboardEvent} e
+ * @returns {boolean}
+ */
+function isTypingTarget(e) {
+  const target = e.target;
+  return (
+    target instanceof HTMLElement &&
+    (target.isContentEditable ||
+      ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName))
+  );
+}
+
+/**
+ * Finds the suspect a key picks: digits pick by position (1-9, then 0
+ * for the 10th), letters by initial. Pressing an initial again moves on
+ * to the next suspect sharing it.
+ *
+ * @param {string} key - Lower-cased key
+ * @param {Suspect[]} suspects
+ * @param {Suspect|null} selectedSuspect
+ * @returns {Suspect|null}
+ */
+function findSuspectForKey(key, suspects, selectedSuspect) {
+  if (/^[0-9]$/.test(key)) {
+    return suspects[key === '0' ? 9 : Number(key) - 1] || null;
+  }
+  if (!/^[a-z]$/.test(key)) return null;
+
+  const matches = suspects.filter(
+    (s) => s.name.charAt(0).toLowerCase() === key
+  );
+  if (matches.length === 0) return null;
+  const current = matches.findIndex(
+    (s) => s.id === selectedSuspect?.id
+  );
+  return matches[(current + 1) % matches.length];
+}
+
+/**
+ * Custom hook for playing with the keyboard alone: arrow keys move the
+ * selected cell, number and letter keys pick suspects, and the action
+ * keys from KEYBOARD_SHORTCUTS act on the selected cell the same way
+ * clicks do.
+ *
+ * @param {Puzzle} puzzle - The current puzzle
+ * @param {Object} gameState - Game state and actions from useGameState
+ * @param {Object} options
+ * @param {boolean} options.enabled - Whether keys are handled (off during replays and while the help is open)
+ * @param {Function} options.onClearHighlights - Clears hint/error highlights before a move
+ * @param {Function} options.onShowHelp - Opens the shortcut help
+ */
+export function useKeyboardPlay(
+  puzzle,
+  gameState,
+  { enabled, onClearHighlights, onShowHelp }
+) {
+  const { suspects } = puzzle;
+  const {
+    selectedCell,
+    selectedSuspect,
+    getSuspectAt,
+    handleSuspectClick,
+    handleCellClick,
+    handleCellRightClick,
+    selectCell,
+    selectSuspect,
+    moveSelectedCell,
+    toggleManualMark,
+    clearCell,
+    setMessage,
+  } = gameState;
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    function handleKeyDown(e) {
+      if (e.metaKey || e.ctrlKey || e.altKey || isTypingTarget(e)) {
+        return;
+      }
+      const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+
+      if (key === KEYBOARD_SHORTCUTS.HELP) {
+        e.preventDefault();
+        onShowHelp();
+        return;
+      }
+
+      if (MOVES[key]) {
+        e.preventDefault();
+        moveSelectedCell(...MOVES[key]);
+        return;
+      }
+
+      if (key === KEYBOARD_SHORTCUTS.DESELECT) {
+        if (!selectedCell && !selectedSuspect) return;
+        selectCell(null);
+        selectSuspect(null);
+        setMessage(MESSAGES.KEYBOARD_SELECTION_CLEARED);
+        return;
+      }
+
+      if (e.shiftKey || !ACTION_LETTERS.includes(key)) {
+        const suspect = findSuspectForKey(
+          key,
+          suspects,
+          selectedSuspect
+        );
+        if (suspect) {
+          e.preventDefault();
+          handleSuspectClick(suspect);
+          return;
+        }
+      }
+
+      // The remaining keys act on the selected cell; let Enter reach
+      // a focused button instead
+      if (!selectedCell) return;
+      if (
+        key === KEYBOARD_SHORTCUTS.PLACE &&
+        e.target.closest?.('button')
+      ) {
+        return;
+      }
+      const { row, col } = selectedCell;
+
+      switch (key) {
+        case KEYBOARD_SHORTCUTS.PLACE:
+          e.preventDefault();
+          if (!selectedSuspect && !getSuspectAt(row, col)) {
+            setMessage(MESSAGES.KEYBOARD_PICK_SUSPECT);
+            return;
+          }
+          handleCellClick(row, col, onClearHighlights);
+          break;
+        case KEYBOARD_SHORTCUTS.TOGGLE_MARK:
+          e.preventDefault();
+          onClearHighlights();
+          toggleManualMark(row, col);
+          break;
+        case KEYBOARD_SHORTCUTS.TOGGLE_POSSIBILITY:
+          e.preventDefault();
+          if (!selectedSuspect) {
+            setMessage(MESSAGES.KEYBOARD_POSSIBILITY_NEEDS_SUSPECT);
+            return;
+          }
+          handleCellRightClick(row, col, onClearHighlights);
+          break;
+        case KEYBOARD_SHORTCUTS.REMOVE:
+          e.preventDefault();
+          onClearHighlights();
+          clearCell(row, col);
+          break;
+        default:
+          break;
+      }
+    }
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [
+    enabled,
+    suspects,
+    selectedCell,
+    selectedSuspect,
+    getSuspectAt,
+    handleSuspectClick,
+    handleCellClick,
+    handleCellRightClick,
+    selectCell,
+    selectSuspect,
+    moveSelectedCell,
+    toggleManualMark,
+    clearCell,
+    setMessage,
+    onClearHighlights,
+    onShowHelp,
+  ]);
+}
@@ -0,0 +1,52 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+/**
+ * @typedef {import('../engine/generator').GeneratorOptions} GeneratorOptions
+ */
+
+/**
+ * Custom hook for generating puzzles in a web worker, so the editor stays
+ * responsive while the generator searches. One generation runs at a
+ * time; unmounting stops it.
+ *
+ * @returns {{ generating: boolean, generate: function(GeneratorOptions): Promise<Object> }}
+ *   generate resolves with the puzzle, or rejects with the generator's error
+ */
+export function usePuzzleGenerator() {
+  const [generating, setGenerating] = useState(false);
+  const workerRef = useRef(null);
+
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  const generate = useCallback((options) => {
+    workerRef.current?.terminate();
+    const worker = new Worker(
+      new URL('../engine/generator.worker.js', import.meta.url),
+      { type: 'module' },
+    );
+    workerRef.current = worker;
+    setGenerating(true);
+
+    return new Promise((resolve, reject) => {
+      const finish = () => {
+        worker.terminate();
+        if (workerRef.current === worker) {
+          workerRef.current = null;
+          setGenerating(false);
+        }
+      };
+      worker.onmessage = ({ data }) => {
+        finish();
+        if (data.error) reject(new Error(data.error));
+        else resolve(data.puzzle);
+      };
+      worker.onerror = (event) => {
+        finish();
+        reject(new Error(event.message || 'The generator failed'));
+      };
+      worker.postMessage(options);
+    });
+  }, []);
+
+  return { generating, generate };
+}
@@ -0,0 +1,51 @@
+import { useState, useEffect } from 'react';
+import { ratePuzzle, getCachedRating } from '../engine/difficulty';
+
+/**
+ * @typedef {import('../types').Puzzle} Puzzle
+ * @typedef {import('../engine/difficulty').DifficultyRating} DifficultyRating
+ */
+
+/**
+ * Runs a callback when the browser is idle, or soon where
+ * requestIdleCallback isn't supported.
+ *
+ * @param {Function} callback
+ * @returns {function(): void} Cancels the callback
+ */
+function whenIdle(callback) {
+  if (window.requestIdleCallback) {
+    const id = window.requestIdleCallback(callback);
+    return () => window.cancelIdleCallback(id);
+  }
+  const id = setTimeout(callback, 0);
+  return () => clearTimeout(id);
+}
+
+/**
+ * Custom hook for rating puzzles off the render path. Rating solves the
+ * whole puzzle, which takes a few hundred milliseconds for the big ones,
+ * so puzzles are rated one per idle callback, the current puzzle first.
+ *
+ * @param {Puzzle[]} puzzles - Puzzles to rate, e.g. for the puzzle menu
+ * @param {Puzzle} currentPuzzle - Puzzle to rate first
+ * @returns {function(Puzzle): (DifficultyRating|null)} A puzzle's rating, or null until it is rated
+ */
+export function usePuzzleRatings(puzzles, currentPuzzle) {
+  // Bumped after each rating so the new one is shown
+  const [ratedCount, setRatedCount] = useState(0);
+
+  useEffect(() => {
+    const next = [currentPuzzle, ...puzzles].find(
+      (p) => !getCachedRating(p)
+    );
+    if (!next) return undefined;
+    return whenIdle(() => {
+      ratePuzzle(next);
+      setRatedCount((count) => count + 1);
+    });
+  }, [puzzles, currentPuzzle, ratedCount]);
+
+  // The component re-renders as each rating lands
+  return getCachedRating;
+}
@@ -0,0 +1,80 @@
+import { useState, useCallback, useEffect, useMemo } from 'react';
+import {
+  loadSave,
+  writeSave,
+  clearSave,
+  hasProgress,
+  saveLastPuzzleId,
+} from '../utils/saveGame';
+
+/**
+ * @typedef {import('../types').Puzzle} Puzzle
+ * @typedef {import('../utils/saveGame').GameSnapshot} GameSnapshot
+ * @typedef {import('../utils/saveGame').SavedGame} SavedGame
+ */
+
+/**
+ * Custom hook for saving the game on every change and offering to resume
+ * a saved game when a puzzle is opened.
+ *
+ * Until the player resumes or starts over, the old save is left alone;
+ * making a move without answering counts as starting over.
+ *
+ * @param {Puzzle} puzzle - The current puzzle
+ * @param {Object} gameState - From useGameState
+ * @param {GameSnapshot} gameState.snapshot - Current game snapshot
+ * @param {function(GameSnapshot): void} gameState.restoreState - Restores a snapshot
+ * @returns {{ resumeOffer: SavedGame|null, resumeGame: Function, startOver: Function }}
+ */
+export function useSavedGame(puzzle, { snapshot, restoreState }) {
+  // Puzzle whose saved game has been resumed or declined
+  const [settledPuzzleId, setSettledPuzzleId] = useState(null);
+
+  /** @type {SavedGame|null} */
+  const resumeOffer = useMemo(() => {
+    if (settledPuzzleId === puzzle.id) return null;
+    const save = loadSave(puzzle);
+    return save && hasProgress(save.state) ? save : null;
+  }, [puzzle, settledPuzzleId]);
+
+  // Remember the puzzle so a reload returns to it
+  useEffect(() => {
+    saveLastPuzzleId(puzzle.id);
+  }, [puzzle.id]);
+
+  // Save on every change once the resume question is settled. While a
+  // save is on offer, only a move settles it, so opening a shared board
+  // doesn't overwrite the player's own game.
+  useEffect(() => {
+    if (settledPuzzleId !== puzzle.id) {
+      const madeMove =
+        snapshot.history.length > 0 || snapshot.future.length > 0;
+      if (resumeOffer ? !madeMove : !hasProgress(snapshot)) return;
+      setSettledPuzzleId(puzzle.id);
+    }
+    if (hasProgress(snapshot)) {
+      writeSave(puzzle.id, snapshot);
+    } else {
+      clearSave(puzzle.id);
+    }
+  }, [puzzle.id, snapshot, settledPuzzleId, resumeOffer]);
+
+  /**
+   * Restores the offered save.
+   */
+  const resumeGame = useCallback(() => {
+    if (!resumeOffer) return;
+    restoreState(resumeOffer.state);
+    setSettledPuzzleId(puzzle.id);
+  }, [resumeOffer, restoreState, puzzle.id]);
+
+  /**
+   * Discards the offered save.
+   */
+  const startOver = useCallback(() => {
+    clearSave(puzzle.id);
+    setSettledPuzzleId(puzzle.id);
+  }, [puzzle.id]);
+
+  return { resumeOffer, resumeGame, startOver };
+}
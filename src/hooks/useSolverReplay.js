@@ -0,0 +1,147 @@
+import { useState, useCallback, useEffect, useMemo } from 'react';
+import { buildSolveReplay } from '../engine/hintEngine';
+import { createCellKey, parseCellKey } from '../constants';
+
+/**
+ * @typedef {import('../types').Puzzle} Puzzle
+ * @typedef {import('../types').Placements} Placements
+ * @typedef {import('../types').HighlightedCells} HighlightedCells
+ * @typedef {import('../engine/hintEngine').ReplayFrame} ReplayFrame
+ */
+
+/**
+ * Delay between steps while the replay plays by itself, in milliseconds.
+ */
+const REPLAY_STEP_MS = 1200;
+
+/**
+ * Turns a list of cell keys into a highlight map.
+ *
+ * @param {string[]} cellKeys
+ * @returns {HighlightedCells}
+ */
+function toHighlights(cellKeys) {
+  return Object.fromEntries(cellKeys.map((key) => [key, true]));
+}
+
+/**
+ * Custom hook for replaying a full solver run step by step.
+ *
+ * The replay is a snapshot of the solve from the board at the moment it
+ * was started; it closes itself when the puzzle changes.
+ *
+ * @param {Puzzle} puzzle - The current puzzle
+ * @returns {Object} Replay state and actions
+ */
+export function useSolverReplay(puzzle) {
+  /** @type {[{ puzzleId: string, frames: ReplayFrame[], solved: boolean, unplaced: string[] }|null, Function]} */
+  const [replay, setReplay] = useState(null);
+  /** @type {[number, Function]} */
+  const [frameIndex, setFrameIndex] = useState(0);
+  /** @type {[boolean, Function]} */
+  const [isPlaying, setIsPlaying] = useState(false);
+
+  const activeReplay =
+    replay && replay.puzzleId === puzzle.id ? replay : null;
+  const lastIndex = activeReplay ? activeReplay.frames.length - 1 : 0;
+
+  /**
+   * Solves from the given board and shows the starting position.
+   *
+   * @param {Placements} placements - Board to solve from
+   */
+  const startReplay = useCallback(
+    (placements) => {
+      setReplay({
+        puzzleId: puzzle.id,
+        ...buildSolveReplay(puzzle, placements),
+      });
+      setFrameIndex(0);
+      setIsPlaying(false);
+    },
+    [puzzle],
+  );
+
+  /**
+   * Closes the replay.
+   */
+  const stopReplay = useCallback(() => {
+    setReplay(null);
+    setIsPlaying(false);
+  }, []);
+
+  /**
+   * Jumps to a frame, pausing playback.
+   *
+   * @param {number} index - Frame index, clamped to the replay
+   */
+  const goToFrame = useCallback(
+    (index) => {
+      setFrameIndex(Math.max(0, Math.min(index, lastIndex)));
+      setIsPlaying(false);
+    },
+    [lastIndex],
+  );
+
+  /**
+   * Starts or pauses playback. Playing from the last frame restarts.
+   */
+  const togglePlaying = useCallback(() => {
+    if (!isPlaying && frameIndex >= lastIndex) setFrameIndex(0);
+    setIsPlaying(!isPlaying);
+  }, [isPlaying, frameIndex, lastIndex]);
+
+  // Advance while playing, stopping at the last frame
+  useEffect(() => {
+    if (!isPlaying || !activeReplay) return;
+    if (frameIndex >= lastIndex) {
+      setIsPlaying(false);
+      return;
+    }
+    const timer = setTimeout(
+      () => setFrameIndex((i) => i + 1),
+      REPLAY_STEP_MS,
+    );
+    return () => clearTimeout(timer);
+  }, [isPlaying, activeReplay, frameIndex, lastIndex]);
+
+  /** @type {ReplayFrame|null} */
+  const frame = activeReplay ? activeReplay.frames[frameIndex] : null;
+
+  // What the board shows for the current frame
+  const boardView = useMemo(() => {
+    if (!frame) return null;
+    const step = frame.step;
+    const suspectAt = {};
+    for (const [cellKey, sid] of Object.entries(frame.placements)) {
+      suspectAt[cellKey] = puzzle.suspects.find((s) => s.id === sid);
+    }
+    return {
+      getSuspectAt: (row, col) =>
+        suspectAt[createCellKey(row, col)] || null,
+      hintCells: toHighlights([
+        ...(step?.highlightCells || []),
+        ...frame.newlyPlaced,
+      ]),
+      eliminatedCells: toHighlights(step?.eliminatedCells || []),
+      // Ring the cell a placement step filled
+      selectedCell: step?.cellKey ? parseCellKey(step.cellKey) : null,
+    };
+  }, [frame, puzzle.suspects]);
+
+  return {
+    // State
+    replay: activeReplay,
+    frame,
+    frameIndex,
+    lastIndex,
+    isPlaying,
+    boardView,
+
+    // Actions
+    startReplay,
+    stopReplay,
+    goToFrame,
+    togglePlaying,
+  };
+}
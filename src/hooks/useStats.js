@@ -0,0 +1,250 @@
+import { useCallback, useEffect, useRef } from 'react';
+import {
+  loadStats,
+  saveCurrentRun,
+  recordCompletedRun,
+  countHints,
+} from '../utils/stats';
+
+/**
+ * @typedef {import('../types').Puzzle} Puzzle
+ * @typedef {import('../types').HintUsage} HintUsage
+ * @typedef {import('../utils/stats').RunStats} RunStats
+ * @typedef {import('../utils/stats').CompletedRun} CompletedRun
+ */
+
+/**
+ * @typedef {CompletedRun & { newBest: boolean }} RunResult
+ */
+
+/**
+ * Run counter bumped by each counted action recordAction accepts. Other
+ * board changes ('edit') only start the run.
+ */
+const ACTION_COUNTERS = {
+  place: 'placements',
+  undo: 'undos',
+  wrongCheck: 'wrongChecks',
+};
+
+/**
+ * Starts a run with nothing on the clock.
+ *
+ * @param {string} puzzleId
+ */
+function createRun(puzzleId) {
+  return {
+    puzzleId,
+    elapsedMs: 0,
+    placements: 0,
+    undos: 0,
+    wrongChecks: 0,
+    completedAt: null,
+    // Whether the run is worth saving: the board changed, a hint was
+    // used or the run was resumed
+    started: false,
+    /** @type {RunResult|null} */
+    result: null,
+  };
+}
+
+/**
+ * Custom hook for timing the current run and counting its moves, for
+ * the completion message and the stats screen.
+ *
+ * The clock only runs while the tab is visible. The run in progress is
+ * saved alongside the saved game, so resuming carries on its clock and
+ * counters. Like the saved game, a run is only saved once the board
+ * changes or a hint is used, so merely opening a puzzle doesn't
+ * overwrite one waiting to be resumed.
+ *
+ * @param {Puzzle} puzzle - The current puzzle
+ * @param {HintUsage} hintUsage - Hint rungs revealed, from useHints
+ * @returns {Object} Run actions
+ */
+export function useStats(puzzle, hintUsage) {
+  const puzzleId = puzzle.id;
+
+  const runRef = useRef(createRun(puzzleId));
+  // When the clock last started, or null while it's stopped
+  const activeSinceRef = useRef(null);
+  const hintUsageRef = useRef(hintUsage);
+
+  /**
+   * Adds the time since the clock last started to the run.
+   *
+   * @param {boolean} keepRunning - Whether the clock carries on
+   */
+  const bankTime = useCallback((keepRunning) => {
+    const now = Date.now();
+    if (activeSinceRef.current !== null) {
+      runRef.current.elapsedMs += now - activeSinceRef.current;
+    }
+    activeSinceRef.current =
+      keepRunning && !document.hidden ? now : null;
+  }, []);
+
+  /**
+   * Saves the run in progress, once it has been started.
+   */
+  const persistRun = useCallback(() => {
+    const run = runRef.current;
+    if (!run.started) return;
+    saveCurrentRun(run.puzzleId, {
+      elapsedMs: run.elapsedMs,
+      placements: run.placements,
+      undos: run.undos,
+      wrongChecks: run.wrongChecks,
+      hints: hintUsageRef.current,
+      completedAt: run.completedAt,
+    });
+  }, []);
+
+  /**
+   * Starts a fresh run, e.g. on reset or when the puzzle changes. The
+   * saved run is left alone until this one is started.
+   */
+  const startRun = useCallback(() => {
+    runRef.current = createRun(puzzleId);
+    activeSinceRef.current = document.hidden ? null : Date.now();
+  }, [puzzleId]);
+
+  useEffect(() => {
+    startRun();
+  }, [startRun]);
+
+  // Hints count as starting the run
+  useEffect(() => {
+    hintUsageRef.current = hintUsage;
+    const run = runRef.current;
+    if (!run.completedAt && countHints(hintUsage) > 0) {
+      run.started = true;
+      bankTime(true);
+      persistRun();
+    }
+  }, [hintUsage, bankTime, persistRun]);
+
+  // Pause the clock while the tab is hidden, and save on the way out
+  useEffect(() => {
+    function handleVisibilityChange() {
+      bankTime(!runRef.current.completedAt);
+      persistRun();
+    }
+    document.addEventListener(
+      'visibilitychange',
+      handleVisibilityChange,
+    );
+    window.addEventListener('pagehide', handleVisibilityChange);
+    return () => {
+      document.removeEventListener(
+        'visibilitychange',
+        handleVisibilityChange,
+      );
+      window.removeEventListener('pagehide', handleVisibilityChange);
+    };
+  }, [bankTime, persistRun]);
+
+  /**
+   * Counts a move. Ignored once the puzzle is solved.
+   *
+   * @param {'place'|'undo'|'wrongCheck'|'edit'} type
+   */
+  const recordAction = useCallback(
+    (type) => {
+      const run = runRef.current;
+      if (run.completedAt) return;
+      const counter = ACTION_COUNTERS[type];
+      if (counter) run[counter] += 1;
+      run.started = true;
+      bankTime(true);
+      persistRun();
+    },
+    [bankTime, persistRun],
+  );
+
+  /**
+   * Stops the clock and adds the run to the puzzle's history. Safe to
+   * call again: later calls return the same result. Boards solved
+   * without a single placement (a shared or resumed finished board)
+   * aren't recorded.
+   *
+   * @returns {RunResult}
+   */
+  const finishRun = useCallback(() => {
+    const run = runRef.current;
+    if (run.result) return run.result;
+
+    bankTime(false);
+    run.completedAt = new Date().toISOString();
+    const completed = {
+      completedAt: run.completedAt,
+      timeMs: run.elapsedMs,
+      placements: run.placements,
+      undos: run.undos,
+      wrongChecks: run.wrongChecks,
+      hints: hintUsageRef.current,
+    };
+    const newBest =
+      run.placements > 0 &&
+      recordCompletedRun(run.puzzleId, completed);
+    run.result = { ...completed, newBest };
+    persistRun();
+    return run.result;
+  }, [bankTime, persistRun]);
+
+  /**
+   * Carries on the saved run when a saved game is resumed.
+   *
+   * @returns {RunStats|null} The saved run, whose hint usage the caller restores
+   */
+  const resumeRun = useCallback(() => {
+    const saved = loadStats(puzzleId).current;
+    runRef.current.started = true;
+    if (!saved) return null;
+
+    runRef.current = {
+      ...createRun(puzzleId),
+      elapsedMs: saved.elapsedMs,
+      placements: saved.placements,
+      undos: saved.undos,
+      wrongChecks: saved.wrongChecks,
+      completedAt: saved.completedAt,
+      started: true,
+      result: saved.completedAt
+        ? {
+            completedAt: saved.completedAt,
+            timeMs: saved.elapsedMs,
+            placements: saved.placements,
+            undos: saved.undos,
+            wrongChecks: saved.wrongChecks,
+            hints: saved.hints,
+            newBest: false,
+          }
+        : null,
+    };
+    activeSinceRef.current =
+      saved.completedAt || document.hidden ? null : Date.now();
+    return saved;
+  }, [puzzleId]);
+
+  /**
+   * Time on the clock so far.
+   *
+   * @returns {number} Milliseconds
+   */
+  const getElapsedMs = useCallback(() => {
+    const since = activeSinceRef.current;
+    return (
+      runRef.current.elapsedMs +
+      (since !== null ? Date.now() - since : 0)
+    );
+  }, []);
+
+  return {
+    recordAction,
+    finishRun,
+    startRun,
+    resumeRun,
+    getElapsedMs,
+  };
+}
@@ -1,14 +1,18 @@
-import { useCallback } from 'react';
+import { useCallback, useMemo } from 'react';
 import {
   validateCurrentState,
-  checkSolution,
+  checkSolutionByClues,
+  findClueConflicts,
 } from '../utils/validation';
+import { precomputeBoard } from '../engine/boardUtils';
 
 /**
  * @typedef {import('../types').Placements} Placements
  * @typedef {import('../types').MarkedCells} MarkedCells
  * @typedef {import('../types').Puzzle} Puzzle
  * @typedef {import('../types').ValidationErrors} ValidationErrors
+ * @typedef {import('../types').SolutionCheck} SolutionCheck
+ * @typedef {import('../types').ClueConflicts} ClueConflicts
  */
 
 /**
@@ -40,24 +44,37 @@ export function useValidation(puzzle) {
   );
 
   /**
-   * Checks if the current solution is complete and correct.
+   * Checks if the current solution is complete and satisfies every clue.
+   * Any valid answer counts, not just the stored solution.
    *
    * @param {Placements} placements - Current suspect placements
-   * @returns {{ isComplete: boolean, correctCount: number, wrongNames: string[], allPlaced: boolean }}
+   * @returns {SolutionCheck}
    */
   const checkCurrentSolution = useCallback(
-    (placements) => {
-      const result = checkSolution(placements, solution, suspects);
-      return {
-        ...result,
-        allPlaced: Object.keys(placements).length >= suspects.length,
-      };
-    },
-    [solution, suspects]
+    (placements) => checkSolutionByClues(puzzle, placements),
+    [puzzle]
+  );
+
+  const board = useMemo(
+    () => precomputeBoard(puzzle.boardLayout),
+    [puzzle.boardLayout]
+  );
+
+  /**
+   * Finds clues the placed suspects already break, without consulting
+   * the solution.
+   *
+   * @param {Placements} placements - Current suspect placements
+   * @returns {ClueConflicts}
+   */
+  const findConflicts = useCallback(
+    (placements) => findClueConflicts(puzzle, placements, board),
+    [puzzle, board]
   );
 
   return {
     validate,
     checkCurrentSolution,
+    findConflicts,
   };
 }
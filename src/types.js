@@ -8,7 +8,8 @@
 // ============================================================================
 
 /**
- * @typedef {'empty' | 'carpet' | 'chair' | 'tv' | 'shelf' | 'table' | 'flowers' | 'lilyPad' | 'tree' | 'bush' | 'bed' | 'couch' | 'pondWater' | 'horse' | 'plant' | 'track'} CellType
+ * Values of cellTypes in data/gameData.js (kept in sync with puzzle.schema.json)
+ * @typedef {'empty' | 'carpet' | 'chair' | 'car' | 'tv' | 'shelf' | 'table' | 'flowers' | 'lilyPad' | 'tree' | 'bush' | 'bed' | 'couch' | 'oilSlick' | 'pondWater' | 'horse' | 'plant' | 'track' | 'finishingLine' | 'bonsai' | 'cactus' | 'shrub' | 'path' | 'box'} CellType
  */
 
 /**
@@ -55,7 +56,9 @@
  * @property {string} color - Hex color code
  * @property {string} clue - The clue text for this suspect
  * @property {string} avatar - Emoji avatar
+ * @property {'male'|'female'} [gender] - Used by gender-based clues
  * @property {boolean} [isVictim] - Whether this suspect is the victim
+ * @property {import('./engine/constraints').Constraint[]} constraints - Machine-readable form of the clue
  */
 
 // ============================================================================
@@ -83,11 +86,17 @@
  * @property {number} gridSize - Grid dimensions (e.g., 9 for 9x9)
  * @property {number} cellSize - Cell size in pixels
  * @property {ImageBorder} imageBorder - Border offsets for background image
- * @property {string} backgroundImage - Path to background image
+ * @property {string|null} backgroundImage - Path to background image, or null for puzzles loaded from JSON
+ * @property {'image' | 'drawn'} [boardStyle] - 'drawn' renders the board from the layout even when there is a background image
  * @property {RoomMap} rooms - Room definitions
  * @property {Suspect[]} suspects - Array of suspects
  * @property {Cell[][]} boardLayout - 2D array of cells
  * @property {Solution} solution - Correct positions for each suspect
+ * @property {string} [victim] - Suspect ID of the victim
+ * @property {string} [murderer] - Suspect ID of the murderer
+ * @property {string} [crimeRoom] - Room ID where the murder happened
+ * @property {Object.<CellKey, number>} [trackPositions] - Track order for aheadOf clues
+ * @property {import('./utils/hintInterpreter').HintStep[]} [hints] - Curated hints
  */
 
 // ============================================================================
@@ -117,7 +126,9 @@
 /**
  * @typedef {Object} HistoryEntry
  * @property {Placements} placements - Snapshot of placements
- * @property {MarkedCells} markedCells - Snapshot of marked cells
+ * @property {Object.<CellKey, string[]>} autoMarks - Snapshot of auto X marks
+ * @property {Object.<CellKey, boolean>} manualMarks - Snapshot of manual X marks
+ * @property {Object.<CellKey, string[]>} possibilityMarks - Snapshot of possibility marks
  */
 
 /**
@@ -127,6 +138,7 @@
  * @property {Suspect|null} selectedSuspect - Currently selected suspect
  * @property {CellPosition|null} selectedCell - Currently selected cell
  * @property {HistoryEntry[]} history - Undo history stack
+ * @property {HistoryEntry[]} future - Redo stack, most recently undone last
  */
 
 // ============================================================================
@@ -146,6 +158,35 @@
  * @property {CellPosition[]} wrongMarks - X marks on cells that should have suspects
  */
 
+/**
+ * @typedef {Object} ClueValidation
+ * @property {WrongPlacement[]} wrongPlacements - Suspects no reachable solution has where they are
+ * @property {CellPosition[]} wrongMarks - X marks on cells the reachable solution needs
+ * @property {Solution} solution - Solution the board can still reach, or puzzle.solution if none
+ */
+
+/**
+ * @typedef {Object} ClueViolation
+ * @property {Suspect} suspect - Suspect breaking a rule or clue
+ * @property {string[]} problems - What's wrong, one entry per broken rule or clue
+ */
+
+/**
+ * @typedef {Object} ClueConflicts
+ * @property {HighlightedCells} cells - Cells involved in any conflict
+ * @property {Object.<string, string[]>} suspects - Suspect ID -> descriptions of their broken clues
+ */
+
+/**
+ * @typedef {Object} SolutionCheck
+ * @property {boolean} allPlaced - Every suspect is on the board
+ * @property {boolean} isComplete - All placed and every rule and clue is satisfied
+ * @property {number} correctCount - Suspects not breaking anything
+ * @property {string[]} wrongNames - Names of suspects breaking a rule or clue
+ * @property {ClueViolation[]} violations - Per-suspect problems, in puzzle order
+ * @property {boolean} matchesIntended - Placements match puzzle.solution exactly
+ */
+
 // ============================================================================
 // Hint Types
 // ============================================================================
@@ -156,6 +197,13 @@
  * @property {CellWithPosition[]} highlightCells - Cells to highlight
  * @property {string} [suspect] - Suspect ID related to hint
  * @property {'mark' | undefined} [action] - Action type ('mark' for X marking hints)
+ * @property {string} [technique] - Solver technique behind the hint, e.g. 'rowClaiming'
+ * @property {string} [placement] - Cell key where the suspect belongs, when the solver can tell
+ */
+
+/**
+ * Hint ladder rungs revealed on a puzzle, by level id (see HINT_LEVELS).
+ * @typedef {Object.<string, number>} HintUsage
  */
 
 // ============================================================================
@@ -172,10 +220,16 @@
  * @property {boolean} isSelected - Whether cell is selected
  * @property {boolean} isError - Whether cell has error highlight
  * @property {boolean} isHint - Whether cell has hint highlight
+ * @property {boolean} [isEliminated] - Whether a replayed solver step eliminated this cell
+ * @property {Suspect[]} [possibleSuspects] - Suspects pencilled in on this cell
+ * @property {Object.<string, number>} [suspectSlots] - Suspect ID -> pencil mark slot
+ * @property {Suspect[]|null} [candidates] - Solver candidates shown by the candidate overlay
  * @property {function(number, number): void} onCellClick - Left click handler
  * @property {function(number, number): void} onCellRightClick - Right click handler
  * @property {RoomMap} rooms - Room definitions
  * @property {number} cellSize - Cell size in pixels
+ * @property {string} [id] - Element ID, for the grid's aria-activedescendant
+ * @property {boolean} [colorBlind] - Show the suspect badge and patterned highlight borders
  */
 
 /**
@@ -188,6 +242,11 @@
  * @property {function(number, number): Suspect|null} getSuspectAt - Function to get suspect at position
  * @property {HighlightedCells} [errorCells] - Error highlight state
  * @property {HighlightedCells} [hintCells] - Hint highlight state
+ * @property {HighlightedCells} [eliminatedCells] - Cells eliminated by a replayed solver step
+ * @property {boolean} [readOnly] - Ignore clicks and drags
+ * @property {Object.<string, string[]>|null} [candidateMap] - Solver candidates per cell for the candidate overlay
+ * @property {boolean} [drawn] - Draw the board from the layout instead of the background image
+ * @property {boolean} [colorBlind] - Hatch rooms, outline room boundaries and badge suspects
  */
 
 /**
@@ -196,6 +255,10 @@
  * @property {boolean} isSelected - Whether suspect is selected
  * @property {boolean} isPlaced - Whether suspect is placed on board
  * @property {function(Suspect): void} onClick - Click handler
+ * @property {number|null} [candidateCount] - Solver candidate count for the candidate overlay
+ * @property {string[]} [brokenClues] - Clues the board already breaks, for live check
+ * @property {boolean} [colorBlind] - Badge the avatar with a shape and initial
+ * @property {number} [index] - Position in the puzzle, for the badge shape
  */
 
 export {};
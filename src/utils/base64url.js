@@ -0,0 +1,35 @@
+/**
+ * URL-safe base64 (RFC 4648 §5, unpadded) for byte arrays
+ * @fileoverview Shared by board links and puzzle codes
+ */
+
+// Bytes per String.fromCharCode call, to stay under argument limits
+const CHUNK_SIZE = 0x8000;
+
+/**
+ * @param {number[]|Uint8Array} bytes
+ * @returns {string}
+ */
+export function toBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+    binary += String.fromCharCode(...bytes.slice(i, i + CHUNK_SIZE));
+  }
+  return btoa(binary)
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * @param {string} text
+ * @returns {Uint8Array}
+ * @throws {Error} If the text isn't base64url
+ */
+export function fromBase64Url(text) {
+  if (!/^[A-Za-z0-9_-]*$/.test(text)) {
+    throw new Error('Not base64url');
+  }
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
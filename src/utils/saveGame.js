@@ -0,0 +1,262 @@
+/**
+ * Local save slots for in-progress games
+ * @fileoverview Reads and writes one versioned save per puzzle in localStorage
+ */
+
+import { createCellKey, parseCellKey } from '../constants';
+
+/**
+ * @typedef {import('../types').Puzzle} Puzzle
+ * @typedef {import('../types').Placements} Placements
+ * @typedef {import('../types').HistoryEntry} HistoryEntry
+ */
+
+/**
+ * @typedef {Object} GameSnapshot
+ * @property {Placements} placements - Cell key -> suspect ID
+ * @property {Object.<string, string[]>} autoMarks - Cell key -> suspects whose row/column marked it
+ * @property {Object.<string, boolean>} manualMarks - Cell key -> manual X mark
+ * @property {Object.<string, string[]>} possibilityMarks - Cell key -> possible suspect IDs
+ * @property {HistoryEntry[]} history - Undo stack, oldest first
+ * @property {HistoryEntry[]} future - Redo stack, most recently undone last
+ */
+
+/**
+ * @typedef {Object} SavedGame
+ * @property {number} version - Storage format version (SAVE_VERSION after migration)
+ * @property {string} puzzleId - Puzzle the save belongs to
+ * @property {string} savedAt - ISO timestamp of the last save
+ * @property {GameSnapshot} state - The saved game
+ */
+
+/**
+ * Current storage format version. Bump it when GameSnapshot changes shape,
+ * and add a migration from the previous version to MIGRATIONS.
+ */
+export const SAVE_VERSION = 2;
+
+const SAVE_PREFIX = 'murdoku:save:';
+const LAST_PUZZLE_KEY = 'murdoku:lastPuzzle';
+const PREFERENCE_PREFIX = 'murdoku:';
+
+/**
+ * Undo and redo steps kept in a save, to bound its size.
+ */
+const MAX_SAVED_HISTORY = 100;
+
+/**
+ * Upgrades a save from version N to N + 1, keyed by N.
+ * @type {Object.<number, function(SavedGame): SavedGame>}
+ */
+const MIGRATIONS = {
+  // Version 2 added the redo stack
+  1: (save) => ({
+    ...save,
+    version: 2,
+    state: { ...save.state, future: [] },
+  }),
+};
+
+/**
+ * Gets localStorage, or null where it's unavailable (private mode,
+ * blocked storage, Node). Shared with the other localStorage formats.
+ *
+ * @returns {Storage|null}
+ */
+export function getStorage() {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Upgrades a save to SAVE_VERSION.
+ *
+ * @param {SavedGame} save - A save in any known version
+ * @returns {SavedGame|null} The upgraded save, or null if it can't be upgraded
+ */
+export function migrateSave(save) {
+  let current = save;
+  while (current.version < SAVE_VERSION) {
+    const migrate = MIGRATIONS[current.version];
+    if (!migrate) return null;
+    current = migrate(current);
+  }
+  return current.version === SAVE_VERSION ? current : null;
+}
+
+/**
+ * Checks whether a snapshot has anything worth resuming.
+ *
+ * @param {GameSnapshot} state
+ * @returns {boolean}
+ */
+export function hasProgress(state) {
+  return (
+    Object.keys(state.placements).length > 0 ||
+    Object.keys(state.autoMarks).length > 0 ||
+    Object.keys(state.manualMarks).length > 0 ||
+    Object.keys(state.possibilityMarks).length > 0 ||
+    state.history.length > 0 ||
+    state.future.length > 0
+  );
+}
+
+/**
+ * Checks that a snapshot is well-formed and still fits the puzzle: every
+ * placement is on a well-formed cell key on the board and names a known
+ * suspect.
+ *
+ * @param {GameSnapshot} state
+ * @param {Puzzle} puzzle
+ * @returns {boolean}
+ */
+function fitsPuzzle(state, puzzle) {
+  const isMap = (value) =>
+    value !== null &&
+    typeof value === 'object' &&
+    !Array.isArray(value);
+  if (
+    !isMap(state) ||
+    !isMap(state.placements) ||
+    !isMap(state.autoMarks) ||
+    !isMap(state.manualMarks) ||
+    !isMap(state.possibilityMarks) ||
+    !Array.isArray(state.history) ||
+    !Array.isArray(state.future)
+  ) {
+    return false;
+  }
+
+  const suspectIds = new Set(puzzle.suspects.map((s) => s.id));
+  return Object.entries(state.placements).every(([cellKey, id]) => {
+    const { row, col } = parseCellKey(cellKey);
+    return (
+      suspectIds.has(id) &&
+      createCellKey(row, col) === cellKey &&
+      row >= 0 &&
+      row < puzzle.gridSize &&
+      col >= 0 &&
+      col < puzzle.gridSize
+    );
+  });
+}
+
+/**
+ * Loads the saved game for a puzzle. Saves that are corrupt, from an
+ * unknown version, or no longer fit the puzzle are deleted.
+ *
+ * @param {Puzzle} puzzle
+ * @returns {SavedGame|null} The save, migrated to SAVE_VERSION, or null if there is none
+ */
+export function loadSave(puzzle) {
+  const storage = getStorage();
+  if (!storage) return null;
+  const key = SAVE_PREFIX + puzzle.id;
+  const raw = storage.getItem(key);
+  if (!raw) return null;
+
+  try {
+    const save = migrateSave(JSON.parse(raw));
+    if (
+      save &&
+      save.puzzleId === puzzle.id &&
+      fitsPuzzle(save.state, puzzle)
+    ) {
+      return save;
+    }
+  } catch (err) {
+    console.warn(`Discarding unreadable save for ${puzzle.id}`, err);
+  }
+  storage.removeItem(key);
+  return null;
+}
+
+/**
+ * Saves a game for a puzzle, replacing its previous save.
+ *
+ * @param {string} puzzleId
+ * @param {GameSnapshot} state
+ */
+export function writeSave(puzzleId, state) {
+  const storage = getStorage();
+  if (!storage) return;
+
+  /** @type {SavedGame} */
+  const save = {
+    version: SAVE_VERSION,
+    puzzleId,
+    savedAt: new Date().toISOString(),
+    state: {
+      ...state,
+      history: state.history.slice(-MAX_SAVED_HISTORY),
+      future: state.future.slice(-MAX_SAVED_HISTORY),
+    },
+  };
+  try {
+    storage.setItem(SAVE_PREFIX + puzzleId, JSON.stringify(save));
+  } catch (err) {
+    // Quota exceeded or storage blocked: keep playing without saving
+    console.warn(`Could not save game for ${puzzleId}`, err);
+  }
+}
+
+/**
+ * Deletes the saved game for a puzzle.
+ *
+ * @param {string} puzzleId
+ */
+export function clearSave(puzzleId) {
+  getStorage()?.removeItem(SAVE_PREFIX + puzzleId);
+}
+
+/**
+ * Gets the ID of the puzzle played last.
+ *
+ * @returns {string|null}
+ */
+export function loadLastPuzzleId() {
+  return getStorage()?.getItem(LAST_PUZZLE_KEY) ?? null;
+}
+
+/**
+ * Remembers the puzzle being played, so a reload returns to it.
+ *
+ * @param {string} puzzleId
+ */
+export function saveLastPuzzleId(puzzleId) {
+  try {
+    getStorage()?.setItem(LAST_PUZZLE_KEY, puzzleId);
+  } catch {
+    // Storage blocked: a reload starts on the default puzzle
+  }
+}
+
+/**
+ * Gets an on/off preference shared by all puzzles, e.g. 'autoPrune'.
+ *
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function loadPreference(name) {
+  return getStorage()?.getItem(PREFERENCE_PREFIX + name) === 'on';
+}
+
+/**
+ * Remembers an on/off preference across puzzles and reloads.
+ *
+ * @param {string} name
+ * @param {boolean} enabled
+ */
+export function savePreference(name, enabled) {
+  try {
+    getStorage()?.setItem(
+      PREFERENCE_PREFIX + name,
+      enabled ? 'on' : 'off'
+    );
+  } catch {
+    // Storage blocked: the setting lasts until the page is closed
+  }
+}
@@ -0,0 +1,338 @@
+/**
+ * Shareable board links
+ * @fileoverview Encodes a puzzle ID plus the board (placements, X marks and
+ * possibility marks) into a URL hash, and decodes it back into a snapshot
+ * that useGameState can restore
+ */
+
+import { occupiableTypes } from '../data/gameData';
+import { createCellKey, parseCellKey } from '../constants';
+import { toBase64Url, fromBase64Url } from './base64url';
+
+/**
+ * @typedef {import('../types').Puzzle} Puzzle
+ * @typedef {import('../types').Placements} Placements
+ * @typedef {import('../utils/saveGame').GameSnapshot} GameSnapshot
+ */
+
+/**
+ * @typedef {Object} SharedBoard
+ * @property {Placements} placements - Cell key -> suspect ID
+ * @property {Object.<string, boolean>} markedCells - Cells showing an X (auto or manual)
+ * @property {Object.<string, string[]>} possibilityMarks - Cell key -> possible suspect IDs
+ */
+
+/**
+ * @typedef {Object} DecodeResult
+ * @property {GameSnapshot|null} state - Snapshot to restore, or null if the code was rejected
+ * @property {number} dropped - Entries skipped because they don't fit the puzzle any more
+ * @property {string|null} error - Why the code was rejected
+ */
+
+/**
+ * Board encoding format version. Bump it when the byte layout changes;
+ * codes from other versions are rejected.
+ */
+export const SHARE_VERSION = 1;
+
+const HASH_PUZZLE_PARAM = 'puzzle';
+const HASH_BOARD_PARAM = 'board';
+
+/**
+ * 16-bit FNV-1a hash of the suspect IDs, so a code made for an older
+ * cast of suspects is rejected instead of placing the wrong people.
+ *
+ * @param {Puzzle} puzzle
+ * @returns {number}
+ */
+function suspectChecksum(puzzle) {
+  let hash = 0x811c9dc5;
+  const text = puzzle.suspects.map((s) => s.id).join(',');
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash ^ (hash >>> 16)) & 0xffff;
+}
+
+/**
+ * Appends an unsigned LEB128 varint.
+ *
+ * @param {number[]} bytes
+ * @param {number} value
+ */
+function writeVarint(bytes, value) {
+  let rest = value;
+  while (rest >= 0x80) {
+    bytes.push((rest & 0x7f) | 0x80);
+    rest >>>= 7;
+  }
+  bytes.push(rest);
+}
+
+/**
+ * Sequential reader over a byte array. Reads past the end throw, which
+ * decodeBoard reports as a malformed code.
+ *
+ * @param {Uint8Array} bytes
+ */
+function createReader(bytes) {
+  let offset = 0;
+  const byte = () => {
+    if (offset >= bytes.length) throw new Error('Unexpected end');
+    return bytes[offset++];
+  };
+  const varint = () => {
+    let value = 0;
+    for (let shift = 0; shift < 35; shift += 7) {
+      const b = byte();
+      value += (b & 0x7f) * 2 ** shift;
+      if (b < 0x80) return value;
+    }
+    throw new Error('Varint too long');
+  };
+  const bitset = (bitCount) => {
+    const bits = [];
+    for (let i = 0; i < Math.ceil(bitCount / 8); i++) {
+      const b = byte();
+      for (let bit = 0; bit < 8 && bits.length < bitCount; bit++) {
+        bits.push((b & (1 << bit)) !== 0);
+      }
+    }
+    return bits;
+  };
+  return {
+    byte,
+    varint,
+    bitset,
+    done: () => offset === bytes.length,
+  };
+}
+
+/**
+ * Appends a bitset, least significant bit first.
+ *
+ * @param {number[]} bytes
+ * @param {boolean[]} bits
+ */
+function writeBitset(bytes, bits) {
+  for (let i = 0; i < bits.length; i += 8) {
+    let b = 0;
+    for (let bit = 0; bit < 8 && i + bit < bits.length; bit++) {
+      if (bits[i + bit]) b |= 1 << bit;
+    }
+    bytes.push(b);
+  }
+}
+
+/**
+ * Encodes a board as a URL-safe code.
+ *
+ * Layout: version byte, varint gridSize, varint suspect count, suspect
+ * checksum (2 bytes); then per suspect a varint of its cell index + 1 (0 = not placed); an X
+ * bitset over all cells; and a varint count of possibility cells, each a
+ * varint cell index followed by a bitset over the suspects.
+ *
+ * @param {Puzzle} puzzle
+ * @param {SharedBoard} board
+ * @returns {string}
+ */
+export function encodeBoard(puzzle, board) {
+  const { gridSize, suspects } = puzzle;
+  const cellIndex = (cellKey) => {
+    const { row, col } = parseCellKey(cellKey);
+    return row * gridSize + col;
+  };
+
+  const checksum = suspectChecksum(puzzle);
+  const bytes = [SHARE_VERSION];
+  writeVarint(bytes, gridSize);
+  writeVarint(bytes, suspects.length);
+  bytes.push(checksum >> 8, checksum & 0xff);
+
+  const cellOf = {};
+  for (const [cellKey, id] of Object.entries(board.placements)) {
+    cellOf[id] = cellIndex(cellKey);
+  }
+  for (const suspect of suspects) {
+    writeVarint(
+      bytes,
+      suspect.id in cellOf ? cellOf[suspect.id] + 1 : 0,
+    );
+  }
+
+  const marks = new Array(gridSize * gridSize).fill(false);
+  for (const [cellKey, marked] of Object.entries(board.markedCells)) {
+    if (marked) marks[cellIndex(cellKey)] = true;
+  }
+  writeBitset(bytes, marks);
+
+  const possibilities = Object.entries(board.possibilityMarks).filter(
+    ([, ids]) => ids.length > 0,
+  );
+  writeVarint(bytes, possibilities.length);
+  for (const [cellKey, ids] of possibilities) {
+    writeVarint(bytes, cellIndex(cellKey));
+    writeBitset(
+      bytes,
+      suspects.map((s) => ids.includes(s.id)),
+    );
+  }
+
+  return toBase64Url(bytes);
+}
+
+/**
+ * Decodes a board code for a puzzle.
+ *
+ * Codes from another format version, grid size or cast of suspects are
+ * rejected. Entries that no longer fit the board (cells off the grid or
+ * not occupiable, two suspects in one cell, marks under a suspect) are
+ * dropped and counted. X marks in a placed suspect's row or column come
+ * back as that suspect's auto marks; the rest as manual marks.
+ *
+ * @param {Puzzle} puzzle
+ * @param {string} code
+ * @returns {DecodeResult}
+ */
+export function decodeBoard(puzzle, code) {
+  const { gridSize, suspects, boardLayout } = puzzle;
+  const reject = (error) => ({ state: null, dropped: 0, error });
+
+  let reader;
+  let header;
+  try {
+    reader = createReader(fromBase64Url(code));
+    header = {
+      version: reader.byte(),
+      gridSize: reader.varint(),
+      suspectCount: reader.varint(),
+      checksum: (reader.byte() << 8) | reader.byte(),
+    };
+  } catch {
+    return reject('The board link is damaged.');
+  }
+  if (header.version !== SHARE_VERSION) {
+    return reject(
+      'The board link was made by a different version of Murdoku.',
+    );
+  }
+  if (
+    header.gridSize !== gridSize ||
+    header.suspectCount !== suspects.length ||
+    header.checksum !== suspectChecksum(puzzle)
+  ) {
+    return reject(
+      `The board link was made for a different version of ${puzzle.name}.`,
+    );
+  }
+
+  const cellCount = gridSize * gridSize;
+  const keyOf = (index) =>
+    createCellKey(Math.floor(index / gridSize), index % gridSize);
+  let dropped = 0;
+
+  const placements = {};
+  const manualMarks = {};
+  const autoMarks = {};
+  const possibilityMarks = {};
+  try {
+    for (const suspect of suspects) {
+      const stored = reader.varint();
+      if (stored === 0) continue;
+      const index = stored - 1;
+      const key = keyOf(index);
+      const { row, col } = parseCellKey(key);
+      if (
+        index >= cellCount ||
+        placements[key] ||
+        !occupiableTypes.includes(boardLayout[row][col].type)
+      ) {
+        dropped++;
+        continue;
+      }
+      placements[key] = suspect.id;
+    }
+
+    const marks = reader.bitset(cellCount);
+    const placed = Object.entries(placements).map(([key, id]) => ({
+      id,
+      ...parseCellKey(key),
+    }));
+    marks.forEach((marked, index) => {
+      if (!marked) return;
+      const key = keyOf(index);
+      if (placements[key]) {
+        dropped++;
+        return;
+      }
+      const { row, col } = parseCellKey(key);
+      const markers = placed
+        .filter((p) => p.row === row || p.col === col)
+        .map((p) => p.id);
+      if (markers.length > 0) {
+        autoMarks[key] = markers;
+      } else {
+        manualMarks[key] = true;
+      }
+    });
+
+    const possibilityCount = reader.varint();
+    for (let i = 0; i < possibilityCount; i++) {
+      const index = reader.varint();
+      const bits = reader.bitset(suspects.length);
+      const key = keyOf(index);
+      if (index >= cellCount || placements[key]) {
+        dropped++;
+        continue;
+      }
+      const ids = suspects.filter((_, s) => bits[s]).map((s) => s.id);
+      if (ids.length > 0) possibilityMarks[key] = ids.sort();
+    }
+    if (!reader.done()) throw new Error('Trailing data');
+  } catch {
+    return reject('The board link is damaged.');
+  }
+
+  return {
+    state: {
+      placements,
+      autoMarks,
+      manualMarks,
+      possibilityMarks,
+      history: [],
+      future: [],
+    },
+    dropped,
+    error: null,
+  };
+}
+
+/**
+ * Builds a link that opens a puzzle with the given board.
+ *
+ * @param {Puzzle} puzzle
+ * @param {SharedBoard} board
+ * @param {string} baseUrl - Page URL without a hash
+ * @returns {string}
+ */
+export function buildShareUrl(puzzle, board, baseUrl) {
+  const params = new URLSearchParams({
+    [HASH_PUZZLE_PARAM]: puzzle.id,
+    [HASH_BOARD_PARAM]: encodeBoard(puzzle, board),
+  });
+  return `${baseUrl}#${params}`;
+}
+
+/**
+ * Reads a shared board from a URL hash.
+ *
+ * @param {string} hash - e.g. window.location.hash
+ * @returns {{ puzzleId: string, code: string|null }|null} Null if the hash isn't a share link
+ */
+export function parseShareHash(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const puzzleId = params.get(HASH_PUZZLE_PARAM);
+  if (!puzzleId) return null;
+  return { puzzleId, code: params.get(HASH_BOARD_PARAM) };
+}
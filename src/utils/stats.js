@@ -0,0 +1,220 @@
+/**
+ * Local per-puzzle statistics: completed runs and the run in progress
+ * @fileoverview Reads and writes one versioned stats record per puzzle in localStorage
+ */
+
+import { getStorage } from './saveGame';
+import { HINT_LEVELS } from '../constants';
+
+/**
+ * @typedef {import('../types').HintUsage} HintUsage
+ */
+
+/**
+ * @typedef {Object} RunStats
+ * @property {number} elapsedMs - Time played with the tab visible
+ * @property {number} placements - Suspects put on a cell (placing, moving and swapping)
+ * @property {number} undos - Undo steps taken
+ * @property {number} wrongChecks - Check Solution presses on a full but wrong board
+ * @property {HintUsage} hints - Hint ladder rungs revealed, by level
+ * @property {string|null} completedAt - ISO timestamp once solved
+ */
+
+/**
+ * @typedef {Object} CompletedRun
+ * @property {string} completedAt - ISO timestamp of the solve
+ * @property {number} timeMs - Solve time with the tab visible
+ * @property {number} placements
+ * @property {number} undos
+ * @property {number} wrongChecks
+ * @property {HintUsage} hints
+ */
+
+/**
+ * @typedef {Object} PuzzleStats
+ * @property {number} version - Storage format version (STATS_VERSION)
+ * @property {string} puzzleId - Puzzle the stats belong to
+ * @property {CompletedRun[]} runs - Solves, oldest first
+ * @property {RunStats|null} current - The run in progress, for resuming a saved game
+ */
+
+/**
+ * @typedef {Object} PersonalBests
+ * @property {number} solves - Completed runs
+ * @property {number|null} fastestMs - Best solve time
+ * @property {number|null} fewestPlacements
+ * @property {number|null} fewestHints - Fewest hint rungs revealed
+ */
+
+/**
+ * Current storage format version. Bump it when PuzzleStats changes shape.
+ */
+export const STATS_VERSION = 1;
+
+const STATS_PREFIX = 'murdoku:stats:';
+
+/**
+ * Completed runs kept per puzzle, to bound the record's size.
+ */
+const MAX_SAVED_RUNS = 50;
+
+/**
+ * Loads a puzzle's stats. Records that are corrupt or from an unknown
+ * version are treated as empty.
+ *
+ * @param {string} puzzleId
+ * @returns {PuzzleStats}
+ */
+export function loadStats(puzzleId) {
+  const empty = {
+    version: STATS_VERSION,
+    puzzleId,
+    runs: [],
+    current: null,
+  };
+  const raw = getStorage()?.getItem(STATS_PREFIX + puzzleId);
+  if (!raw) return empty;
+
+  try {
+    const stats = JSON.parse(raw);
+    if (
+      stats?.version === STATS_VERSION &&
+      stats.puzzleId === puzzleId &&
+      Array.isArray(stats.runs)
+    ) {
+      return stats;
+    }
+  } catch (err) {
+    console.warn(`Discarding unreadable stats for ${puzzleId}`, err);
+  }
+  return empty;
+}
+
+/**
+ * Writes a puzzle's stats, replacing the previous record.
+ *
+ * @param {PuzzleStats} stats
+ */
+function writeStats(stats) {
+  try {
+    getStorage()?.setItem(
+      STATS_PREFIX + stats.puzzleId,
+      JSON.stringify({
+        ...stats,
+        runs: stats.runs.slice(-MAX_SAVED_RUNS),
+      })
+    );
+  } catch (err) {
+    // Quota exceeded or storage blocked: keep playing without stats
+    console.warn(`Could not save stats for ${stats.puzzleId}`, err);
+  }
+}
+
+/**
+ * Remembers the run in progress, so resuming a saved game carries on
+ * its clock and counters.
+ *
+ * @param {string} puzzleId
+ * @param {RunStats} run
+ */
+export function saveCurrentRun(puzzleId, run) {
+  writeStats({ ...loadStats(puzzleId), current: run });
+}
+
+/**
+ * Adds a solve to a puzzle's history.
+ *
+ * @param {string} puzzleId
+ * @param {CompletedRun} run
+ * @returns {boolean} True if it beats the fastest earlier solve
+ */
+export function recordCompletedRun(puzzleId, run) {
+  const stats = loadStats(puzzleId);
+  const { fastestMs } = getPersonalBests(stats.runs);
+  writeStats({ ...stats, runs: [...stats.runs, run] });
+  return fastestMs !== null && run.timeMs < fastestMs;
+}
+
+/**
+ * Total hint rungs revealed.
+ *
+ * @param {HintUsage} hints
+ * @returns {number}
+ */
+export function countHints(hints) {
+  return Object.values(hints || {}).reduce((sum, n) => sum + n, 0);
+}
+
+/**
+ * Finds the bests across a puzzle's solves.
+ *
+ * @param {CompletedRun[]} runs
+ * @returns {PersonalBests}
+ */
+export function getPersonalBests(runs) {
+  const best = (values) =>
+    values.length > 0 ? Math.min(...values) : null;
+  return {
+    solves: runs.length,
+    fastestMs: best(runs.map((r) => r.timeMs)),
+    fewestPlacements: best(runs.map((r) => r.placements)),
+    fewestHints: best(runs.map((r) => countHints(r.hints))),
+  };
+}
+
+/**
+ * Formats a duration as "m:ss", or "h:mm:ss" from an hour up.
+ *
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatDuration(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+}
+
+/**
+ * Counts a noun, e.g. "1 undo", "3 undos".
+ *
+ * @param {number} count
+ * @param {string} noun
+ * @returns {string}
+ */
+function pluralize(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Lists hint usage by level, e.g. "2 nudges, 1 technique".
+ *
+ * @param {HintUsage} hints
+ * @returns {string} Empty if no hints were used
+ */
+export function formatHintCounts(hints) {
+  return HINT_LEVELS.filter((level) => hints?.[level.id] > 0)
+    .map((level) =>
+      pluralize(hints[level.id], level.label.toLowerCase())
+    )
+    .join(', ');
+}
+
+/**
+ * Summarises a solve for the completion message, e.g.
+ * "⏱️ 4:05 · 14 placements · 2 undos · 1 wrong check".
+ *
+ * @param {CompletedRun} run
+ * @returns {string}
+ */
+export function formatRunSummary(run) {
+  return [
+    `⏱️ ${formatDuration(run.timeMs)}`,
+    pluralize(run.placements, 'placement'),
+    pluralize(run.undos, 'undo'),
+    pluralize(run.wrongChecks, 'wrong check'),
+  ].join(' · ');
+}
@@ -1,9 +1,21 @@
 /**
  * Validation utilities for Murdoku game state
  * @fileoverview Validates current game state against the puzzle solution
+ * and the clues
  */
 
 import { parseCellKey, createCellKey } from '../constants';
+import {
+  verifyPlacements,
+  solutionToPlacements,
+} from '../engine/verifier';
+import { MurdokuSolver } from '../engine/solver';
+import {
+  describeConstraint,
+  createPlacement,
+  findConstraintConflict,
+} from '../engine/constraints';
+import { precomputeBoard } from '../engine/boardUtils';
 
 /**
  * @typedef {import('../types').Placements} Placements
@@ -13,6 +25,11 @@ import { parseCellKey, createCellKey } from '../constants';
  * @typedef {import('../types').ValidationErrors} ValidationErrors
  * @typedef {import('../types').WrongPlacement} WrongPlacement
  * @typedef {import('../types').CellPosition} CellPosition
+ * @typedef {import('../types').Puzzle} Puzzle
+ * @typedef {import('../types').ClueViolation} ClueViolation
+ * @typedef {import('../types').SolutionCheck} SolutionCheck
+ * @typedef {import('../types').ClueConflicts} ClueConflicts
+ * @typedef {import('../types').ClueValidation} ClueValidation
  */
 
 /**
@@ -68,6 +85,66 @@ export function validateCurrentState(
   return errors;
 }
 
+/**
+ * Validates the current game state against the clues. The board is fine
+ * as long as some solution keeps every placement and avoids every X mark,
+ * even if puzzle.solution has the suspects elsewhere. If only the marks
+ * are in the way, the marks on that solution's cells are wrong. Only when
+ * no solution keeps the placements is puzzle.solution used to say which
+ * suspects are misplaced.
+ *
+ * @param {Puzzle} puzzle - The puzzle
+ * @param {Placements} placements - Current suspect placements
+ * @param {MarkedCells} markedCells - Current X marks
+ * @returns {ClueValidation}
+ */
+export function validateByClues(puzzle, placements, markedCells) {
+  const marked = Object.keys(markedCells).filter(
+    (cellKey) => markedCells[cellKey]
+  );
+  const solution =
+    findReachableSolution(puzzle, placements, marked) ||
+    findReachableSolution(puzzle, placements) ||
+    puzzle.solution;
+  return {
+    ...validateCurrentState(
+      placements,
+      markedCells,
+      solution,
+      puzzle.suspects
+    ),
+    solution,
+  };
+}
+
+/**
+ * Finds a solution that keeps every placement, leaves the given cells
+ * empty and satisfies every rule and clue.
+ *
+ * @param {Puzzle} puzzle - The puzzle
+ * @param {Placements} placements - Current suspect placements
+ * @param {string[]} [emptyCells] - Cells the solution must leave empty
+ * @returns {Solution|null}
+ */
+export function findReachableSolution(
+  puzzle,
+  placements,
+  emptyCells
+) {
+  const solver = new MurdokuSolver(puzzle);
+  solver.initialize(placements, emptyCells);
+  const [solution] = solver.countSolutions({ limit: 1 }).solutions;
+  // The search takes the player's placements as given, so check the
+  // whole board: two of them could share a row
+  if (
+    !solution ||
+    !verifyPlacements(puzzle, solutionToPlacements(solution)).valid
+  ) {
+    return null;
+  }
+  return solution;
+}
+
 /**
  * Checks if the current state has any validation errors.
  *
@@ -123,3 +200,106 @@ export function checkSolution(placements, solution, suspects) {
     wrongNames,
   };
 }
+
+/**
+ * Checks a finished board against the rules and clues rather than the
+ * stored solution, so any valid answer is accepted. Also reports whether
+ * it's the intended answer; a valid board that isn't means the puzzle
+ * has more than one solution.
+ *
+ * @param {Puzzle} puzzle - The puzzle
+ * @param {Placements} placements - Current suspect placements
+ * @returns {SolutionCheck}
+ */
+export function checkSolutionByClues(puzzle, placements) {
+  const { suspects, solution } = puzzle;
+  const intended = checkSolution(placements, solution, suspects);
+  const allPlaced = Object.keys(placements).length >= suspects.length;
+
+  if (!allPlaced) {
+    return {
+      ...intended,
+      allPlaced,
+      violations: [],
+      matchesIntended: false,
+    };
+  }
+
+  const verification = verifyPlacements(puzzle, placements);
+
+  /** @type {ClueViolation[]} */
+  const violations = [];
+  for (const suspect of suspects) {
+    const result = verification.suspects[suspect.id];
+    const problems = [
+      ...result.ruleViolations,
+      ...result.constraints
+        .filter((c) => !c.passed)
+        .map(
+          (c) =>
+            `${describeConstraint(c.constraint, puzzle)} (${c.reason})`
+        ),
+    ];
+    if (problems.length > 0) {
+      violations.push({ suspect, problems });
+    }
+  }
+
+  return {
+    allPlaced,
+    isComplete: verification.valid,
+    correctCount: suspects.length - violations.length,
+    wrongNames: violations.map((v) => v.suspect.name),
+    violations,
+    matchesIntended: intended.isComplete,
+  };
+}
+
+/**
+ * Finds clues the placed suspects already break, for live checking while
+ * playing. Only definite conflicts count (see findConstraintConflict), and
+ * the solution is never consulted, so nothing is given away.
+ *
+ * @param {Puzzle} puzzle - The puzzle
+ * @param {Placements} placements - Current suspect placements
+ * @param {Object} [board] - Precomputed board, to skip recomputing it
+ * @returns {ClueConflicts}
+ */
+export function findClueConflicts(
+  puzzle,
+  placements,
+  board = precomputeBoard(puzzle.boardLayout)
+) {
+  /** @type {ClueConflicts} */
+  const conflicts = { cells: {}, suspects: {} };
+  const positions = new Map(
+    Object.entries(placements).map(([cellKey, suspectId]) => [
+      suspectId,
+      cellKey,
+    ])
+  );
+  const placement = createPlacement(puzzle, board, positions);
+
+  for (const suspect of puzzle.suspects) {
+    if (!positions.has(suspect.id)) continue;
+    for (const constraint of suspect.constraints || []) {
+      const cells = findConstraintConflict(
+        constraint,
+        suspect.id,
+        placement
+      );
+      if (!cells) continue;
+      for (const cellKey of cells) {
+        conflicts.cells[cellKey] = true;
+      }
+      if (!conflicts.suspects[suspect.id]) {
+        conflicts.suspects[suspect.id] = [];
+      }
+      conflicts.suspects[suspect.id].push(
+        describeConstraint(constraint, puzzle)
+      );
+    }
+  }
+
+  return conflicts;
+}
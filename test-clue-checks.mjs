@@ -0,0 +1,136 @@
+/**
+ * Clue check test: the live conflict check (findClueConflicts) and the
+ * full verifier (verifyPlacements) must agree once everyone is placed,
+ * and the live check must stay quiet about clues that can still be met.
+ * Run with: node --loader ./test-loader.mjs --test test-clue-checks.mjs
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { puzzles } from './src/data/puzzles/index.js';
+import { verifyPlacements, solutionToPlacements } from './src/engine/verifier.js';
+import { precomputeBoard } from './src/engine/boardUtils.js';
+import { describeConstraint } from './src/engine/constraints.js';
+import { findClueConflicts } from './src/utils/validation.js';
+
+/**
+ * Small deterministic random number generator (mulberry32).
+ *
+ * @param {number} seed
+ * @returns {() => number} Numbers in [0, 1)
+ */
+function random(seed) {
+	return () => {
+		seed = (seed + 0x6d2b79f5) | 0;
+		let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+		t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+/**
+ * Places every suspect on a distinct random occupiable cell.
+ *
+ * @param {Object} puzzle
+ * @param {Object} board
+ * @param {() => number} next
+ * @returns {Object.<string, string>} cellKey -> suspectId
+ */
+function randomBoard(puzzle, board, next) {
+	const cells = [...board.occupiableCells];
+	const placements = {};
+	for (const suspect of puzzle.suspects) {
+		const [cellKey] = cells.splice(Math.floor(next() * cells.length), 1);
+		placements[cellKey] = suspect.id;
+	}
+	return placements;
+}
+
+/**
+ * Places one suspect on a cell and everyone else outside that cell's room.
+ *
+ * @param {Object} puzzle
+ * @param {Object} board
+ * @param {string} suspectId
+ * @param {string} cellKey
+ * @returns {Object.<string, string>} cellKey -> suspectId
+ */
+function aloneInRoom(puzzle, board, suspectId, cellKey) {
+	const room = board.cellInfo.get(cellKey).room;
+	const elsewhere = [...board.occupiableCells].filter((key) => board.cellInfo.get(key).room !== room);
+	const placements = { [cellKey]: suspectId };
+	for (const suspect of puzzle.suspects) {
+		if (suspect.id !== suspectId) placements[elsewhere.shift()] = suspect.id;
+	}
+	return placements;
+}
+
+/**
+ * The clues the verifier fails, as findClueConflicts lists them.
+ *
+ * @param {Object} puzzle
+ * @param {Object.<string, string>} placements
+ * @returns {Object.<string, string[]>} suspectId -> described clues
+ */
+function failedClues(puzzle, placements) {
+	const failed = {};
+	for (const [suspectId, result] of Object.entries(verifyPlacements(puzzle, placements).suspects)) {
+		const clues = result.constraints.filter((c) => !c.passed).map((c) => describeConstraint(c.constraint, puzzle));
+		if (clues.length > 0) failed[suspectId] = clues;
+	}
+	return failed;
+}
+
+for (const puzzle of Object.values(puzzles)) {
+	describe(puzzle.name, () => {
+		const board = precomputeBoard(puzzle.boardLayout);
+
+		test('the solution has no conflicts', () => {
+			assert.deepEqual(findClueConflicts(puzzle, solutionToPlacements(puzzle.solution), board), { cells: {}, suspects: {} });
+		});
+
+		test('on complete boards, the live check flags exactly the clues the verifier fails', () => {
+			const next = random(puzzle.gridSize);
+			for (let i = 0; i < 200; i++) {
+				const placements = randomBoard(puzzle, board, next);
+				assert.deepEqual(findClueConflicts(puzzle, placements, board).suspects, failedClues(puzzle, placements));
+			}
+		});
+	});
+}
+
+describe('clues that wait on someone else', () => {
+	const preppers = puzzles['preppers-medium'];
+	const preppersBoard = precomputeBoard(preppers.boardLayout);
+	const horseTrack = puzzles['horse-track-hard'];
+	const horseBoard = precomputeBoard(horseTrack.boardLayout);
+
+	for (const type of ['inRoomWithPersonOnCellType', 'inRoomWithPersonBesideCellType']) {
+		const suspect = preppers.suspects.find((s) => s.constraints.some((c) => c.type === type));
+		const clue = describeConstraint(suspect.constraints.find((c) => c.type === type), preppers);
+		const { row, col } = preppers.solution[suspect.id];
+		const placements = aloneInRoom(preppers, preppersBoard, suspect.id, `${row}-${col}`);
+
+		test(`${type} is open while others are unplaced`, () => {
+			const conflicts = findClueConflicts(preppers, { [`${row}-${col}`]: suspect.id }, preppersBoard);
+			assert.ok(!conflicts.suspects[suspect.id]?.includes(clue));
+		});
+		test(`${type} conflicts once everyone is placed without a match`, () => {
+			assert.ok(findClueConflicts(preppers, placements, preppersBoard).suspects[suspect.id]?.includes(clue));
+			assert.ok(failedClues(preppers, placements)[suspect.id]?.includes(clue));
+		});
+	}
+
+	test('aheadOf conflicts when the other suspect is off the track', () => {
+		const suspect = horseTrack.suspects.find((s) => s.constraints.some((c) => c.type === 'aheadOf'));
+		const other = suspect.constraints.find((c) => c.type === 'aheadOf').suspect;
+		const onTrack = Object.keys(horseTrack.trackPositions).find((key) => horseBoard.occupiableCells.has(key));
+		const offTrack = [...horseBoard.occupiableCells].find((key) => horseTrack.trackPositions[key] === undefined);
+
+		const waiting = findClueConflicts(horseTrack, { [onTrack]: suspect.id }, horseBoard);
+		assert.deepEqual(waiting.cells, {});
+
+		const conflicts = findClueConflicts(horseTrack, { [onTrack]: suspect.id, [offTrack]: other }, horseBoard);
+		assert.deepEqual(conflicts.cells, { [onTrack]: true, [offTrack]: true });
+	});
+});
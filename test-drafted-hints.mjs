@@ -0,0 +1,95 @@
+/**
+ * Drafted hints test: every hint draftHints writes for a built-in puzzle
+ * has a target the hint engine understands, and gives away no placement
+ * the solver hasn't reached from the hints before it.
+ * Run with: node --loader ./test-loader.mjs --test test-drafted-hints.mjs
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { puzzles } from './src/data/puzzles/index.js';
+import { MurdokuSolver } from './src/engine/solver.js';
+import { draftHints } from './src/engine/hintAuthor.js';
+import { HINT_TARGET_TYPES } from './src/engine/hintEngine.js';
+import { getCellsBesideType } from './src/engine/boardUtils.js';
+import { createCellKey } from './src/constants.js';
+
+const keyOf = ({ row, col }) => createCellKey(row, col);
+
+/**
+ * Whether a cell is one of the cells a hint target points at.
+ *
+ * @param {MurdokuSolver} solver - Initialized solver for the puzzle
+ * @param {Object} target
+ * @param {string} cellKey
+ * @returns {boolean}
+ */
+function inTarget(solver, target, cellKey) {
+	const info = solver.board.cellInfo.get(cellKey);
+	switch (target.type) {
+		case 'room':
+			return info.room === target.room;
+		case 'rooms':
+			return target.rooms.includes(info.room);
+		case 'cellType':
+			return info.type === target.cellType && (!target.room || info.room === target.room);
+		case 'adjacentTo':
+			return getCellsBesideType(solver.board, target.cellType).has(cellKey);
+		case 'row':
+			return info.row === target.row;
+		default:
+			return true;
+	}
+}
+
+for (const puzzle of Object.values(puzzles)) {
+	describe(puzzle.name, () => {
+		const hints = draftHints(puzzle);
+		const solutionKeys = Object.fromEntries(puzzle.suspects.map((s) => [s.id, keyOf(puzzle.solution[s.id])]));
+
+		test('hints are drafted, one per suspect at most', () => {
+			assert.ok(hints.length > 0);
+			assert.equal(new Set(hints.map((h) => h.suspect)).size, hints.length);
+		});
+
+		test('every target is a type the hint engine filters by, and holds the solution cell', () => {
+			const solver = new MurdokuSolver(puzzle);
+			solver.initialize({});
+			for (const hint of hints) {
+				assert.ok(HINT_TARGET_TYPES.has(hint.target.type), `${hint.suspect}: ${hint.target.type}`);
+				assert.ok(inTarget(solver, hint.target, solutionKeys[hint.suspect]), `${hint.suspect}: ${JSON.stringify(hint.target)}`);
+			}
+		});
+
+		test('prerequisites are suspects of earlier hints', () => {
+			const earlier = new Set();
+			for (const hint of hints) {
+				for (const prereq of hint.prerequisites) {
+					assert.ok(earlier.has(prereq), `${hint.suspect} needs ${prereq} before it is hinted`);
+				}
+				earlier.add(hint.suspect);
+			}
+		});
+
+		test('hints come in the order the solver places their suspects from an empty board', () => {
+			const solver = new MurdokuSolver(puzzle);
+			solver.initialize({});
+			solver.solve();
+			// placed keeps insertion order, which is the order of the solver's deductions
+			assert.deepEqual(hints.map((h) => h.suspect), [...solver.placed.keys()]);
+			for (const hint of hints) {
+				assert.equal(solver.placed.get(hint.suspect), solutionKeys[hint.suspect], hint.suspect);
+			}
+		});
+
+		test('the solver reaches each hinted placement from its prerequisites alone', () => {
+			for (const hint of hints) {
+				const placements = Object.fromEntries(hint.prerequisites.map((id) => [solutionKeys[id], id]));
+				const solver = new MurdokuSolver(puzzle);
+				solver.initialize(placements);
+				solver.solve();
+				assert.equal(solver.placed.get(hint.suspect), solutionKeys[hint.suspect], `hint ${hint.order}: ${hint.suspect}`);
+			}
+		});
+	});
+}
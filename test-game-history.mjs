@@ -0,0 +1,161 @@
+/**
+ * Undo/redo test: useGameState, rendered with React, drops the redo stack
+ * on a new action, undoes a history group (a drag, or a placement and the
+ * auto-prune it sets off) in one step, and restores a snapshot's history
+ * without keeping the old redo stack.
+ * Run with: node --loader ./test-loader.mjs --test test-game-history.mjs
+ */
+
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Just enough of a browser for react-dom to render a component that
+// returns null: nothing is drawn, but state, effects and act() are real
+const noop = () => {};
+globalThis.window = {
+	addEventListener: noop,
+	removeEventListener: noop,
+	HTMLIFrameElement: class {},
+	document: { activeElement: null },
+};
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+const container = {
+	nodeType: 1,
+	tagName: 'DIV',
+	namespaceURI: 'http://www.w3.org/1999/xhtml',
+	addEventListener: noop,
+	removeEventListener: noop,
+	ownerDocument: { addEventListener: noop, removeEventListener: noop },
+};
+
+const { createElement, act } = await import('react');
+const { createRoot } = await import('react-dom/client');
+const { puzzles } = await import('./src/data/puzzles/index.js');
+const { useGameState } = await import('./src/hooks/useGameState.js');
+const { createCellKey, MESSAGES } = await import('./src/constants.js');
+
+const puzzle = puzzles['car-repair-easy'];
+const suspect = (id) => puzzle.suspects.find((s) => s.id === id);
+const [anthony, brock] = ['anthony', 'brock'].map(suspect);
+
+let root;
+let game;
+
+/**
+ * Runs a game action, or several, and lets React apply their updates and
+ * effects before the next one reads the state.
+ *
+ * @param {Function} action - Called with the hook's latest return value
+ */
+async function run(action) {
+	await act(() => action(game));
+}
+
+beforeEach(async () => {
+	function Game() {
+		game = useGameState(puzzle);
+		return null;
+	}
+	root = createRoot(container);
+	await act(() => root.render(createElement(Game)));
+});
+
+afterEach(async () => {
+	await act(() => root.unmount());
+});
+
+describe('redo', () => {
+	test('undo then redo puts the move back', async () => {
+		await run((g) => g.placeSuspect(anthony, 5, 4));
+		await run((g) => g.handleUndo());
+		assert.deepEqual(game.snapshot.placements, {});
+		await run((g) => g.handleRedo());
+		assert.deepEqual(game.snapshot.placements, { [createCellKey(5, 4)]: anthony.id });
+		assert.equal(game.message, MESSAGES.REDO_SUCCESS);
+	});
+
+	test('a new action after an undo clears the redo stack', async () => {
+		await run((g) => g.placeSuspect(anthony, 5, 4));
+		await run((g) => g.handleUndo());
+		assert.equal(game.snapshot.future.length, 1);
+		await run((g) => g.toggleManualMark(0, 4));
+		assert.deepEqual(game.snapshot.future, []);
+
+		await run((g) => g.handleRedo());
+		assert.equal(game.message, MESSAGES.REDO_EMPTY);
+		assert.deepEqual(game.snapshot.placements, {});
+		assert.deepEqual(game.snapshot.manualMarks, { [createCellKey(0, 4)]: true });
+	});
+});
+
+describe('history groups', () => {
+	test('a drag marking several cells undoes as one step', async () => {
+		await run((g) => g.beginHistoryGroup());
+		for (const col of [0, 1, 2]) {
+			await run((g) => {
+				g.saveToHistory();
+				g.addManualMark(3, col);
+			});
+		}
+		await run((g) => g.endHistoryGroup());
+		assert.equal(game.snapshot.history.length, 1);
+		assert.equal(Object.keys(game.snapshot.manualMarks).length, 3);
+
+		await run((g) => g.handleUndo());
+		assert.deepEqual(game.snapshot.manualMarks, {});
+		assert.deepEqual(game.snapshot.history, []);
+	});
+
+	test('a placement and the marks auto-prune drops undo as one step', async () => {
+		await run((g) => g.fillPossibilityMarks());
+		await run((g) => g.toggleAutoPrune());
+		const before = game.snapshot.possibilityMarks;
+		const historyLength = game.snapshot.history.length;
+
+		await run((g) => g.beginHistoryGroup());
+		await run((g) => g.placeSuspect(brock, 4, 3));
+		await run((g) => g.endHistoryGroup());
+		const othersMarked = (marks) => Object.values(marks).flat().filter((id) => id !== brock.id).length;
+		assert.ok(othersMarked(game.snapshot.possibilityMarks) < othersMarked(before), 'auto-prune dropped nobody else\'s marks');
+		assert.equal(game.snapshot.history.length, historyLength + 1);
+
+		await run((g) => g.handleUndo());
+		assert.deepEqual(game.snapshot.placements, {});
+		assert.deepEqual(game.snapshot.possibilityMarks, before);
+	});
+
+	test('saves after the group ends are separate steps again', async () => {
+		await run((g) => g.beginHistoryGroup());
+		await run((g) => g.toggleManualMark(0, 4));
+		await run((g) => g.toggleManualMark(1, 5));
+		await run((g) => g.endHistoryGroup());
+		await run((g) => g.toggleManualMark(2, 0));
+		assert.equal(game.snapshot.history.length, 2);
+	});
+});
+
+describe('restoreState', () => {
+	test('a restored game keeps its own history and no stale redo stack', async () => {
+		await run((g) => g.placeSuspect(anthony, 5, 4));
+		await run((g) => g.handleUndo());
+		assert.equal(game.snapshot.future.length, 1);
+
+		const saved = {
+			placements: { [createCellKey(4, 3)]: brock.id },
+			autoMarks: {},
+			manualMarks: {},
+			possibilityMarks: {},
+			history: [{ placements: {}, autoMarks: {}, manualMarks: {}, possibilityMarks: {} }],
+			future: [],
+		};
+		await run((g) => g.restoreState(saved));
+		assert.deepEqual(game.snapshot.future, []);
+		await run((g) => g.handleRedo());
+		assert.equal(game.message, MESSAGES.REDO_EMPTY);
+		assert.deepEqual(game.snapshot.placements, saved.placements);
+
+		await run((g) => g.handleUndo());
+		assert.deepEqual(game.snapshot.placements, {});
+		assert.deepEqual(game.snapshot.future, [{ ...saved.history[0], placements: saved.placements }]);
+	});
+});
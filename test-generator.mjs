@@ -0,0 +1,70 @@
+/**
+ * Generator test: generated puzzles have exactly one solution, which the
+ * solver reaches by logic in at least MIN_SOLVER_STEPS steps, and the tier
+ * option only lets puzzles of that tier through.
+ * Run with: node --loader ./test-loader.mjs --test test-generator.mjs
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { puzzles } from './src/data/puzzles/index.js';
+import { generatePuzzle, MIN_SOLVER_STEPS } from './src/engine/generator.js';
+import { ratePuzzle } from './src/engine/difficulty.js';
+import { MurdokuSolver } from './src/engine/solver.js';
+import { verifyPlacements, solutionToPlacements } from './src/engine/verifier.js';
+import { puzzleToJson } from './src/data/puzzles/loader.js';
+
+// The smallest built-in board keeps the test quick
+const { boardLayout, rooms } = puzzles['car-repair-easy'];
+const SEEDS = [1, 2, 3, 4, 5, 6];
+
+describe('generated puzzles', () => {
+	for (const seed of SEEDS) {
+		test(`seed ${seed}: one solution, reached by logic`, () => {
+			const puzzle = generatePuzzle({ boardLayout, rooms, seed });
+
+			const counter = new MurdokuSolver(puzzle);
+			counter.initialize({});
+			assert.equal(counter.countSolutions({ limit: 2, maxExamples: 0 }).count, 1);
+
+			const solver = new MurdokuSolver(puzzle);
+			solver.initialize({});
+			solver.solve();
+			assert.ok(solver.isSolved());
+			for (const [suspectId, cellKey] of solver.placed) {
+				const { row, col } = puzzle.solution[suspectId];
+				assert.equal(cellKey, `${row}-${col}`);
+			}
+			assert.ok(verifyPlacements(puzzle, solutionToPlacements(puzzle.solution)).valid);
+
+			const rating = ratePuzzle(puzzle);
+			assert.ok(rating.stepCount >= MIN_SOLVER_STEPS, `${rating.stepCount} steps`);
+			assert.equal(puzzle.difficulty, rating.tier);
+		});
+	}
+
+	test('the same seed gives the same puzzle', () => {
+		const first = generatePuzzle({ boardLayout, rooms, seed: 7 });
+		const second = generatePuzzle({ boardLayout, rooms, seed: 7 });
+		assert.equal(puzzleToJson(first), puzzleToJson(second));
+	});
+});
+
+describe('tier', () => {
+	for (const tier of ['Easy', 'Medium']) {
+		test(`tier ${tier} gives puzzles rated ${tier}`, () => {
+			for (const seed of [1, 3]) {
+				const puzzle = generatePuzzle({ boardLayout, rooms, seed, tier });
+				assert.equal(ratePuzzle(puzzle).tier, tier);
+				assert.equal(puzzle.difficulty, tier);
+			}
+		});
+	}
+
+	test('a tier out of reach fails with a message naming it', () => {
+		assert.throws(
+			() => generatePuzzle({ boardLayout, rooms, seed: 1, tier: 'Hard', maxAttempts: 2 }),
+			{ message: 'Could not generate a puzzle rated Hard in 2 attempts' },
+		);
+	});
+});
@@ -0,0 +1,140 @@
+/**
+ * Hint test: the board checks before a hint accept any board that can
+ * still be solved, not just one heading for puzzle.solution, and what a
+ * hint says about its technique comes from a step about its own suspect.
+ * Run with: node --loader ./test-loader.mjs --test test-hints.mjs
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { puzzles } from './src/data/puzzles/index.js';
+import { MurdokuSolver } from './src/engine/solver.js';
+import { getNextHint } from './src/engine/hintEngine.js';
+import { validateByClues } from './src/utils/validation.js';
+import { createCellKey } from './src/constants.js';
+
+const keyOf = ({ row, col }) => createCellKey(row, col);
+const nameOf = (puzzle, suspectId) => puzzle.suspects.find((s) => s.id === suspectId).name;
+
+/**
+ * Follows a puzzle's hints from an empty board, placing each hinted
+ * suspect where puzzle.solution has them.
+ *
+ * @param {Object} puzzle
+ * @returns {{ hint: Object, placements: Object }[]} Each hint, with the board it was given for
+ */
+function followHints(puzzle) {
+	const placements = {};
+	const hints = [];
+	for (let i = 0; i < puzzle.suspects.length; i++) {
+		const hint = getNextHint(puzzle, placements);
+		if (!hint.suspect) break;
+		hints.push({ hint, placements: { ...placements } });
+		placements[keyOf(puzzle.solution[hint.suspect])] = hint.suspect;
+	}
+	return hints;
+}
+
+/**
+ * The solver's first step about a suspect, taken before anyone's step
+ * places them.
+ *
+ * @param {Object} puzzle
+ * @param {Object} placements
+ * @param {string} suspectId
+ * @returns {Object|null}
+ */
+function firstStepAbout(puzzle, placements, suspectId) {
+	const solver = new MurdokuSolver(puzzle, { traceContradictions: true });
+	solver.initialize(placements);
+	if (solver.placed.has(suspectId)) return { technique: 'nakedSingle', suspectId };
+	for (let step = solver.solveStep(); step; step = solver.solveStep()) {
+		if (step.suspectId === suspectId) return step;
+		if (solver.placed.has(suspectId)) return null;
+	}
+	return null;
+}
+
+describe('validateByClues', () => {
+	const carRepair = puzzles['car-repair-easy'];
+	const [first, second] = carRepair.suspects;
+
+	test('an empty board has no errors', () => {
+		const result = validateByClues(carRepair, {}, {});
+		assert.deepEqual([result.wrongPlacements, result.wrongMarks], [[], []]);
+	});
+
+	test('a placement no solution has is wrong, judged by puzzle.solution', () => {
+		const wrongCell = keyOf(carRepair.solution[second.id]);
+		const result = validateByClues(carRepair, { [wrongCell]: first.id }, {});
+		assert.deepEqual(result.wrongPlacements.map((w) => w.suspect.id), [first.id]);
+		assert.equal(result.solution, carRepair.solution);
+	});
+
+	test('an X mark on a cell every solution needs is wrong', () => {
+		const needed = keyOf(carRepair.solution[first.id]);
+		const result = validateByClues(carRepair, {}, { [needed]: true });
+		assert.deepEqual(result.wrongPlacements, []);
+		assert.deepEqual(result.wrongMarks, [carRepair.solution[first.id]]);
+	});
+
+	// The Horse Track has more than one solution
+	const horseTrack = puzzles['horse-track-hard'];
+	const solver = new MurdokuSolver(horseTrack);
+	solver.initialize({});
+	const { solutions } = solver.countSolutions({ limit: 5, maxExamples: 5 });
+	const moved = (solution) => horseTrack.suspects.find((s) => keyOf(solution[s.id]) !== keyOf(horseTrack.solution[s.id]));
+	const other = solutions.find(moved);
+	const suspect = moved(other);
+
+	test('a placement only another solution has is accepted, and that solution is used', () => {
+		const cellKey = keyOf(other[suspect.id]);
+		const result = validateByClues(horseTrack, { [cellKey]: suspect.id }, {});
+		assert.deepEqual([result.wrongPlacements, result.wrongMarks], [[], []]);
+		assert.equal(keyOf(result.solution[suspect.id]), cellKey);
+	});
+
+	test('an X mark on a cell only puzzle.solution needs is accepted', () => {
+		const result = validateByClues(horseTrack, {}, { [keyOf(horseTrack.solution[suspect.id])]: true });
+		assert.deepEqual([result.wrongPlacements, result.wrongMarks], [[], []]);
+	});
+});
+
+for (const puzzle of Object.values(puzzles)) {
+	describe(`${puzzle.name} hints`, () => {
+		const hints = followHints(puzzle);
+
+		test('contradiction reasoning is about the hinted suspect', () => {
+			for (const { hint } of hints) {
+				if (hint.reasoning) assert.ok(hint.reasoning.startsWith(`If ${nameOf(puzzle, hint.suspect)} were at`), hint.reasoning);
+			}
+		});
+
+		test('a technique is only named from a step about the hinted suspect', () => {
+			for (const { hint, placements } of hints) {
+				assert.equal(hint.technique, firstStepAbout(puzzle, placements, hint.suspect)?.technique, `hint about ${hint.suspect}`);
+			}
+		});
+	});
+}
+
+describe('contradiction hints', () => {
+	test('a hint placed by another suspect\'s contradiction carries no reasoning', () => {
+		// The solver's first step here is a contradiction about Brock, whose
+		// cascade places Crystal
+		const carRepair = puzzles['car-repair-easy'];
+		const hint = getNextHint(carRepair, {});
+		assert.equal(hint.suspect, 'crystal');
+		assert.equal(hint.reasoning, undefined);
+		assert.equal(hint.trace, undefined);
+	});
+
+	test('a contradiction about the hinted suspect is narrated with their name', () => {
+		const preppers = puzzles['preppers-medium'];
+		const placements = Object.fromEntries(['angelo', 'daryl', 'edna'].map((id) => [keyOf(preppers.solution[id]), id]));
+		const hint = getNextHint(preppers, placements);
+		assert.equal(hint.technique, 'contradiction');
+		assert.ok(hint.reasoning.startsWith(`If ${nameOf(preppers, hint.suspect)} were at`), hint.reasoning);
+		assert.ok(hint.trace.length > 0);
+	});
+});
@@ -1,5 +1,5 @@
-// Custom ESM loader to mock .jpg imports and resolve extensionless .js for Node.js testing
-import { existsSync } from 'node:fs';
+// Custom ESM loader to mock .jpg imports, load .json like Vite and resolve extensionless .js for Node.js testing
+import { existsSync, readFileSync } from 'node:fs';
 import { fileURLToPath } from 'node:url';
 
 export async function resolve(specifier, context, nextResolve) {
@@ -35,5 +35,13 @@ export async function load(url, context, nextLoad) {
       shortCircuit: true,
     };
   }
+  // Vite imports JSON as a default export, without import attributes
+  if (url.startsWith('file:') && url.endsWith('.json')) {
+    return {
+      format: 'module',
+      source: `export default ${readFileSync(fileURLToPath(url), 'utf8')};`,
+      shortCircuit: true,
+    };
+  }
   return nextLoad(url, context);
 }
@@ -0,0 +1,136 @@
+/**
+ * Puzzle code test: round trips in the compressed ('Z') and plain ('J')
+ * formats, the ids decoded puzzles get, and rejection of bad codes.
+ * Run with: node --loader ./test-loader.mjs --test test-puzzle-code.mjs
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { puzzles } from './src/data/puzzles/index.js';
+import { puzzleToJson, formatLoadError } from './src/data/puzzles/loader.js';
+import {
+	encodePuzzleCode,
+	decodePuzzleCode,
+	buildPuzzleCodeUrl,
+	parsePuzzleCodeHash,
+	readPuzzleCode,
+} from './src/data/puzzles/puzzleCode.js';
+import { toBase64Url } from './src/utils/base64url.js';
+
+/**
+ * Runs a callback as a browser without CompressionStream, which writes
+ * (and can only read) 'J' codes.
+ *
+ * @param {Function} callback
+ */
+async function withoutCompression(callback) {
+	const { CompressionStream, DecompressionStream } = globalThis;
+	delete globalThis.CompressionStream;
+	delete globalThis.DecompressionStream;
+	try {
+		return await callback();
+	} finally {
+		Object.assign(globalThis, { CompressionStream, DecompressionStream });
+	}
+}
+
+/**
+ * A puzzle in the JSON format, without the id decoding replaces.
+ *
+ * @param {Object} puzzle
+ * @returns {string}
+ */
+function withoutId(puzzle) {
+	const { id, ...data } = JSON.parse(puzzleToJson(puzzle));
+	return JSON.stringify(data);
+}
+
+/**
+ * What a code of the puzzle should decode to: the curated hints are left
+ * out, and come back as the loader's default empty list.
+ *
+ * @param {Object} puzzle
+ * @returns {string}
+ */
+function expectedJson(puzzle) {
+	const { hints, ...data } = puzzle;
+	return withoutId({ ...data, hints: [] });
+}
+
+for (const [id, puzzle] of Object.entries(puzzles)) {
+	describe(puzzle.name, () => {
+		test('Z and J codes round trip, J without CompressionStream', async () => {
+			const zCode = await encodePuzzleCode(puzzle);
+			const jCode = await withoutCompression(() => encodePuzzleCode(puzzle));
+			assert.ok(zCode.startsWith('Z') && jCode.startsWith('J'));
+			assert.ok(zCode.length < jCode.length, `Z ${zCode.length} chars, J ${jCode.length} chars`);
+
+			const fromZ = await decodePuzzleCode(zCode);
+			const fromJ = await decodePuzzleCode(jCode);
+			assert.equal(withoutId(fromZ.puzzle), expectedJson(puzzle));
+			assert.equal(withoutId(fromJ.puzzle), expectedJson(puzzle));
+			assert.notEqual((await withoutCompression(() => decodePuzzleCode(jCode))).puzzle, null);
+		});
+
+		test('the decoded id is its own and the same for both formats', async () => {
+			const fromZ = await decodePuzzleCode(await encodePuzzleCode(puzzle));
+			const fromJ = await decodePuzzleCode(await withoutCompression(() => encodePuzzleCode(puzzle)));
+			assert.match(fromZ.puzzle.id, /^code-[0-9a-f]{8}$/);
+			assert.notEqual(fromZ.puzzle.id, id);
+			assert.equal(fromJ.puzzle.id, fromZ.puzzle.id);
+		});
+
+		test('a link or pasted code reads back', async () => {
+			const zCode = await encodePuzzleCode(puzzle);
+			const url = buildPuzzleCodeUrl(zCode, 'https://example.com/murdoku-game/');
+			assert.equal(parsePuzzleCodeHash(new URL(url).hash), zCode);
+			assert.equal(readPuzzleCode(`  ${url}\n`), zCode);
+			assert.equal(readPuzzleCode(`${zCode.slice(0, 20)}\n${zCode.slice(20)}`), zCode);
+		});
+
+		test('truncated codes are rejected', async () => {
+			const zCode = await encodePuzzleCode(puzzle);
+			const jCode = await withoutCompression(() => encodePuzzleCode(puzzle));
+			for (const code of [zCode, jCode]) {
+				const truncated = await decodePuzzleCode(code.slice(0, Math.floor(code.length / 2)));
+				assert.equal(truncated.puzzle, null);
+				assert.ok(truncated.errors.length > 0);
+			}
+		});
+	});
+}
+
+test('an edited puzzle gets a different id', async () => {
+	const puzzle = puzzles['car-repair-easy'];
+	const edited = { ...puzzle, rooms: { ...puzzle.rooms, garage: { ...puzzle.rooms.garage, color: '#ffffff' } } };
+	const original = await decodePuzzleCode(await encodePuzzleCode(puzzle));
+	const changed = await decodePuzzleCode(await encodePuzzleCode(edited));
+	assert.notEqual(changed.puzzle.id, original.puzzle.id);
+});
+
+describe('bad codes', () => {
+	const plain = (text) => `J${toBase64Url(new TextEncoder().encode(text))}`;
+	const rejects = (label, getCode, message) => {
+		test(`${label} is rejected`, async () => {
+			const { puzzle, errors } = await decodePuzzleCode(await getCode());
+			const text = errors.map(formatLoadError).join('; ');
+			assert.equal(puzzle, null);
+			assert.ok(text.includes(message), text);
+		});
+	};
+	const zCode = () => encodePuzzleCode(puzzles['car-repair-easy']);
+
+	rejects('an unknown format letter', async () => `X${(await zCode()).slice(1)}`, "doesn't look like a puzzle code");
+	rejects('an empty code', () => '', "doesn't look like a puzzle code");
+	rejects('characters outside base64url', async () => `${(await zCode()).slice(0, -1)}*`, 'damaged');
+	rejects('a corrupted deflate stream', () => `Z${'_'.repeat(40)}`, 'damaged');
+	rejects('a J code holding invalid JSON', () => plain('{"id": "x",'), 'Invalid JSON');
+	rejects('a J code holding an invalid puzzle', () => plain('{"id": "x", "name": "X"}'), 'gridSize: is required');
+
+	test('a Z code without DecompressionStream is rejected', async () => {
+		const code = await zCode();
+		const { puzzle, errors } = await withoutCompression(() => decodePuzzleCode(code));
+		assert.equal(puzzle, null);
+		assert.ok(errors.map(formatLoadError).join('; ').includes("can't open compressed"));
+	});
+});
@@ -0,0 +1,147 @@
+/**
+ * Puzzle linter test: every lint rule reports its issue on a copy of a
+ * built-in puzzle broken to trigger it, and the built-ins themselves lint
+ * without errors or warnings.
+ * Run with: node --loader ./test-loader.mjs --test test-puzzle-lint.mjs
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { puzzles } from './src/data/puzzles/index.js';
+import { lintPuzzle, summarizeLint, formatLintIssue } from './src/engine/puzzleLint.js';
+
+/**
+ * Declares a test that a changed copy of a puzzle reports an issue.
+ *
+ * @param {string} label
+ * @param {Function} change - Edits the copied puzzle in place
+ * @param {string|RegExp} expected - The issue, as formatLintIssue writes it
+ * @param {string} [puzzleId]
+ */
+function reports(label, change, expected, puzzleId = 'car-repair-easy') {
+	test(label, () => {
+		const puzzle = structuredClone(puzzles[puzzleId]);
+		change(puzzle);
+		const issues = lintPuzzle(puzzle).map(formatLintIssue);
+		const found = typeof expected === 'string' ? issues.includes(expected) : issues.some((issue) => expected.test(issue));
+		assert.ok(found, `expected ${expected} in:\n${issues.join('\n')}`);
+	});
+}
+
+const suspect = (puzzle, id) => puzzle.suspects.find((s) => s.id === id);
+
+describe('built-in puzzles', () => {
+	for (const [id, puzzle] of Object.entries(puzzles)) {
+		test(`${id} has no errors or warnings`, () => {
+			const issues = lintPuzzle(puzzle);
+			const { error, warning } = summarizeLint(issues);
+			assert.deepEqual({ error, warning }, { error: 0, warning: 0 }, issues.map(formatLintIssue).join('\n'));
+		});
+	}
+});
+
+describe('grid', () => {
+	reports('gridSize below 2', (p) => { p.gridSize = 1; }, 'error gridSize: must be an integer of at least 2');
+	reports('no boardLayout', (p) => delete p.boardLayout, 'error boardLayout: is missing');
+	reports('a missing row', (p) => p.boardLayout.pop(), 'error boardLayout: has 5 rows, but gridSize is 6');
+	reports('a short row', (p) => p.boardLayout[2].pop(), 'error boardLayout[2]: has 5 cells, but gridSize is 6');
+	reports('a cell in an unknown room', (p) => { p.boardLayout[2][3].room = 'attic'; }, 'error boardLayout[2][3].room: unknown room "attic"');
+	reports('a cell of an unknown type', (p) => { p.boardLayout[2][3].type = 'sofa'; }, 'error boardLayout[2][3].type: unknown cell type "sofa"');
+});
+
+describe('rooms', () => {
+	reports('a room without a name', (p) => delete p.rooms.storage.name, 'warning rooms.storage.name: is missing');
+	reports('a room without a color', (p) => delete p.rooms.storage.color, 'warning rooms.storage.color: is missing');
+	reports('a room no cell uses', (p) => { p.rooms.attic = { name: 'Attic', color: '#cccccc' }; }, 'warning rooms.attic: is not used by any cell');
+	reports('a room with nowhere to stand', (p) => {
+		p.rooms.attic = { name: 'Attic', color: '#cccccc' };
+		p.boardLayout[1][4].room = 'attic';
+	}, 'warning rooms.attic: has no occupiable cells');
+	reports('a room in two pieces', (p) => { p.boardLayout[0][4].room = 'reception'; }, 'warning rooms.reception: is split into 2 separate areas');
+});
+
+describe('colors', () => {
+	reports('neighbouring rooms of the same color', (p) => { p.rooms.storage.color = p.rooms.waitingArea.color; }, /^warning rooms\.(storage|waitingArea)\.color: is hard to tell apart from neighbouring room /);
+	reports('two suspects of the same color', (p) => { p.suspects[1].color = p.suspects[0].color; }, /^warning suspects\[[01]\]\.color: is hard to tell apart from /);
+});
+
+describe('suspects', () => {
+	reports('no suspects', (p) => { p.suspects = []; }, 'error suspects: must list at least one suspect');
+	reports('fewer suspects than rows', (p) => p.suspects.pop(), 'warning suspects: has 5 suspects for a 6x6 grid; the solver expects one per row and column');
+	reports('a suspect without an id', (p) => delete p.suspects[1].id, 'error suspects[1].id: is missing');
+	reports('two suspects with one id', (p) => { p.suspects[1].id = p.suspects[0].id; }, 'error suspects[1].id: duplicate id "anthony"');
+	reports('a suspect without a clue', (p) => { p.suspects[1].clue = ''; }, 'warning suspects[1].clue: is empty');
+	reports('a suspect without constraints', (p) => delete p.suspects[1].constraints, 'error suspects[1].constraints: is missing');
+	reports('a suspect with no constraints', (p) => { p.suspects[1].constraints = []; }, 'warning suspects[1].constraints: is empty, so the solver ignores the clue');
+	reports('a suspect without a gender when a clue needs one', (p) => {
+		suspect(p, 'diane').constraints.push({ type: 'aloneWithGender', gender: 'male' });
+		delete p.suspects[1].gender;
+	}, 'warning suspects[1].gender: is missing, but gender-based clues need it');
+	reports('no victim among the suspects', (p) => delete suspect(p, 'vaughn').isVictim, 'info suspects: no suspect is marked isVictim');
+});
+
+describe('constraints', () => {
+	const withConstraint = (constraint) => (p) => { p.suspects[1].constraints = [constraint]; };
+
+	reports('an unknown type', withConstraint({ type: 'inAttic' }), 'error suspects[1].constraints[0].type: unknown constraint type "inAttic"');
+	reports('a missing field', withConstraint({ type: 'inRoom' }), 'error suspects[1].constraints[0].room: is required');
+	reports('an unknown room', withConstraint({ type: 'inRoom', room: 'attic' }), 'error suspects[1].constraints[0].room: unknown room "attic"');
+	reports('an unknown room in a list', withConstraint({ type: 'inRooms', rooms: ['garage', 'attic'] }), 'error suspects[1].constraints[0].rooms[1]: unknown room "attic"');
+	reports('an unknown cell type', withConstraint({ type: 'onCellType', cellType: 'sofa' }), 'error suspects[1].constraints[0].cellType: unknown cell type "sofa"');
+	reports('an unknown suspect', withConstraint({ type: 'aloneWith', suspect: 'zelda' }), 'error suspects[1].constraints[0].suspect: unknown suspect "zelda"');
+	reports('the suspect itself', withConstraint({ type: 'aloneWith', suspect: 'brock' }), 'error suspects[1].constraints[0].suspect: refers to the suspect it belongs to');
+	reports('a column off the board', withConstraint({ type: 'inColumns', columns: [3, 6] }), 'error suspects[1].constraints[0].columns[1]: column 6 is off the board');
+	reports('a row off the board', withConstraint({ type: 'inRow', row: -1 }), 'error suspects[1].constraints[0].row: row -1 is off the board');
+	reports('aheadOf without a track', withConstraint({ type: 'aheadOf', suspect: 'anthony' }), 'error suspects[1].constraints[0]: aheadOf needs the puzzle to define trackPositions');
+});
+
+describe('solution', () => {
+	reports('no solution', (p) => delete p.solution, 'error solution: is missing');
+	reports('a suspect without a position', (p) => delete p.solution.anthony, 'error solution: missing position for suspect "anthony"');
+	reports('a position for an unknown suspect', (p) => { p.solution.zelda = { row: 0, col: 4 }; }, 'error solution.zelda: unknown suspect "zelda"');
+	reports('a position off the board', (p) => { p.solution.anthony = { row: 6, col: 4 }; }, 'error solution.anthony: position (6, 4) is off the board');
+	reports('two suspects on one cell', (p) => { p.solution.brock = { ...p.solution.anthony }; }, 'error solution.brock: shares a cell with "anthony"');
+	reports('a suspect on a cell nobody can stand on', (p) => { p.solution.anthony = { row: 0, col: 0 }; }, 'error solution.anthony: is on a table cell, which cannot be occupied');
+	reports('two suspects in one row', (p) => { p.solution.anthony = { row: 4, col: 0 }; }, 'error solution: anthony, brock share row 4');
+	reports('two suspects in one column', (p) => { p.solution.anthony = { row: 0, col: 3 }; }, 'error solution: anthony, brock share column 3');
+	reports('a solution that breaks a clue', (p) => { p.suspects[0].constraints = [{ type: 'inRoom', room: 'storage' }]; }, /^error suspects\[0\]\.constraints\[0\]: the solution breaks this clue: /);
+});
+
+describe('story', () => {
+	reports('no victim', (p) => delete p.victim, 'warning victim: is missing');
+	reports('an unknown victim', (p) => { p.victim = 'zelda'; }, 'error victim: unknown suspect "zelda"');
+	reports('a victim other than the one marked isVictim', (p) => { p.victim = 'brock'; }, 'warning victim: is "brock", but "vaughn" is marked isVictim');
+	reports('no murderer', (p) => delete p.murderer, 'warning murderer: is missing');
+	reports('an unknown murderer', (p) => { p.murderer = 'zelda'; }, 'error murderer: unknown suspect "zelda"');
+	reports('the victim as murderer', (p) => { p.murderer = 'vaughn'; }, 'error murderer: is the victim');
+	reports('no crime room', (p) => delete p.crimeRoom, 'warning crimeRoom: is missing');
+	reports('an unknown crime room', (p) => { p.crimeRoom = 'attic'; }, 'error crimeRoom: unknown room "attic"');
+	reports('a crime room the murderer is not in', (p) => { p.murderer = 'anthony'; }, 'error crimeRoom: is "reception", but the murderer is in "garage" in the solution');
+});
+
+describe('track', () => {
+	const withTrack = (trackPositions) => (p) => { p.trackPositions = trackPositions; };
+
+	reports('a key that is not a cell key', withTrack({ first: 1 }), 'error trackPositions.first: key must be a "row-col" cell key');
+	reports('a cell off the board', withTrack({ '6-0': 1 }), 'error trackPositions.6-0: cell is off the board');
+	reports('a position that is not a positive integer', withTrack({ '3-1': 0 }), 'error trackPositions.3-1: position must be a positive integer');
+	reports('a position used twice', withTrack({ '3-1': 1, '3-2': 1 }), 'warning trackPositions.3-2: position 1 is also used by 3-1');
+	reports('a cell off the track', withTrack({ '0-0': 1 }), 'warning trackPositions.0-0: cell is a table, not part of the track');
+});
+
+describe('hints', () => {
+	const withHint = (changes) => (p) => { Object.assign(p.hints[0], changes); };
+
+	reports('no hints', (p) => { p.hints = []; }, 'info hints: none defined, so hints come from the solver');
+	reports('a hint for an unknown suspect', withHint({ suspect: 'zelda' }), 'error hints[0].suspect: unknown suspect "zelda"');
+	reports('an unknown prerequisite', withHint({ prerequisites: ['zelda'] }), 'error hints[0].prerequisites[0]: unknown suspect "zelda"');
+	reports('a hint needing its own suspect', withHint({ prerequisites: ['crystal'] }), 'warning hints[0].prerequisites[0]: is the suspect the hint places');
+	reports('two hints with one order', withHint({ order: 2 }), 'warning hints[1].order: 2 is also used by hints[0]');
+	reports('an unknown target type', withHint({ target: { type: 'nearby' } }), 'error hints[0].target.type: unknown target type "nearby"');
+	reports('a target in an unknown room', withHint({ target: { type: 'room', room: 'attic' } }), 'error hints[0].target.room: unknown room "attic"');
+	reports('a target with an unknown room in a list', withHint({ target: { type: 'rooms', rooms: ['attic'] } }), 'error hints[0].target.rooms[0]: unknown room "attic"');
+	reports('a target of an unknown cell type', withHint({ target: { type: 'cellType', cellType: 'sofa' } }), 'error hints[0].target.cellType: unknown cell type "sofa"');
+	reports('a target row off the board', withHint({ target: { type: 'row', row: 6 } }), 'error hints[0].target.row: row 6 is off the board');
+	reports('a hint without both messages', withHint({ messages: { single: 'Look at the chairs.' } }), 'warning hints[0].messages: should have both single and multiple messages');
+	reports('a suspect without a hint', (p) => p.hints.pop(), /^info hints: no curated hint for \w+$/);
+});
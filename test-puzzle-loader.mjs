@@ -0,0 +1,119 @@
+/**
+ * Puzzle loader test: broken puzzle files are refused with an error naming
+ * the field at fault, lint warnings don't stop a puzzle loading, and
+ * runtime puzzles can't replace built-in ones.
+ * Run with: node --loader ./test-loader.mjs --test test-puzzle-loader.mjs
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import carRepair from './src/data/puzzles/car-repair-easy.json';
+import { loadPuzzleJson, formatLoadError } from './src/data/puzzles/loader.js';
+import { puzzles, puzzleList, getPuzzle, registerPuzzle } from './src/data/puzzles/index.js';
+
+/**
+ * A copy of the car repair puzzle file with a change applied.
+ *
+ * @param {Function} change - Edits the parsed file in place
+ * @returns {Object}
+ */
+function fixture(change) {
+	const data = structuredClone(carRepair);
+	change(data);
+	return data;
+}
+
+/**
+ * Declares a test that a fixture is refused with the given error.
+ *
+ * @param {string} label
+ * @param {Function} change - Edits the parsed file in place
+ * @param {string} error - An expected error, as formatLoadError writes it
+ */
+function refuses(label, change, error) {
+	test(`${label} is refused`, () => {
+		const { puzzle, errors } = loadPuzzleJson(fixture(change));
+		const messages = errors.map(formatLoadError);
+		assert.equal(puzzle, null);
+		assert.ok(messages.includes(error), messages.join('\n'));
+	});
+}
+
+test('the unchanged file loads, with defaults filled in', () => {
+	const { puzzle, errors, warnings } = loadPuzzleJson(JSON.stringify(fixture(() => {})));
+	assert.deepEqual([errors, warnings], [[], []]);
+	assert.equal(puzzle.id, carRepair.id);
+	assert.equal('$schema' in puzzle, false);
+});
+
+describe('schema violations', () => {
+	test('invalid JSON is refused', () => {
+		const { puzzle, errors } = loadPuzzleJson('{"id": "broken",');
+		assert.equal(puzzle, null);
+		assert.match(formatLoadError(errors[0]), /^Invalid JSON: /);
+	});
+
+	refuses('a missing required field', (d) => delete d.gridSize, 'gridSize: is required');
+	refuses('a field of the wrong type', (d) => { d.gridSize = '6'; }, 'gridSize: must be integer, found string');
+	refuses('a number below its minimum', (d) => { d.gridSize = 1; }, 'gridSize: must be at least 2');
+	refuses('an id outside the allowed characters', (d) => { d.id = 'Car Repair'; }, 'id: "Car Repair" does not match ^[a-z0-9-]+$');
+	refuses('an unknown field', (d) => { d.suspects[0].age = 40; }, 'suspects[0].age: unknown field');
+	refuses('too few suspects', (d) => { d.suspects = [d.suspects[0]]; }, 'suspects: must have at least 2 item(s)');
+	refuses('an unknown constraint type', (d) => { d.suspects[0].constraints[0] = { type: 'inAttic' }; }, 'suspects[0].constraints[0].type: unknown type "inAttic"');
+
+	test('schema errors are all reported, and stop the linter running', () => {
+		const { errors } = loadPuzzleJson(fixture((d) => {
+			delete d.name;
+			d.boardLayout[0][0].room = 'attic';
+		}));
+		assert.deepEqual(errors.map(formatLoadError), ['name: is required']);
+	});
+});
+
+describe('unknown room ids', () => {
+	refuses('a cell in an unknown room', (d) => { d.boardLayout[2][3].room = 'attic'; }, 'boardLayout[2][3].room: unknown room "attic"');
+	refuses('a clue naming an unknown room', (d) => {
+		d.suspects[1].constraints = [{ type: 'inRoom', room: 'attic' }];
+	}, 'suspects[1].constraints[0].room: unknown room "attic"');
+	refuses('an unknown crime room', (d) => { d.crimeRoom = 'attic'; }, 'crimeRoom: unknown room "attic"');
+});
+
+describe('suspect and solution mismatches', () => {
+	refuses('a suspect with no solution position', (d) => delete d.solution.anthony, 'solution: missing position for suspect "anthony"');
+	refuses('a solution position for an unknown suspect', (d) => {
+		d.solution.zelda = d.solution.anthony;
+		delete d.solution.anthony;
+	}, 'solution.zelda: unknown suspect "zelda"');
+	refuses('a solution position off the board', (d) => { d.solution.anthony = { row: 6, col: 4 }; }, 'solution.anthony: position (6, 4) is off the board');
+	refuses('two suspects on one cell', (d) => { d.solution.brock = { ...d.solution.anthony }; }, 'solution.brock: shares a cell with "anthony"');
+});
+
+test('lint warnings are returned without stopping the puzzle loading', () => {
+	const { puzzle, errors, warnings } = loadPuzzleJson(fixture((d) => {
+		d.rooms.attic = { name: 'Attic', color: '#cccccc' };
+	}));
+	assert.notEqual(puzzle, null);
+	assert.deepEqual(errors, []);
+	assert.ok(warnings.map(formatLoadError).includes('rooms.attic: is not used by any cell'), warnings.map(formatLoadError).join('\n'));
+});
+
+describe('registerPuzzle', () => {
+	test('a built-in id is refused, leaving the built-in puzzle in place', () => {
+		const builtIn = puzzles[carRepair.id];
+		const { puzzle } = loadPuzzleJson(fixture((d) => { d.name = 'Impostor'; }));
+		const count = puzzleList.length;
+		assert.equal(registerPuzzle(puzzle), false);
+		assert.equal(getPuzzle(carRepair.id), builtIn);
+		assert.equal(puzzleList.length, count);
+	});
+
+	test('a new id is added, and registering it again replaces it', () => {
+		const first = loadPuzzleJson(fixture((d) => { d.id = 'car-repair-copy'; })).puzzle;
+		const second = loadPuzzleJson(fixture((d) => { d.id = 'car-repair-copy'; d.name = 'Copy'; })).puzzle;
+		const count = puzzleList.length;
+		assert.equal(registerPuzzle(first), true);
+		assert.equal(registerPuzzle(second), true);
+		assert.equal(getPuzzle('car-repair-copy'), second);
+		assert.equal(puzzleList.length, count + 1);
+	});
+});
@@ -0,0 +1,133 @@
+/**
+ * Saved game storage test: version 1 -> 2 migration, round trips and
+ * rejection of saves that don't fit the puzzle.
+ * Run with: node --loader ./test-loader.mjs --test test-saved-game.mjs
+ */
+
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { puzzles } from './src/data/puzzles/index.js';
+import {
+	SAVE_VERSION,
+	migrateSave,
+	loadSave,
+	writeSave,
+} from './src/utils/saveGame.js';
+import { createCellKey } from './src/constants.js';
+
+// In-memory localStorage, as getStorage() finds it in a browser
+const store = new Map();
+globalThis.window = {
+	localStorage: {
+		getItem: (key) => (store.has(key) ? store.get(key) : null),
+		setItem: (key, value) => store.set(key, String(value)),
+		removeItem: (key) => store.delete(key),
+	},
+};
+// Unreadable saves are reported with console.warn; keep the output clean
+console.warn = () => {};
+
+const puzzle = puzzles['car-repair-easy'];
+const key = `murdoku:save:${puzzle.id}`;
+const [first, second] = puzzle.suspects;
+const firstKey = createCellKey(puzzle.solution[first.id].row, puzzle.solution[first.id].col);
+const secondKey = createCellKey(puzzle.solution[second.id].row, puzzle.solution[second.id].col);
+
+const v1State = {
+	placements: { [firstKey]: first.id },
+	autoMarks: { [createCellKey(5, 5)]: [first.id] },
+	manualMarks: { [createCellKey(0, 0)]: true },
+	possibilityMarks: { [createCellKey(1, 1)]: [second.id] },
+	history: [{ placements: {}, autoMarks: {}, manualMarks: {}, possibilityMarks: {} }],
+};
+const v1Save = { version: 1, puzzleId: puzzle.id, savedAt: '2026-01-01T00:00:00.000Z', state: v1State };
+
+/**
+ * Stores a raw save and loads it back.
+ *
+ * @param {Object|string} save - Save object, or raw text
+ */
+function storeAndLoad(save) {
+	store.set(key, typeof save === 'string' ? save : JSON.stringify(save));
+	return loadSave(puzzle);
+}
+
+beforeEach(() => store.clear());
+
+describe('migration', () => {
+	const migrated = migrateSave(v1Save);
+
+	test(`v1 migrates to v${SAVE_VERSION}, adding an empty redo stack and keeping the rest`, () => {
+		assert.deepEqual(migrated, { ...v1Save, version: SAVE_VERSION, state: { ...v1State, future: [] } });
+	});
+	test('migration leaves the v1 save untouched', () => {
+		assert.equal('future' in v1State, false);
+	});
+	test(`v${SAVE_VERSION} saves pass through unchanged`, () => {
+		assert.equal(migrateSave(migrated), migrated);
+	});
+	test('saves from a newer version are refused', () => {
+		assert.equal(migrateSave({ ...migrated, version: SAVE_VERSION + 1 }), null);
+	});
+	test('saves from before version 1 are refused', () => {
+		assert.equal(migrateSave({ ...v1Save, version: 0 }), null);
+	});
+	test(`a stored v1 save loads as v${SAVE_VERSION}`, () => {
+		const loaded = storeAndLoad(v1Save);
+		assert.equal(loaded?.version, SAVE_VERSION);
+		assert.deepEqual(loaded.state, { ...v1State, future: [] });
+	});
+});
+
+describe('round trip', () => {
+	const state = {
+		placements: { [firstKey]: first.id, [secondKey]: second.id },
+		autoMarks: {},
+		manualMarks: { [createCellKey(0, 0)]: true },
+		possibilityMarks: {},
+		history: [],
+		future: [{ placements: {}, autoMarks: {}, manualMarks: {}, possibilityMarks: {} }],
+	};
+
+	test('writeSave -> loadSave returns the same state, version and puzzle', () => {
+		writeSave(puzzle.id, state);
+		const loaded = loadSave(puzzle);
+		assert.deepEqual(loaded?.state, state);
+		assert.equal(loaded.version, SAVE_VERSION);
+		assert.equal(loaded.puzzleId, puzzle.id);
+	});
+	test('only the last 100 undo steps are saved', () => {
+		const long = { ...state, history: Array.from({ length: 150 }, (_, i) => ({ placements: { i } })) };
+		writeSave(puzzle.id, long);
+		const trimmed = loadSave(puzzle);
+		assert.equal(trimmed?.state.history.length, 100);
+		assert.deepEqual(trimmed.state.history[0], long.history[50]);
+	});
+});
+
+describe('rejected saves', () => {
+	const v2Save = migrateSave(v1Save);
+	const withState = (changes) => ({ ...v2Save, state: { ...v2Save.state, ...changes } });
+	const rejected = [
+		['unparseable JSON', '{"version": 2,'],
+		['unknown version', { ...v2Save, version: 99 }],
+		['another puzzle\'s save', { ...v2Save, puzzleId: 'preppers-medium' }],
+		['placement off the board', withState({ placements: { [createCellKey(puzzle.gridSize, 0)]: first.id } })],
+		['malformed cell key', withState({ placements: { [`${firstKey}-1`]: first.id } })],
+		['unknown suspect', withState({ placements: { [firstKey]: 'nobody' } })],
+		['missing marks', withState({ autoMarks: undefined })],
+		['marks as an array', withState({ manualMarks: [] })],
+		['history not an array', withState({ history: {} })],
+		['missing redo stack', withState({ future: null })],
+		['no state', { ...v2Save, state: null }],
+	];
+	for (const [label, save] of rejected) {
+		test(`${label}: rejected and deleted`, () => {
+			assert.equal(storeAndLoad(save), null);
+			assert.equal(store.has(key), false);
+		});
+	}
+	test('no save loads as null', () => {
+		assert.equal(loadSave(puzzle), null);
+	});
+});
@@ -0,0 +1,127 @@
+/**
+ * Board share link test: encode/decode round trips, and rejection of
+ * corrupted, truncated and mismatched codes.
+ * Run with: node --loader ./test-loader.mjs --test test-share-link.mjs
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { puzzles } from './src/data/puzzles/index.js';
+import {
+	SHARE_VERSION,
+	encodeBoard,
+	decodeBoard,
+	buildShareUrl,
+	parseShareHash,
+} from './src/utils/shareLink.js';
+import { toBase64Url, fromBase64Url } from './src/utils/base64url.js';
+import { occupiableTypes } from './src/data/gameData.js';
+import { createCellKey } from './src/constants.js';
+
+/**
+ * The marked cells a decoded snapshot shows, auto and manual alike.
+ *
+ * @param {Object} state
+ * @returns {string[]}
+ */
+function markedKeys(state) {
+	return [...Object.keys(state.autoMarks), ...Object.keys(state.manualMarks)].sort();
+}
+
+const solutionKey = (puzzle, id) => createCellKey(puzzle.solution[id].row, puzzle.solution[id].col);
+
+for (const [id, puzzle] of Object.entries(puzzles)) {
+	describe(`${puzzle.name} (${puzzle.gridSize}×${puzzle.gridSize}, ${puzzle.suspects.length} suspects)`, () => {
+		const [first, second, third] = puzzle.suspects;
+		const last = puzzle.gridSize - 1;
+		const board = {
+			placements: {
+				[solutionKey(puzzle, first.id)]: first.id,
+				[solutionKey(puzzle, second.id)]: second.id,
+			},
+			markedCells: { [createCellKey(last, last)]: true, [createCellKey(0, last)]: true },
+			possibilityMarks: { [solutionKey(puzzle, third.id)]: [third.id, first.id].sort() },
+		};
+		// Cells under a suspect can't hold marks
+		for (const key of Object.keys(board.placements)) {
+			delete board.markedCells[key];
+			delete board.possibilityMarks[key];
+		}
+		const code = encodeBoard(puzzle, board);
+
+		test('a board round trips with its placements and marks, and no history', () => {
+			const { state, dropped, error } = decodeBoard(puzzle, code);
+			assert.equal(error, null);
+			assert.equal(dropped, 0);
+			assert.deepEqual(state.placements, board.placements);
+			assert.deepEqual(markedKeys(state), Object.keys(board.markedCells).sort());
+			assert.deepEqual(state.possibilityMarks, board.possibilityMarks);
+			assert.deepEqual(state.history, []);
+			assert.deepEqual(state.future, []);
+		});
+
+		test('a solved board round trips', () => {
+			const solved = Object.fromEntries(puzzle.suspects.map((s) => [solutionKey(puzzle, s.id), s.id]));
+			const full = decodeBoard(puzzle, encodeBoard(puzzle, { placements: solved, markedCells: {}, possibilityMarks: {} }));
+			assert.equal(full.error, null);
+			assert.deepEqual(full.state.placements, solved);
+		});
+
+		test('the share URL parses back', () => {
+			const url = buildShareUrl(puzzle, board, 'https://example.com/murdoku-game/');
+			assert.deepEqual(parseShareHash(new URL(url).hash), { puzzleId: id, code });
+		});
+
+		test('every truncated code is rejected', () => {
+			// Every shorter prefix of the code runs out of bytes
+			for (let length = 0; length < code.length; length++) {
+				assert.equal(decodeBoard(puzzle, code.slice(0, length)).state, null, `prefix of ${length} chars`);
+			}
+		});
+	});
+}
+
+describe('corrupted and mismatched codes', () => {
+	const puzzle = puzzles['car-repair-easy'];
+	const [first] = puzzle.suspects;
+	const board = {
+		placements: { [solutionKey(puzzle, first.id)]: first.id },
+		markedCells: {},
+		possibilityMarks: {},
+	};
+	const code = encodeBoard(puzzle, board);
+	const bytes = fromBase64Url(code);
+	const withBytes = (change) => {
+		const copy = [...bytes];
+		change(copy);
+		return toBase64Url(copy);
+	};
+	const rejects = (label, badCode, message) => {
+		test(`${label} is rejected`, () => {
+			const result = decodeBoard(puzzle, badCode);
+			assert.equal(result.state, null);
+			assert.ok(result.error?.includes(message), result.error);
+		});
+	};
+
+	rejects('characters outside base64url', `${code.slice(0, -1)}!`, 'damaged');
+	rejects('empty code', '', 'damaged');
+	rejects('trailing bytes', withBytes((b) => b.push(0)), 'damaged');
+	rejects('another format version', withBytes((b) => { b[0] = SHARE_VERSION + 1; }), 'different version of Murdoku');
+	rejects('another grid size', withBytes((b) => { b[1] += 1; }), `different version of ${puzzle.name}`);
+	rejects('another suspect count', withBytes((b) => { b[2] += 1; }), `different version of ${puzzle.name}`);
+	rejects('another cast of suspects', withBytes((b) => { b[3] ^= 0xff; }), `different version of ${puzzle.name}`);
+
+	test('a renamed suspect is caught by the checksum', () => {
+		const renamed = { ...puzzle, suspects: puzzle.suspects.map((s, i) => (i === 0 ? { ...s, id: 'renamed' } : s)) };
+		assert.equal(decodeBoard(renamed, code).state, null);
+	});
+
+	test('a suspect on an unoccupiable cell is dropped and counted, not rejected', () => {
+		const blocked = puzzle.boardLayout.flatMap((row, r) => row.map((cell, c) => ({ cell, key: createCellKey(r, c) }))).find(({ cell }) => !occupiableTypes.includes(cell.type));
+		const misplaced = decodeBoard(puzzle, encodeBoard(puzzle, { ...board, placements: { [blocked.key]: first.id } }));
+		assert.equal(misplaced.error, null);
+		assert.equal(misplaced.dropped, 1);
+		assert.deepEqual(misplaced.state.placements, {});
+	});
+});
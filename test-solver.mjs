@@ -5,6 +5,11 @@
 
 import { puzzles } from './src/data/puzzles/index.js';
 import { MurdokuSolver } from './src/engine/solver.js';
+import {
+	verifyPlacements,
+	solutionToPlacements,
+} from './src/engine/verifier.js';
+import { rateSteps } from './src/engine/difficulty.js';
 import { createCellKey } from './src/constants.js';
 
 console.log('🔍 Murdoku Solver Verification\n');
@@ -47,8 +52,37 @@ for (const [id, puzzle] of Object.entries(puzzles)) {
 		console.log(`  ${i + 1}. [${s.technique}] ${name} → ${s.cellKey || 'elimination'}`);
 	}
 
-	const icon = solved && errors.length === 0 ? '✅' : '❌';
-	console.log(`\n  ${icon} ${solved ? 'SOLVED' : 'INCOMPLETE'} | ${steps.length} steps | ${correctCount}/${puzzle.suspects.length} correct`);
+	// Uniqueness: count complete assignments by backtracking, independent of the logic steps
+	const uniqueness = new MurdokuSolver(puzzle);
+	uniqueness.initialize({});
+	const { count, capped, solutions } = uniqueness.countSolutions({
+		limit: 10,
+		maxExamples: 10,
+	});
+	const unique = count === 1;
+
+	// Oracle: the declared solution and every solution found must pass the verifier
+	const declared = verifyPlacements(puzzle, solutionToPlacements(puzzle.solution));
+	if (!declared.valid) {
+		errors.push('  ❌ Declared solution violates the clues:');
+		for (const v of Object.values(declared.suspects)) {
+			const failures = [
+				...v.ruleViolations,
+				...v.constraints.filter((r) => !r.passed).map((r) => r.reason),
+			];
+			for (const reason of failures) {
+				errors.push(`     - ${v.suspectId}: ${reason}`);
+			}
+		}
+	}
+	for (const found of solutions) {
+		if (!verifyPlacements(puzzle, solutionToPlacements(found)).valid) {
+			errors.push('  ❌ Search returned a solution the verifier rejects');
+		}
+	}
+
+	const icon = solved && errors.length === 0 && unique ? '✅' : '❌';
+	console.log(`\n  ${icon} ${solved ? 'SOLVED' : 'INCOMPLETE'} | ${steps.length} steps | ${correctCount}/${puzzle.suspects.length} correct | ${count}${capped ? '+' : ''} solution(s)`);
 
 	if (unplaced.length > 0) {
 		console.log(`  ⚠️  Unplaced: ${unplaced.join(', ')}`);
@@ -56,8 +90,19 @@ for (const [id, puzzle] of Object.entries(puzzles)) {
 	if (errors.length > 0) {
 		errors.forEach((e) => console.log(e));
 	}
+	if (!unique) {
+		console.log(`  ⚠️  ${count === 0 ? 'No valid solution' : 'Ambiguous: more than one valid solution'}`);
+	}
+
+	const rating = rateSteps(steps, solved);
+	if (rating.solved) {
+		const flag = rating.tier.toLowerCase() !== puzzle.difficulty.toLowerCase() ? ` ⚠️  declared ${puzzle.difficulty}` : '';
+		console.log(`  📊 Rated ${rating.tier} (${rating.score}) | hardest: ${rating.hardestTechnique} | depth ${rating.maxDepth}${flag}`);
+	} else {
+		console.log(`  📊 Unrated: solver gets stuck`);
+	}
 
-	if (!solved || errors.length > 0) allPass = false;
+	if (!solved || errors.length > 0 || !unique) allPass = false;
 }
 
 console.log('\n' + '='.repeat(60));